@@ -0,0 +1,50 @@
+/**
+ * Announcer for the FramePusher game
+ * Reports game events to screen readers through an ARIA live region
+ */
+export class Announcer {
+  constructor(container, minInterval = 1000) {
+    this.minInterval = minInterval;
+    this.lastAnnouncementTime = -Infinity;
+
+    this.element = document.createElement('div');
+    this.element.className = 'visually-hidden';
+    this.element.setAttribute('role', 'status');
+    this.element.setAttribute('aria-live', 'polite');
+    this.element.setAttribute('aria-atomic', 'true');
+
+    container.appendChild(this.element);
+  }
+
+  /**
+   * Announces a message
+   * Throttled messages are dropped so a busy drag does not flood the
+   * screen reader queue
+   * @param {string} message - Text to announce
+   * @param {boolean} [force=false] - Bypass throttling, e.g. for direct
+   * responses to a key press
+   */
+  announce(message, force = false) {
+    const now = performance.now();
+    if (!force && now - this.lastAnnouncementTime < this.minInterval) {
+      return;
+    }
+
+    this.lastAnnouncementTime = now;
+
+    // Clear first so repeating the same message is announced again
+    this.element.textContent = '';
+    requestAnimationFrame(() => {
+      this.element.textContent = message;
+    });
+  }
+
+  /**
+   * Removes the live region from the page
+   */
+  destroy() {
+    if (this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+  }
+}
@@ -1,3 +1,5 @@
+import tickSoundUrl from '../audio/tick.mp3';
+
 /**
  * Audio manager for the FramePusher game
  * Handles sound effects using HTML5 Audio
@@ -17,7 +19,7 @@ export class AudioManager {
    */
   _loadAudioAssets() {
     try {
-      this.tickSound = new Audio('src/audio/tick.mp3');
+      this.tickSound = new Audio(tickSoundUrl);
       this.tickSound.volume = this.volume;
       this.tickSound.preload = 'auto';
       
@@ -34,8 +36,11 @@ export class AudioManager {
 
   /**
    * Plays a tick sound when frames collide
+   * @param {Object} [options] - Playback options
+   * @param {number} [options.volumeScale=1] - Multiplier applied to the volume (0.0 to 1.0)
+   * @param {number} [options.playbackRate=1] - Playback rate, also shifts the pitch
    */
-  playTickSound() {
+  playTickSound({ volumeScale = 1, playbackRate = 1 } = {}) {
     if (!this.isEnabled || !this.tickSound) {
       return;
     }
@@ -43,7 +48,9 @@ export class AudioManager {
     try {
       // Reset the audio to the beginning and play
       this.tickSound.currentTime = 0;
-      this.tickSound.volume = this.volume;
+      this.tickSound.volume = this.volume * Math.max(0, Math.min(1, volumeScale));
+      this.tickSound.preservesPitch = false;
+      this.tickSound.playbackRate = playbackRate;
       this.tickSound.play().catch(error => {
         // Handle autoplay restrictions gracefully
         console.warn('Audio play failed:', error);
@@ -0,0 +1,54 @@
+import { DotGridBackground } from './backgrounds/DotGridBackground.js';
+import { CheckerboardBackground } from './backgrounds/CheckerboardBackground.js';
+import { NoiseGradientBackground } from './backgrounds/NoiseGradientBackground.js';
+import { ConcentricRingsBackground } from './backgrounds/ConcentricRingsBackground.js';
+import { ImageBackground } from './backgrounds/ImageBackground.js';
+
+/**
+ * Background generators selectable with the BACKGROUND config key
+ *
+ * A background is an object with:
+ *   generate(width, height, seed)  // lay out for a canvas size, deterministic per seed
+ *   draw(ctx, theme)               // draw the layout with the theme palette
+ *   onChange                       // optional callback, called when the background
+ *                                  // changes on its own (e.g. an image loads)
+ *
+ * Factories receive the game config
+ */
+export const BACKGROUNDS = {
+  dots: () => new DotGridBackground(),
+  checkerboard: () => new CheckerboardBackground(),
+  noise: () => new NoiseGradientBackground(),
+  rings: () => new ConcentricRingsBackground(),
+  image: (config) => new ImageBackground({ src: config.BACKGROUND_IMAGE }),
+};
+
+/**
+ * Adds a custom background generator
+ * @param {string} name - Value to use for the BACKGROUND config key
+ * @param {Function} factory - Called with the game config, returns a background
+ */
+export function registerBackground(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Background "${name}" needs a factory function`);
+  }
+  BACKGROUNDS[name] = factory;
+}
+
+/**
+ * Creates the background selected in the config
+ * @param {Object} config - Game configuration
+ * @returns {Object} Background generator
+ * @throws {Error} If the background name is unknown
+ */
+export function createBackground(config) {
+  const factory = BACKGROUNDS[config.BACKGROUND];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown background "${config.BACKGROUND}", use one of ${Object.keys(BACKGROUNDS).join(', ')}`
+    );
+  }
+
+  return factory(config);
+}
@@ -0,0 +1,843 @@
+import { Renderer } from './Renderer.js';
+
+// Extra space around a frame covered by the selection outline
+const OUTLINE_MARGIN = 6;
+
+// Position and font of the frame-time counter
+const STATS_FONT = '12px monospace';
+const STATS_PADDING = 6;
+const STATS_HEIGHT = 22;
+
+// Largest backing store in device pixels, about what mobile browsers allow
+const MAX_BACKING_PIXELS = 4096 * 4096;
+
+/**
+ * Canvas 2D rendering backend for the FramePusher game
+ * Handles all canvas drawing operations including background and frames
+ *
+ * The static background is cached in an offscreen layer. A scene is only
+ * redrawn when something changed, and then only inside the regions the
+ * moved frames left and entered
+ *
+ * All drawing coordinates are CSS pixels. The backing store is scaled by
+ * devicePixelRatio, capped by MAX_PIXEL_RATIO, so the canvas stays crisp
+ * on high-DPI screens
+ */
+export class CanvasRenderer extends Renderer {
+  constructor(canvas, config) {
+    super(canvas, config);
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+
+    // Size in CSS pixels and backing store pixels per CSS pixel
+    this.width = canvas.width;
+    this.height = canvas.height;
+    this.maxPixelRatio = config.MAX_PIXEL_RATIO;
+    this.pixelRatio = 1;
+
+    // The resolution query only matches the current ratio, so it is
+    // replaced after every change
+    this.resolutionQuery = null;
+    this._onResolutionChange = this._handleResolutionChange.bind(this);
+    this._watchResolution();
+
+    // Offscreen background layer, rebuilt when it is marked dirty
+    this.backgroundLayer = document.createElement('canvas');
+    this.isLayerDirty = true;
+
+    // What the canvas currently shows, used to find what changed
+    this.isFullRedrawNeeded = true;
+    this.drawnRects = [];
+    this.drawnStyles = [];
+    this.drawnFlags = null;
+    this.drawnStatsText = null;
+    this.drawnStatsWidth = 0;
+  }
+
+  /**
+   * Applies configuration changes without recreating the renderer
+   * @param {Object} config - Current game configuration
+   */
+  updateConfig(config) {
+    super.updateConfig(config);
+
+    if (config.MAX_PIXEL_RATIO !== this.maxPixelRatio) {
+      this.maxPixelRatio = config.MAX_PIXEL_RATIO;
+      this.resize(this.width, this.height);
+    }
+  }
+
+  /**
+   * Removes the colour scheme and resolution listeners
+   * Call this when destroying the game instance
+   */
+  destroy() {
+    super.destroy();
+
+    if (this.resolutionQuery) {
+      this.resolutionQuery.removeEventListener('change', this._onResolutionChange);
+      this.resolutionQuery = null;
+    }
+  }
+
+  /**
+   * Forces the next drawScene to redraw the whole canvas
+   * Needed whenever something is drawn on top of the scene, e.g. mode
+   * overlays, since those are not tracked by the dirty regions
+   */
+  invalidate() {
+    this.isFullRedrawNeeded = true;
+  }
+
+  /**
+   * Rebuilds the background layer with the new palette
+   * @private
+   */
+  _handleThemeChange() {
+    this.isLayerDirty = true;
+    this.invalidate();
+  }
+
+  /**
+   * Rebuilds the background layer after the pattern changed
+   * @private
+   */
+  _handleBackgroundChange() {
+    this.isLayerDirty = true;
+    this.invalidate();
+  }
+
+  /**
+   * Draws the scene including background and frames
+   * Nothing is drawn if the scene looks the same as last time
+   * @param {Array} frames - Array of frame objects to render
+   * @param {boolean} isDragging - Current dragging state
+   * @param {number} [selectedIndex=-1] - Frame to outline as keyboard selection
+   * @param {boolean} [isHovered=false] - Whether the pointer is over the handle
+   * @returns {boolean} True if anything was redrawn
+   */
+  drawScene(frames, isDragging, selectedIndex = -1, isHovered = false) {
+    // Highlight changes are rare, they simply redraw everything
+    const flags = `${isDragging}|${selectedIndex}|${isHovered}`;
+    const isFullRedraw =
+      this.isFullRedrawNeeded ||
+      frames.length !== this.drawnRects.length ||
+      flags !== this.drawnFlags;
+    const region = isFullRedraw
+      ? { x: 0, y: 0, width: this.width, height: this.height }
+      : this._getDirtyRegion(frames);
+
+    if (!region) {
+      return false;
+    }
+
+    if (this.isLayerDirty) {
+      this._renderBackgroundLayer();
+    }
+
+    // Clip and restore the background on whole device pixels, so a
+    // fractional ratio does not leave seams at the region edges
+    const pixels = this._toDevicePixels(region);
+
+    this.ctx.save();
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    if (!isFullRedraw) {
+      this.ctx.beginPath();
+      this.ctx.rect(pixels.x, pixels.y, pixels.width, pixels.height);
+      this.ctx.clip();
+    }
+
+    this._drawBackground(pixels);
+    this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    this._drawFrames(frames, isDragging, isHovered);
+
+    if (selectedIndex >= 0 && selectedIndex < frames.length) {
+      this._drawSelection(frames[selectedIndex]);
+    }
+
+    if (this.statsText) {
+      this._drawStats();
+    }
+    this.ctx.restore();
+
+    this.drawnRects = frames.map((frame) => ({
+      ...this._getFrameBounds(frame),
+      angle: frame.angle,
+    }));
+    this.drawnStyles = frames.map((frame) => this._getFrameStyleKey(frame));
+    this.drawnFlags = flags;
+    this.drawnStatsText = this.statsText;
+    this.isFullRedrawNeeded = false;
+    return true;
+  }
+
+  /**
+   * Finds the region covering every frame that moved, resized or changed
+   * its look, both where it was and where it is now, plus a changed counter
+   * @param {Array} frames - Frames about to be drawn
+   * @returns {Object|null} Rectangle to redraw, or null if nothing changed
+   * @private
+   */
+  _getDirtyRegion(frames) {
+    const margin = this._getDirtyMargin();
+    let region = null;
+
+    for (let i = 0; i < frames.length; i++) {
+      const frame = frames[i];
+      const drawn = this.drawnRects[i];
+      const bounds = this._getFrameBounds(frame);
+
+      if (
+        bounds.x !== drawn.x ||
+        bounds.y !== drawn.y ||
+        bounds.width !== drawn.width ||
+        bounds.height !== drawn.height ||
+        frame.angle !== drawn.angle ||
+        this._getFrameStyleKey(frame) !== this.drawnStyles[i]
+      ) {
+        region = this._union(region, drawn);
+        region = this._union(region, bounds);
+      }
+    }
+
+    if (this.statsText !== this.drawnStatsText) {
+      region = this._union(region, this._getStatsRect());
+    }
+
+    if (!region) {
+      return null;
+    }
+
+    // Round outwards to whole pixels to avoid seams at the clip edge
+    const x = Math.max(0, Math.floor(region.x - margin));
+    const y = Math.max(0, Math.floor(region.y - margin));
+    const right = Math.min(
+      this.width,
+      Math.ceil(region.x + region.width + margin)
+    );
+    const bottom = Math.min(
+      this.height,
+      Math.ceil(region.y + region.height + margin)
+    );
+
+    return { x, y, width: right - x, height: bottom - y };
+  }
+
+  /**
+   * Builds a key of the per-frame settings that change how a frame looks,
+   * including the revision of a soft border
+   * @private
+   */
+  _getFrameStyleKey(frame) {
+    const meshRevision = frame.mesh ? frame.mesh.revision : '';
+    return `${frame.shape}|${frame.thickness}|${frame.color}|${frame.radius}|${frame.label}|${meshRevision}`;
+  }
+
+  /**
+   * Gets how far drawing may spill outside a frame: its shadow or the
+   * selection outline, whichever reaches further
+   * @returns {number} Margin in pixels
+   * @private
+   */
+  _getDirtyMargin() {
+    let margin = OUTLINE_MARGIN;
+
+    for (const shadow of [this.theme.frameShadow, this.theme.handleShadow]) {
+      margin = Math.max(margin, shadow.blur + Math.abs(shadow.offsetY));
+    }
+
+    return margin;
+  }
+
+  /**
+   * Grows a rectangle to include another one
+   * @private
+   */
+  _union(a, b) {
+    if (!a) {
+      return { x: b.x, y: b.y, width: b.width, height: b.height };
+    }
+
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    return {
+      x,
+      y,
+      width: Math.max(a.x + a.width, b.x + b.width) - x,
+      height: Math.max(a.y + a.height, b.y + b.height) - y,
+    };
+  }
+
+  /**
+   * Paints the background fill and pattern into the offscreen layer
+   * @private
+   */
+  _renderBackgroundLayer() {
+    const layer = this.backgroundLayer;
+    const layerCtx = layer.getContext('2d');
+
+    layer.width = this.canvas.width;
+    layer.height = this.canvas.height;
+    layerCtx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+
+    if (this.theme.background.fill) {
+      layerCtx.fillStyle = this.theme.background.fill;
+      layerCtx.fillRect(0, 0, this.width, this.height);
+    }
+
+    this.background.draw(layerCtx, this.theme);
+    this.isLayerDirty = false;
+  }
+
+  /**
+   * Converts a rectangle in CSS pixels to whole backing store pixels
+   * @param {Object} rect - Rectangle in CSS pixels
+   * @returns {Object} Rectangle in device pixels, rounded outwards
+   * @private
+   */
+  _toDevicePixels(rect) {
+    const ratio = this.pixelRatio;
+    const x = Math.max(0, Math.floor(rect.x * ratio));
+    const y = Math.max(0, Math.floor(rect.y * ratio));
+    const right = Math.min(
+      this.canvas.width,
+      Math.ceil((rect.x + rect.width) * ratio)
+    );
+    const bottom = Math.min(
+      this.canvas.height,
+      Math.ceil((rect.y + rect.height) * ratio)
+    );
+
+    return { x, y, width: right - x, height: bottom - y };
+  }
+
+  /**
+   * Copies a region of the cached background layer to the canvas
+   * Expects an identity transform, the layer has the canvas resolution
+   * @param {Object} region - Rectangle to restore in device pixels
+   * @private
+   */
+  _drawBackground(region) {
+    const { x, y, width, height } = region;
+
+    if (width <= 0 || height <= 0) {
+      return;
+    }
+
+    this.ctx.clearRect(x, y, width, height);
+    this.ctx.drawImage(
+      this.backgroundLayer,
+      x,
+      y,
+      width,
+      height,
+      x,
+      y,
+      width,
+      height
+    );
+  }
+
+  /**
+   * Gets the area the frame-time counter occupies
+   * Wide enough for the longer of the shown and the new text
+   * @private
+   */
+  _getStatsRect() {
+    let width = this.drawnStatsWidth;
+
+    if (this.statsText) {
+      this.ctx.save();
+      this.ctx.font = STATS_FONT;
+      width = Math.max(
+        width,
+        this.ctx.measureText(this.statsText).width + STATS_PADDING * 2
+      );
+      this.ctx.restore();
+    }
+
+    return {
+      x: 0,
+      y: this.height - STATS_HEIGHT,
+      width,
+      height: STATS_HEIGHT,
+    };
+  }
+
+  /**
+   * Draws the frame-time counter in the bottom left corner
+   * @private
+   */
+  _drawStats() {
+    this.ctx.font = STATS_FONT;
+    const width = this.ctx.measureText(this.statsText).width + STATS_PADDING * 2;
+    const y = this.height - STATS_HEIGHT;
+
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    this.ctx.fillRect(0, y, width, STATS_HEIGHT);
+
+    this.ctx.fillStyle = '#ffffff';
+    this.ctx.textBaseline = 'middle';
+    this.ctx.fillText(this.statsText, STATS_PADDING, y + STATS_HEIGHT / 2);
+    this.drawnStatsWidth = width;
+  }
+
+  /**
+   * Draws all frames with proper styling and shadows
+   * Uses for loop for index-based rendering logic
+   * @param {Array} frames - Array of frame objects
+   * @param {boolean} isDragging - Current dragging state
+   * @param {boolean} isHovered - Whether the pointer is over the handle
+   * @private
+   */
+  _drawFrames(frames, isDragging, isHovered) {
+    for (let i = 0; i < frames.length; i++) {
+      const frame = frames[i];
+      const isLastFrame = i === frames.length - 1;
+
+      this.ctx.save();
+      this._applyFrameTransform(frame);
+
+      if (isLastFrame) {
+        this._drawDraggableSquare(frame, isDragging, isHovered);
+      } else {
+        this._drawFrameBorder(frame);
+      }
+
+      this.ctx.restore();
+    }
+  }
+
+  /**
+   * Draws a frame border (hollow rectangle with shadow)
+   * The border is stroked along its centre line, inset by half the frame's
+   * own thickness, with the corner radius measured at the outer edge
+   * @param {Object} frame - Frame object with dimensions and its settings
+   * @private
+   */
+  _drawFrameBorder(frame) {
+    const { frame: colors, frameShadow } = this.theme;
+    const { thickness } = frame;
+    const halfThickness = thickness / 2;
+    const radius = this._getCornerRadius(frame);
+
+    if (colors.fill) {
+      this.ctx.fillStyle = colors.fill;
+      this._traceOutline(frame, 0);
+      this.ctx.fill();
+    }
+
+    this.ctx.strokeStyle = frame.color || colors.stroke;
+    this.ctx.lineWidth = thickness;
+    this._applyShadow(frameShadow);
+
+    this._traceOutline(frame, halfThickness);
+    this.ctx.stroke();
+
+    if (frame.label) {
+      // Rings fit the label to the width of the circle at the border centre
+      const labelWidth = frame.shape === 'ring'
+        ? 2 * Math.sqrt(radius ** 2 - (radius - halfThickness) ** 2)
+        : frame.width - radius * 2;
+
+      this._drawLabel(
+        frame.label,
+        frame.width / 2,
+        halfThickness,
+        thickness,
+        labelWidth
+      );
+    }
+  }
+
+  /**
+   * Moves the origin to the top left corner of a frame, turned with it
+   * @param {Object} frame - Frame with position, size and angle
+   * @private
+   */
+  _applyFrameTransform(frame) {
+    this.ctx.translate(frame.x, frame.y);
+
+    if (frame.angle) {
+      this.ctx.translate(frame.width / 2, frame.height / 2);
+      this.ctx.rotate(frame.angle);
+      this.ctx.translate(-frame.width / 2, -frame.height / 2);
+    }
+  }
+
+  /**
+   * Draws a frame label centred on a point
+   * The font is sized to the border, so labels fit on thin frames
+   * @param {string} text - Label text
+   * @param {number} x - Centre x relative to the frame
+   * @param {number} y - Centre y relative to the frame
+   * @param {number} size - Height available for the text
+   * @param {number} maxWidth - Width the text is squeezed into
+   * @private
+   */
+  _drawLabel(text, x, y, size, maxWidth) {
+    const fontSize = Math.max(8, Math.min(16, size * 0.7));
+
+    this.ctx.shadowColor = 'transparent';
+    this.ctx.fillStyle = this.theme.background.fill || '#000000';
+    this.ctx.font = `bold ${fontSize}px Arial, sans-serif`;
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+    this.ctx.fillText(text, x, y, Math.max(1, maxWidth - 8));
+  }
+
+  /**
+   * Adds the outline of a frame to a new path, following its soft border
+   * if it has one
+   * @param {Object} frame - Frame to outline
+   * @param {number} inset - Distance to move the outline inside the frame
+   * @private
+   */
+  _traceOutline(frame, inset) {
+    if (!frame.mesh) {
+      this._traceRoundRect(
+        inset,
+        inset,
+        frame.width - inset * 2,
+        frame.height - inset * 2,
+        Math.max(0, this._getCornerRadius(frame) - inset)
+      );
+      return;
+    }
+
+    const { start, segments } = this._getMeshCurve(frame, inset);
+    this.ctx.beginPath();
+    this.ctx.moveTo(start.x, start.y);
+    for (const { cx, cy, x, y } of segments) {
+      this.ctx.quadraticCurveTo(cx, cy, x, y);
+    }
+    this.ctx.closePath();
+  }
+
+  /**
+   * Adds a rectangle with rounded corners to a new path
+   * @private
+   */
+  _traceRoundRect(x, y, width, height, radius) {
+    this.ctx.beginPath();
+
+    if (radius <= 0) {
+      this.ctx.rect(x, y, width, height);
+      return;
+    }
+
+    this.ctx.moveTo(x + radius, y);
+    this.ctx.arcTo(x + width, y, x + width, y + height, radius);
+    this.ctx.arcTo(x + width, y + height, x, y + height, radius);
+    this.ctx.arcTo(x, y + height, x, y, radius);
+    this.ctx.arcTo(x, y, x + width, y, radius);
+    this.ctx.closePath();
+  }
+
+  /**
+   * Draws a dashed outline around the frame selected by the keyboard
+   * @param {Object} frame - Frame object with position and dimensions
+   * @private
+   */
+  _drawSelection(frame) {
+    const margin = 3;
+
+    this.ctx.save();
+    this._applyFrameTransform(frame);
+    this.ctx.strokeStyle = this.theme.selection;
+    this.ctx.lineWidth = 2;
+    this.ctx.setLineDash([6, 4]);
+    this._traceRoundRect(
+      -margin,
+      -margin,
+      frame.width + margin * 2,
+      frame.height + margin * 2,
+      this._getCornerRadius(frame) + margin
+    );
+    this.ctx.stroke();
+    this.ctx.restore();
+  }
+
+  /**
+   * Draws a target zone a frame has to be pushed into
+   * @param {Object} target - Rectangle with x, y, width and height
+   * @param {boolean} isReached - Whether the frame already sits inside
+   */
+  drawTarget(target, isReached) {
+    this.ctx.save();
+    this.ctx.fillStyle = isReached
+      ? 'rgba(102, 187, 106, 0.25)'
+      : 'rgba(255, 235, 59, 0.15)';
+    this.ctx.strokeStyle = isReached ? '#66bb6a' : '#ffeb3b';
+    this.ctx.lineWidth = 2;
+    this.ctx.setLineDash([10, 6]);
+
+    this.ctx.fillRect(target.x, target.y, target.width, target.height);
+    this.ctx.strokeRect(target.x, target.y, target.width, target.height);
+    this.ctx.restore();
+  }
+
+  /**
+   * Draws a message banner across the middle of the canvas
+   * @param {string} text - Message to show
+   */
+  drawBanner(text) {
+    const bannerHeight = 60;
+    const y = (this.height - bannerHeight) / 2;
+
+    this.ctx.save();
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    this.ctx.fillRect(0, y, this.width, bannerHeight);
+
+    this.ctx.fillStyle = '#ffffff';
+    this.ctx.font = 'bold 24px Arial, sans-serif';
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+    this.ctx.fillText(text, this.width / 2, this.height / 2);
+    this.ctx.restore();
+  }
+
+  /**
+   * Draws the challenge HUD in the top left corner
+   * @param {Object} hud - HUD values
+   * @param {number} hud.time - Remaining time in ms
+   * @param {number} hud.score - Current score
+   * @param {number} hud.streak - Current streak length
+   * @param {number} hud.multiplier - Points multiplier of the streak
+   */
+  drawHud(hud) {
+    const { lines, isUrgent } = this._getHudLines(hud);
+
+    this.ctx.save();
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    this.ctx.fillRect(10, 10, 170, lines.length * 24 + 12);
+
+    this.ctx.font = 'bold 18px Arial, sans-serif';
+    this.ctx.textBaseline = 'top';
+
+    for (let i = 0; i < lines.length; i++) {
+      // The countdown turns red for the last seconds
+      this.ctx.fillStyle = i === 0 && isUrgent ? '#ff5252' : '#ffffff';
+      this.ctx.fillText(lines[i], 20, 18 + i * 24);
+    }
+
+    this.ctx.restore();
+  }
+
+  /**
+   * Draws the end-of-round results with the leaderboard
+   * @param {Object} results - Round results
+   * @param {number} results.score - Final score
+   * @param {number} results.targetsReached - Number of targets reached
+   * @param {number} results.bestStreak - Longest streak of the round
+   * @param {number} results.rank - Leaderboard rank of this round, -1 if none
+   * @param {Array} results.entries - Leaderboard entries, best first
+   */
+  drawResults({ score, targetsReached, bestStreak, rank, entries }) {
+    const centerX = this.width / 2;
+    let y = Math.max(20, this.height / 2 - 60 - entries.length * 12);
+
+    this.ctx.save();
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    this.ctx.fillRect(0, 0, this.width, this.height);
+
+    this.ctx.fillStyle = '#ffffff';
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'top';
+
+    this.ctx.font = 'bold 32px Arial, sans-serif';
+    this.ctx.fillText(`${score} points`, centerX, y);
+    y += 44;
+
+    this.ctx.font = '18px Arial, sans-serif';
+    this.ctx.fillText(
+      `${targetsReached} targets, best streak ${bestStreak}`,
+      centerX,
+      y
+    );
+    y += 40;
+
+    this.ctx.font = '16px Arial, sans-serif';
+    for (let i = 0; i < entries.length; i++) {
+      this.ctx.fillStyle = i === rank ? '#ffeb3b' : '#ffffff';
+      this.ctx.fillText(this._formatEntry(entries[i], i), centerX, y);
+      y += 24;
+    }
+
+    this.ctx.fillStyle = '#ffffff';
+    this.ctx.font = 'italic 16px Arial, sans-serif';
+    this.ctx.fillText('Press Enter or click to play again', centerX, y + 16);
+    this.ctx.restore();
+  }
+
+  /**
+   * Draws the live impact particles
+   * Particles fade out over their lifetime; sparks are drawn as streaks
+   * behind their direction of travel
+   * @param {ParticleSystem} particles - Particle system to draw
+   */
+  drawParticles(particles) {
+    this.ctx.save();
+    this.ctx.lineCap = 'round';
+
+    for (let i = 0; i < particles.count; i++) {
+      const particle = particles.particles[i];
+      const color = particle.color || this.theme.frame.stroke;
+      this.ctx.globalAlpha = 1 - particle.age / particle.life;
+
+      if (particle.style.shape === 'spark') {
+        const { trail } = particle.style;
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = particle.size;
+        this.ctx.beginPath();
+        this.ctx.moveTo(particle.x, particle.y);
+        this.ctx.lineTo(particle.x - particle.vx * trail, particle.y - particle.vy * trail);
+        this.ctx.stroke();
+      } else {
+        this.ctx.fillStyle = color;
+        this.ctx.beginPath();
+        this.ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+        this.ctx.fill();
+      }
+    }
+
+    this.ctx.restore();
+  }
+
+  /**
+   * Draws a progress bar at the top, e.g. while recording
+   * @param {string} text - Label above the bar
+   * @param {number} progress - Progress between 0 and 1
+   */
+  drawProgress(text, progress) {
+    const width = Math.min(240, this.width - 20);
+    const x = (this.width - width) / 2;
+    const barWidth = width - 16;
+
+    this.ctx.save();
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    this.ctx.fillRect(x, 10, width, 40);
+
+    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+    this.ctx.fillRect(x + 8, 38, barWidth, 4);
+    this.ctx.fillStyle = '#ff5252';
+    this.ctx.fillRect(x + 8, 38, barWidth * Math.min(1, progress), 4);
+
+    this.ctx.fillStyle = '#ffffff';
+    this.ctx.font = 'bold 14px Arial, sans-serif';
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+    this.ctx.fillText(text, this.width / 2, 24);
+    this.ctx.restore();
+  }
+
+  /**
+   * Draws the draggable square (solid rectangle with shadow)
+   * A custom handle colour shows drag and hover by fading slightly
+   * @param {Object} frame - Frame object with dimensions and its settings
+   * @param {boolean} isDragging - Current dragging state
+   * @param {boolean} isHovered - Whether the pointer is over the handle
+   * @private
+   */
+  _drawDraggableSquare(frame, isDragging, isHovered) {
+    const { handle } = this.theme;
+
+    if (frame.color) {
+      this.ctx.fillStyle = frame.color;
+      this.ctx.globalAlpha = this._getHandleOpacity(isDragging, isHovered);
+    } else if (isDragging) {
+      this.ctx.fillStyle = handle.drag;
+    } else {
+      this.ctx.fillStyle = isHovered ? handle.hover : handle.idle;
+    }
+    this._applyShadow(this.theme.handleShadow);
+
+    this._traceOutline(frame, 0);
+    this.ctx.fill();
+
+    if (frame.label) {
+      this.ctx.globalAlpha = 1;
+      this._drawLabel(
+        frame.label,
+        frame.width / 2,
+        frame.height / 2,
+        frame.height / 2,
+        frame.width
+      );
+    }
+  }
+
+  /**
+   * Sets the canvas shadow from a theme shadow
+   * @param {Object} shadow - Shadow with color, blur and offsetY
+   * @private
+   */
+  _applyShadow(shadow) {
+    // Shadows ignore the canvas transform, so they are scaled by hand
+    this.ctx.shadowColor = shadow.color;
+    this.ctx.shadowBlur = shadow.blur * this.pixelRatio;
+    this.ctx.shadowOffsetY = shadow.offsetY * this.pixelRatio;
+  }
+
+  /**
+   * Updates canvas size and regenerates background
+   * The backing store gets the size times the pixel ratio while the
+   * element keeps the CSS size
+   * @param {number} width - New canvas width in CSS pixels
+   * @param {number} height - New canvas height in CSS pixels
+   */
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.pixelRatio = this._getPixelRatio();
+
+    this.canvas.width = Math.round(width * this.pixelRatio);
+    this.canvas.height = Math.round(height * this.pixelRatio);
+    this.canvas.style.width = `${width}px`;
+    this.canvas.style.height = `${height}px`;
+    this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+
+    this.generateBackground();
+    this.drawnStatsWidth = 0;
+  }
+
+  /**
+   * Picks the backing store scale for the current canvas size
+   * The device ratio is capped by MAX_PIXEL_RATIO and by the largest
+   * backing store low-memory devices can handle
+   * @returns {number} Backing store pixels per CSS pixel
+   * @private
+   */
+  _getPixelRatio() {
+    const deviceRatio = window.devicePixelRatio || 1;
+    const area = Math.max(1, this.width * this.height);
+    const memoryRatio = Math.sqrt(MAX_BACKING_PIXELS / area);
+
+    return Math.min(deviceRatio, this.maxPixelRatio, memoryRatio);
+  }
+
+  /**
+   * Listens for the next change of devicePixelRatio
+   * @private
+   */
+  _watchResolution() {
+    if (!window.matchMedia) {
+      return;
+    }
+
+    const ratio = window.devicePixelRatio || 1;
+    this.resolutionQuery = window.matchMedia(`(resolution: ${ratio}dppx)`);
+    this.resolutionQuery.addEventListener('change', this._onResolutionChange);
+  }
+
+  /**
+   * Rescales the backing store when the window moves to a screen with
+   * another pixel ratio or the page is zoomed
+   * @private
+   */
+  _handleResolutionChange() {
+    this.resolutionQuery.removeEventListener('change', this._onResolutionChange);
+    this._watchResolution();
+    this.resize(this.width, this.height);
+  }
+}
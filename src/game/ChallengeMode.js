@@ -0,0 +1,407 @@
+import { Simulation } from './Simulation.js';
+import { Leaderboard } from './Leaderboard.js';
+import { isFrameInTarget } from './LevelLoader.js';
+
+// Length of a round in ms
+const ROUND_DURATION = 60000;
+
+// Points for a target before the streak multiplier
+const TARGET_POINTS = 100;
+
+// A target reached within this many ms of the previous one extends the streak
+const COMBO_WINDOW = 5000;
+
+// Highest streak multiplier
+const MAX_MULTIPLIER = 5;
+
+// The nest is shrunk so the outer frame has room to move
+const NEST_SCALE = 0.6;
+
+// Free space around the outer frame inside a target
+const TARGET_MARGIN = 24;
+
+// Longer gaps between updates (e.g. a hidden tab) do not eat the countdown
+const MAX_UPDATE_GAP = 250;
+
+// localStorage key of the last name entered for the leaderboard
+const PLAYER_NAME_KEY = 'framepusher.playerName';
+
+/**
+ * Timed challenge mode for the FramePusher game
+ * Random targets appear for the outer frame and the player scores by
+ * pushing it into each one before the countdown runs out. Targets reached
+ * in quick succession build a streak that multiplies their points. The
+ * final score goes on a persistent leaderboard shown on the results screen
+ */
+export class ChallengeMode {
+  /**
+   * @param {Object} [options] - Mode options
+   * @param {Leaderboard} [options.leaderboard] - Board the scores go to
+   * @param {Function} [options.askName] - Called with the score when it
+   * makes the board, after the results are shown. Returns the player name
+   * or a promise for it; the default asks in a dialog next to the canvas
+   */
+  constructor({ leaderboard = new Leaderboard(), askName } = {}) {
+    this.leaderboard = leaderboard;
+    this.askName = askName || this._promptName.bind(this);
+    this.game = null;
+    this.savedConfig = null;
+
+    // Round state
+    this.timeLeft = ROUND_DURATION;
+    this.score = 0;
+    this.streak = 0;
+    this.bestStreak = 0;
+    this.targetsReached = 0;
+    this.target = null;
+    this.lastReachedAt = -Infinity;
+    this.lastTimestamp = null;
+    this.results = null;
+    this.isAskingName = false;
+    this.nameDialog = null;
+
+    this._handleKeyDown = this._handleKeyDown.bind(this);
+    this._handlePointerDown = this._handlePointerDown.bind(this);
+
+    // The nest is laid out for the canvas size the round started with
+    this.locksCanvasSize = true;
+  }
+
+  /**
+   * Starts the challenge mode on a game
+   * @param {FramePusher} game - The game instance
+   */
+  attach(game) {
+    this.game = game;
+    this.savedConfig = { ...game.config };
+
+    game.canvas.addEventListener('keydown', this._handleKeyDown);
+    game.canvas.addEventListener('pointerdown', this._handlePointerDown);
+
+    this.startRound();
+  }
+
+  /**
+   * Leaves the challenge mode and restores the free-play setup
+   */
+  detach() {
+    const game = this.game;
+    this.game = null;
+
+    game.canvas.removeEventListener('keydown', this._handleKeyDown);
+    game.canvas.removeEventListener('pointerdown', this._handlePointerDown);
+    game.eventHandler.setInputEnabled(true);
+
+    if (this.nameDialog) {
+      this.nameDialog.close();
+    }
+
+    game.updateConfig(this.savedConfig);
+    game.fitToViewport();
+  }
+
+  /**
+   * Starts a new round with a fresh nest, score and countdown
+   */
+  startRound() {
+    this.timeLeft = ROUND_DURATION;
+    this.score = 0;
+    this.streak = 0;
+    this.bestStreak = 0;
+    this.targetsReached = 0;
+    this.lastReachedAt = -Infinity;
+    this.lastTimestamp = null;
+    this.results = null;
+
+    this.game.loadLayout(this._createLayout());
+    this.game.eventHandler.setInputEnabled(true);
+    this.target = this._createTarget();
+
+    this.game.announcer.announce(
+      `Challenge started, ${ROUND_DURATION / 1000} seconds. ` +
+        'Push the outer frame into the target',
+      true
+    );
+  }
+
+  /**
+   * Runs the countdown and scores reached targets
+   * @param {number} timestamp - Current frame timestamp in ms
+   */
+  update(timestamp) {
+    if (this.results) {
+      return;
+    }
+
+    const elapsed = this.lastTimestamp === null
+      ? 0
+      : Math.min(timestamp - this.lastTimestamp, MAX_UPDATE_GAP);
+    this.lastTimestamp = timestamp;
+    this.timeLeft = Math.max(0, this.timeLeft - elapsed);
+
+    if (this._isTargetReached()) {
+      this._scoreTarget();
+    }
+
+    if (this.timeLeft === 0) {
+      this._endRound();
+    }
+  }
+
+  /**
+   * Draws the target, the HUD and the results screen
+   * @param {Renderer} renderer - The game renderer
+   */
+  draw(renderer) {
+    if (this.results) {
+      renderer.drawResults(this.results);
+      return;
+    }
+
+    renderer.drawTarget(this.target, false);
+    renderer.drawHud({
+      time: this.timeLeft,
+      score: this.score,
+      streak: this.streak,
+      multiplier: this._getMultiplier(),
+    });
+  }
+
+  /**
+   * Adds the points for the current target and places the next one
+   * @private
+   */
+  _scoreTarget() {
+    const elapsedTime = ROUND_DURATION - this.timeLeft;
+    const isCombo = elapsedTime - this.lastReachedAt <= COMBO_WINDOW;
+
+    this.streak = isCombo ? this.streak + 1 : 1;
+    this.bestStreak = Math.max(this.bestStreak, this.streak);
+    this.lastReachedAt = elapsedTime;
+    this.targetsReached++;
+
+    const points = TARGET_POINTS * this._getMultiplier();
+    this.score += points;
+    this.target = this._createTarget();
+
+    this.game.announcer.announce(
+      this.streak > 1
+        ? `${points} points, streak ${this.streak}`
+        : `${points} points`,
+      true
+    );
+  }
+
+  /**
+   * Ends the round and shows the results
+   * A score that makes the leaderboard is added once the name is known
+   * @private
+   */
+  _endRound() {
+    this.game.eventHandler.releaseAll();
+    this.game.eventHandler.setInputEnabled(false);
+
+    this.results = {
+      score: this.score,
+      targetsReached: this.targetsReached,
+      bestStreak: this.bestStreak,
+      rank: -1,
+      entries: this.leaderboard.getEntries(),
+    };
+
+    this.game.announcer.announce(
+      `Time is up. ${this.score} points from ${this.targetsReached} targets` +
+        '. Press Enter to play again',
+      true
+    );
+
+    if (this.leaderboard.qualifies(this.score)) {
+      this._recordScore(this.results);
+    }
+  }
+
+  /**
+   * Asks for the player name and puts the score on the leaderboard
+   * The round cannot be restarted while the name is asked for
+   * @param {Object} results - Results of the round that ended
+   * @private
+   */
+  _recordScore(results) {
+    this.isAskingName = true;
+
+    Promise.resolve()
+      .then(() => this.askName(results.score))
+      .catch((error) => {
+        console.warn('Could not ask for a name:', error);
+        return null;
+      })
+      .then((name) => {
+        this.isAskingName = false;
+        results.rank = this.leaderboard.add(name, results.score);
+        results.entries = this.leaderboard.getEntries();
+
+        if (this.game && this.results === results && results.rank >= 0) {
+          this.game.announcer.announce(
+            `Rank ${results.rank + 1} on the leaderboard`,
+            true
+          );
+        }
+      });
+  }
+
+  /**
+   * Gets the points multiplier for the current streak
+   * @returns {number} Multiplier between 1 and MAX_MULTIPLIER
+   * @private
+   */
+  _getMultiplier() {
+    return Math.max(1, Math.min(this.streak, MAX_MULTIPLIER));
+  }
+
+  /**
+   * Builds a centered nest smaller than the canvas
+   * @returns {Object} Layout for FramePusher.loadLayout
+   * @private
+   */
+  _createLayout() {
+    const { width, height } = this.game.simulation;
+    const nestWidth = Math.floor(width * NEST_SCALE);
+    const nestHeight = Math.floor(height * NEST_SCALE);
+    const offsetX = Math.floor((width - nestWidth) / 2);
+    const offsetY = Math.floor((height - nestHeight) / 2);
+
+    const nest = new Simulation(nestWidth, nestHeight, this.game.config);
+    const frames = nest.frames.map((frame) => ({
+      x: frame.x + offsetX,
+      y: frame.y + offsetY,
+      width: frame.width,
+      height: frame.height,
+    }));
+
+    return { width, height, frames };
+  }
+
+  /**
+   * Places a target for the outer frame somewhere it is not already
+   * @returns {Object} Target rectangle
+   * @private
+   */
+  _createTarget() {
+    const { width, height } = this.game.simulation;
+    const outer = this.game.frames[0];
+    const targetWidth = Math.min(width, outer.width + TARGET_MARGIN * 2);
+    const targetHeight = Math.min(height, outer.height + TARGET_MARGIN * 2);
+    let target;
+
+    // A few attempts are enough, the free space is large compared to the margin
+    for (let attempt = 0; attempt < 10; attempt++) {
+      target = {
+        x: Math.random() * (width - targetWidth),
+        y: Math.random() * (height - targetHeight),
+        width: targetWidth,
+        height: targetHeight,
+      };
+
+      if (!isFrameInTarget(outer, target)) {
+        break;
+      }
+    }
+
+    return target;
+  }
+
+  /**
+   * Checks if the outer frame lies inside the current target
+   * @private
+   */
+  _isTargetReached() {
+    return isFrameInTarget(this.game.frames[0], this.target);
+  }
+
+  /**
+   * Asks for a leaderboard name in a dialog, remembering the last one used
+   * The dialog sits next to the canvas, so it also works inside a shadow
+   * root, and does not block the game loop
+   * @param {number} score - The qualifying score
+   * @returns {Promise<string|null>} Player name, null if cancelled
+   * @private
+   */
+  _promptName(score) {
+    let lastName = '';
+    try {
+      lastName = localStorage.getItem(PLAYER_NAME_KEY) || '';
+    } catch (error) {
+      // Storage unavailable, start with an empty name
+    }
+
+    const dialog = document.createElement('dialog');
+    dialog.className = 'fp-name-dialog';
+
+    const form = document.createElement('form');
+    form.method = 'dialog';
+
+    const label = document.createElement('label');
+    label.textContent = `${score} points, a new high score! Enter your name:`;
+
+    const input = document.createElement('input');
+    input.maxLength = 16;
+    input.autocomplete = 'nickname';
+    input.value = lastName;
+    label.appendChild(input);
+
+    const button = document.createElement('button');
+    button.value = 'save';
+    button.textContent = 'Save';
+
+    form.append(label, button);
+    dialog.appendChild(form);
+
+    this.game.canvas.parentElement.appendChild(dialog);
+    this.nameDialog = dialog;
+
+    return new Promise((resolve) => {
+      dialog.addEventListener('close', () => {
+        const name = dialog.returnValue === 'save' ? input.value.trim() : '';
+        dialog.remove();
+        this.nameDialog = null;
+
+        if (name) {
+          try {
+            localStorage.setItem(PLAYER_NAME_KEY, name);
+          } catch (error) {
+            // The name is still used for this entry
+          }
+        }
+        resolve(name || null);
+      });
+
+      dialog.showModal();
+      input.select();
+    });
+  }
+
+  /**
+   * Restarts from the results screen with Enter or Space
+   * @private
+   */
+  _handleKeyDown(event) {
+    if (this.isAskingName) {
+      return;
+    }
+
+    if (this.results && (event.key === 'Enter' || event.key === ' ')) {
+      event.preventDefault();
+      this.startRound();
+    }
+  }
+
+  /**
+   * Restarts from the results screen on click or tap
+   * @private
+   */
+  _handlePointerDown() {
+    if (this.results && !this.isAskingName) {
+      this.startRound();
+    }
+  }
+}
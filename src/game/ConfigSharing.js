@@ -0,0 +1,434 @@
+import { DEFAULT_CONFIG, FRAME_SHAPES } from './Simulation.js';
+import { findFrameSpecErrors } from './FrameSpecs.js';
+import { THEMES, AUTO_THEME } from './Themes.js';
+import { BACKGROUNDS } from './Backgrounds.js';
+import { PARTICLE_STYLES, NO_PARTICLES } from './ParticleStyles.js';
+
+/**
+ * Current version of the shared setup format
+ */
+export const SETUP_VERSION = 1;
+
+// Name of the URL hash parameter holding an encoded setup
+const HASH_KEY = 'setup';
+
+// Longest string accepted for free text values such as BACKGROUND_IMAGE
+const MAX_STRING_LENGTH = 2048;
+
+/**
+ * What every shareable config key accepts
+ * Numbers are clamped into [min, max] and rounded when integer is set;
+ * options is a function so styles registered later are accepted too.
+ * NUM_FRAMES is left out, it follows from the other values
+ */
+const CONFIG_RULES = {
+  FRAME_THICKNESS: { type: 'number', min: 1, max: 200 },
+  GAP: { type: 'number', min: 0, max: 200 },
+  FRAME_RADIUS: { type: 'number', min: 0, max: 500 },
+  FRAME_SPECS: { type: 'specs' },
+  FRAME_SHAPE: { type: 'option', options: () => Object.keys(FRAME_SHAPES) },
+  HANDLE_SIZE: { type: 'number', min: 4, max: 1000 },
+  DAMPING: { type: 'number', min: 0, max: 1 },
+  SPRING_STRENGTH: { type: 'number', min: 0, max: 1 },
+  ROTATION_ENABLED: { type: 'boolean' },
+  ANGULAR_DAMPING: { type: 'number', min: 0, max: 1 },
+  SOFT_BODY_ENABLED: { type: 'boolean' },
+  SOFTNESS: { type: 'number', min: 0, max: 1 },
+  SETTLING_ENABLED: { type: 'boolean' },
+  FLING_ENABLED: { type: 'boolean' },
+  RESTITUTION: { type: 'number', min: 0, max: 1 },
+  FLING_WINDOW: { type: 'number', min: 1, max: 1000 },
+  MAX_FLING_SPEED: { type: 'number', min: 0, max: 200 },
+  TIMESTEP: { type: 'number', min: 1, max: 100 },
+  MAX_STEPS_PER_FRAME: { type: 'number', min: 1, max: 20, integer: true },
+  SLEEP_VELOCITY: { type: 'number', min: 0.001, max: 10 },
+  IMPACT_SPEED_MIN: { type: 'number', min: 0, max: 100 },
+  IMPACT_SPEED_MAX: { type: 'number', min: 0.1, max: 200 },
+  SOUND_MIN_INTERVAL: { type: 'number', min: 0, max: 5000 },
+  THEME: {
+    type: 'theme',
+    options: () => [AUTO_THEME, ...Object.keys(THEMES)],
+  },
+  BACKGROUND: { type: 'option', options: () => Object.keys(BACKGROUNDS) },
+  BACKGROUND_SEED: { type: 'number', min: 1, max: 2 ** 31 - 1, integer: true },
+  BACKGROUND_IMAGE: { type: 'string' },
+  SHOW_FRAME_TIME: { type: 'boolean' },
+  MAX_PIXEL_RATIO: { type: 'number', min: 0.5, max: 4 },
+  PARTICLES: {
+    type: 'option',
+    options: () => [NO_PARTICLES, ...Object.keys(PARTICLE_STYLES)],
+  },
+  MAX_PARTICLES: { type: 'number', min: 0, max: 5000, integer: true },
+};
+
+// Canvas width and height a setup with frames may resize to. Larger
+// canvases nest so many frames that the page stops responding
+const SIZE_RULE = { type: 'number', min: 1, max: 4096, integer: true };
+
+// What every field of a custom THEME object accepts, see Themes.js.
+// Colours are only checked to be strings, the renderer parses them
+const THEME_FIELDS = {
+  name: 'string',
+  frame: { stroke: 'string', fill: 'string or null' },
+  handle: { idle: 'string', drag: 'string', hover: 'string' },
+  frameShadow: { color: 'string', blur: 'number', offsetY: 'number' },
+  handleShadow: { color: 'string', blur: 'number', offsetY: 'number' },
+  background: {
+    fill: 'string',
+    hueMin: 'number',
+    hueMax: 'number',
+    saturation: 'number',
+    lightness: 'number',
+  },
+  selection: 'string',
+};
+
+/**
+ * Builds a setup that reproduces the current game
+ * Setup format:
+ * {
+ *   version: 1,
+ *   config: { ... },                    // every shareable config key
+ *   width, height,                      // only with frames
+ *   frames: [[x, y, angle], ...],       // optional, outermost first
+ * }
+ * @param {Object} simulation - Simulation to describe
+ * @param {boolean} [includeFrames=false] - Also store the frame positions
+ * @returns {Object} Setup, ready for JSON.stringify
+ */
+export function createSetup(simulation, includeFrames = false) {
+  const config = {};
+  for (const key of Object.keys(CONFIG_RULES)) {
+    config[key] = simulation.config[key];
+  }
+
+  const setup = { version: SETUP_VERSION, config };
+
+  if (includeFrames) {
+    setup.width = simulation.width;
+    setup.height = simulation.height;
+    setup.frames = simulation.frames.map((frame) => [
+      round(frame.x),
+      round(frame.y),
+      round(frame.angle),
+    ]);
+  }
+
+  return setup;
+}
+
+/**
+ * Validates a setup from an untrusted source such as a URL or a file
+ * Unknown keys and values of the wrong type are dropped, numbers out of
+ * range are clamped. Only structural problems are fatal
+ * @param {Object|string} data - Setup object or its JSON string
+ * @param {Object} [current=DEFAULT_CONFIG] - Config the setup is applied
+ * over
+ * @returns {Object} config with the accepted values, frames (null when
+ * missing or unusable) with width and height, and warnings listing
+ * everything that was dropped or changed
+ * @throws {Error} If the data is not a setup of a supported version
+ */
+export function sanitizeSetup(data, current = DEFAULT_CONFIG) {
+  const setup = typeof data === 'string' ? JSON.parse(data) : data;
+
+  if (!setup || typeof setup !== 'object' || Array.isArray(setup)) {
+    throw new Error('Invalid setup: must be an object');
+  }
+
+  if (setup.version !== SETUP_VERSION) {
+    throw new Error(
+      `Invalid setup: unsupported version ${setup.version}, expected ${SETUP_VERSION}`
+    );
+  }
+
+  const { config, warnings } = sanitizeConfig(setup.config || {}, current);
+  const result = { config, frames: null, width: 0, height: 0, warnings };
+
+  if (setup.frames !== undefined) {
+    const isValid =
+      Array.isArray(setup.frames) &&
+      setup.frames.every(
+        (frame) =>
+          Array.isArray(frame) &&
+          frame.length >= 2 &&
+          frame.slice(0, 3).every(Number.isFinite)
+      ) &&
+      Number.isFinite(setup.width) &&
+      Number.isFinite(setup.height) &&
+      setup.width > 0 &&
+      setup.height > 0;
+
+    if (isValid) {
+      result.frames = setup.frames;
+      result.width = clampNumber('width', setup.width, SIZE_RULE, warnings);
+      result.height = clampNumber('height', setup.height, SIZE_RULE, warnings);
+    } else {
+      warnings.push('frames were ignored: need width, height and [x, y, angle] per frame');
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Applies a setup from a link, a preset or a file to a game
+ * Values are validated and clamped before they reach updateConfig. A
+ * setup with frames resizes the canvas to the size it was made at, like
+ * a replay, and moves the frames to where they were; without frames the
+ * nest is laid out again for the new sizes
+ * @param {Object} game - FramePusher, or anything with its config,
+ * frames, simulation, updateConfig, resize and relayout
+ * @param {Object|string} data - Setup object or its JSON string
+ * @returns {Array} Warnings about values that were dropped or clamped
+ * @throws {Error} If the data is not a setup of a supported version
+ */
+export function applySetup(game, data) {
+  const { config, frames, width, height, warnings } = sanitizeSetup(
+    data,
+    game.config
+  );
+
+  game.updateConfig(config);
+
+  if (!frames) {
+    game.relayout();
+    return warnings;
+  }
+
+  game.resize(width, height);
+
+  if (frames.length === game.frames.length) {
+    // Frames start awake so they settle if the setup left them apart
+    game.simulation.restoreFrames(
+      frames.map(([x, y, angle = 0]) => [
+        x,
+        y,
+        0,
+        0,
+        0,
+        game.config.ROTATION_ENABLED ? angle : 0,
+        0,
+      ])
+    );
+  } else {
+    warnings.push(
+      `frames were ignored: the setup has ${frames.length}, the config makes ${game.frames.length}`
+    );
+  }
+
+  return warnings;
+}
+
+/**
+ * Validates configuration values from an untrusted source
+ * An image background is dropped when neither the values nor the current
+ * config give it an image
+ * @param {Object} raw - Configuration values keyed like DEFAULT_CONFIG
+ * @param {Object} [current=DEFAULT_CONFIG] - Config the values are
+ * applied over
+ * @returns {Object} config with the accepted and clamped values, and
+ * warnings describing what was dropped or clamped
+ */
+export function sanitizeConfig(raw, current = DEFAULT_CONFIG) {
+  const config = {};
+  const warnings = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { config, warnings: ['config must be an object'] };
+  }
+
+  for (const [key, value] of Object.entries(raw)) {
+    const rule = CONFIG_RULES[key];
+
+    if (!rule) {
+      // NUM_FRAMES is derived, so it is ignored without a warning
+      if (!Object.hasOwn(DEFAULT_CONFIG, key)) {
+        warnings.push(`${key} is not a config key`);
+      }
+      continue;
+    }
+
+    const problem = checkValue(rule, value);
+    if (problem) {
+      warnings.push(`${key} ${problem}`);
+      continue;
+    }
+
+    if (rule.type === 'number') {
+      config[key] = clampNumber(key, value, rule, warnings);
+    } else {
+      config[key] = value;
+    }
+  }
+
+  if (
+    config.IMPACT_SPEED_MIN !== undefined &&
+    config.IMPACT_SPEED_MAX !== undefined &&
+    config.IMPACT_SPEED_MAX < config.IMPACT_SPEED_MIN
+  ) {
+    warnings.push('IMPACT_SPEED_MAX was raised to IMPACT_SPEED_MIN');
+    config.IMPACT_SPEED_MAX = config.IMPACT_SPEED_MIN;
+  }
+
+  const image = config.BACKGROUND_IMAGE ?? current.BACKGROUND_IMAGE;
+  if (config.BACKGROUND === 'image' && !image) {
+    warnings.push('BACKGROUND image was ignored: BACKGROUND_IMAGE is empty');
+    delete config.BACKGROUND;
+  }
+
+  return { config, warnings };
+}
+
+/**
+ * Encodes a setup into a URL hash
+ * The JSON is base64url encoded, so links survive chat apps and e-mail
+ * @param {Object} setup - Setup as returned by createSetup
+ * @returns {string} Hash including the leading '#'
+ */
+export function encodeSetupHash(setup) {
+  const bytes = new TextEncoder().encode(JSON.stringify(setup));
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+
+  const encoded = btoa(binary)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+  return `#${HASH_KEY}=${encoded}`;
+}
+
+/**
+ * Reads a setup from a URL hash
+ * @param {string} hash - Hash such as window.location.hash
+ * @returns {Object|null} The raw setup, still to be sanitized, or null if
+ * the hash holds none
+ * @throws {Error} If the hash holds a setup that cannot be decoded
+ */
+export function decodeSetupHash(hash) {
+  const encoded = new URLSearchParams(hash.replace(/^#/, '')).get(HASH_KEY);
+  if (!encoded) {
+    return null;
+  }
+
+  try {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    throw new Error(`Invalid setup in URL: ${error.message}`);
+  }
+}
+
+/**
+ * Clamps a number into the range of its rule, rounded when integer is set
+ * @param {string} key - Name used in the warning
+ * @param {number} value - Finite number to clamp
+ * @param {Object} rule - Number rule with min, max and integer
+ * @param {Array} warnings - Receives a warning if the value changed
+ * @returns {number} The clamped value
+ */
+function clampNumber(key, value, rule, warnings) {
+  const rounded = rule.integer ? Math.round(value) : value;
+  const clamped = Math.max(rule.min, Math.min(rounded, rule.max));
+  if (clamped !== value) {
+    warnings.push(`${key} was changed from ${value} to ${clamped}`);
+  }
+  return clamped;
+}
+
+/**
+ * Checks a value against the rule of its key
+ * @param {Object} rule - Entry of CONFIG_RULES
+ * @param {*} value - Value to check
+ * @returns {string|null} What is wrong, null if the value is usable
+ */
+function checkValue(rule, value) {
+  switch (rule.type) {
+    case 'number':
+      return Number.isFinite(value) ? null : 'must be a number';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'string':
+      return typeof value === 'string' && value.length <= MAX_STRING_LENGTH
+        ? null
+        : `must be a string of at most ${MAX_STRING_LENGTH} characters`;
+    case 'specs': {
+      const errors = findFrameSpecErrors(value);
+      return errors.length === 0 ? null : `was ignored: ${errors.join('; ')}`;
+    }
+    case 'theme': {
+      // Custom theme objects are filled in from classic by resolveTheme
+      if (!isPlainObject(value)) {
+        return checkOption(rule, value);
+      }
+      const errors = findThemeErrors(value, THEME_FIELDS, '');
+      return errors.length === 0 ? null : `was ignored: ${errors.join('; ')}`;
+    }
+    default:
+      return checkOption(rule, value);
+  }
+}
+
+/**
+ * Lists what is wrong with the fields of a custom theme object
+ * @param {Object} theme - Theme object or one of its parts
+ * @param {Object} fields - Entry of THEME_FIELDS the object should match
+ * @param {string} prefix - Path of the object, used in the messages
+ * @returns {Array} Problems found, empty if the object is usable
+ */
+function findThemeErrors(theme, fields, prefix) {
+  const errors = [];
+
+  for (const [key, value] of Object.entries(theme)) {
+    const field = fields[key];
+    const path = `${prefix}${key}`;
+
+    if (!field) {
+      errors.push(`${path} is not a theme field`);
+    } else if (typeof field === 'object') {
+      if (isPlainObject(value)) {
+        errors.push(...findThemeErrors(value, field, `${path}.`));
+      } else {
+        errors.push(`${path} must be an object`);
+      }
+    } else if (field === 'number' && !Number.isFinite(value)) {
+      errors.push(`${path} must be a number`);
+    } else if (
+      field !== 'number' &&
+      !(value === null && field === 'string or null') &&
+      !(typeof value === 'string' && value.length <= MAX_STRING_LENGTH)
+    ) {
+      errors.push(`${path} must be a ${field}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Checks if a value is an object that is not an array
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks that a value is one of the names a rule allows
+ * @returns {string|null} What is wrong, null if the value is allowed
+ */
+function checkOption(rule, value) {
+  const options = rule.options();
+  return options.includes(value)
+    ? null
+    : `must be one of ${options.join(', ')}`;
+}
+
+/**
+ * Rounds a position to two decimals to keep links short
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,102 @@
+/**
+ * Event emitter with a fixed set of event types
+ * Subscribing to or emitting a type outside the set throws, so a typo in
+ * an event name fails loudly instead of never firing. A listener that
+ * throws is reported and does not keep the others from running
+ */
+export class EventEmitter {
+  /**
+   * @param {Array} types - Names of the events that can be emitted
+   */
+  constructor(types) {
+    this.listeners = new Map();
+    for (const type of types) {
+      this.listeners.set(type, []);
+    }
+  }
+
+  /**
+   * Adds a listener
+   * @param {string} type - Event type
+   * @param {Function} listener - Called with the event details
+   * @returns {Function} Removes the listener again
+   * @throws {Error} If the event type is unknown
+   */
+  on(type, listener) {
+    if (typeof listener !== 'function') {
+      throw new Error(`Listener for "${type}" must be a function`);
+    }
+
+    this._getListeners(type).push(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Removes a listener
+   * @param {string} type - Event type
+   * @param {Function} listener - Listener passed to on
+   * @returns {boolean} True if the listener was registered
+   * @throws {Error} If the event type is unknown
+   */
+  off(type, listener) {
+    const listeners = this._getListeners(type);
+    const index = listeners.indexOf(listener);
+    if (index === -1) {
+      return false;
+    }
+
+    listeners.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Calls the listeners of an event type
+   * Listeners added or removed while emitting take effect from the next
+   * event on
+   * @param {string} type - Event type
+   * @param {Object} detail - Event details passed to every listener
+   * @throws {Error} If the event type is unknown
+   */
+  emit(type, detail) {
+    for (const listener of [...this._getListeners(type)]) {
+      try {
+        listener(detail);
+      } catch (error) {
+        console.warn(`Listener for "${type}" failed:`, error);
+      }
+    }
+  }
+
+  /**
+   * Checks whether an event type has listeners
+   * Lets callers skip building details nobody receives
+   * @param {string} type - Event type
+   * @returns {boolean} True if at least one listener is registered
+   */
+  hasListeners(type) {
+    return this._getListeners(type).length > 0;
+  }
+
+  /**
+   * Removes all listeners
+   */
+  clear() {
+    for (const listeners of this.listeners.values()) {
+      listeners.length = 0;
+    }
+  }
+
+  /**
+   * Gets the listener list of an event type
+   * @private
+   */
+  _getListeners(type) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) {
+      throw new Error(
+        `Unknown event "${type}", use one of ${[...this.listeners.keys()].join(', ')}`
+      );
+    }
+    return listeners;
+  }
+}
@@ -1,40 +1,101 @@
+/**
+ * Pointer id used for drags driven by the keyboard
+ */
+export const KEYBOARD_POINTER_ID = -1;
+
+// Nudge distances in pixels for arrow keys, without and with Shift
+const KEY_NUDGE = 4;
+const KEY_NUDGE_LARGE = 24;
+
+const ARROW_DIRECTIONS = {
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 },
+};
+
 /**
  * Event handler for the FramePusher game
- * Manages mouse interactions and drag operations
+ * Manages pointer interactions and drag operations
+ *
+ * Uses Pointer Events with pointer capture, so mouse, pen and touch share
+ * one code path and every pointer can drag its own frame at the same time.
+ * Keyboard input drives a virtual pointer through the same drag path:
+ * arrow keys nudge the selected frame (Shift for bigger steps), C recenters
+ * it and [ / ] cycle the selection
  */
 export class EventHandler {
-  constructor(canvas, dragTarget) {
+  constructor(canvas, frames) {
     this.canvas = canvas;
-    this.dragInfo = {
-      isDragging: false,
-      target: dragTarget,
-      offsetX: 0,
-      offsetY: 0,
+    this.frames = frames;
+    this.bounds = {
+      width: canvas.width,
+      height: canvas.height,
     };
-    
+
+    // Active drags keyed by pointer id
+    this.drags = new Map();
+
+    // Keyboard state
+    this.selectedIndex = frames.length - 1;
+    this.pressedArrows = new Set();
+    this.keyboardPosition = null;
+
+    // Frame under a hovering mouse, -1 if none
+    this.hoverIndex = -1;
+
     this.onDragStart = null;
     this.onDragEnd = null;
     this.onDragMove = null;
-    
+    this.onSelect = null;
+
+    // Live input can be switched off, e.g. while a recording is replayed
+    this.isInputEnabled = true;
+    this.recorder = null;
+
+    // Bound handlers are kept so the listeners can be removed again
+    this._onPointerDown = this._handlePointerDown.bind(this);
+    this._onPointerMove = this._handlePointerMove.bind(this);
+    this._onPointerUp = this._handlePointerUp.bind(this);
+    this._onPointerLeave = this._handlePointerLeave.bind(this);
+    this._onKeyDown = this._handleKeyDown.bind(this);
+    this._onKeyUp = this._handleKeyUp.bind(this);
+    this._onBlur = this._handleBlur.bind(this);
+
+    this._makeFocusable();
     this._bindEvents();
   }
 
   /**
-   * Binds all mouse and touch event listeners to the canvas and window
+   * Makes the canvas reachable and understandable for keyboard and
+   * screen reader users
+   * @private
+   */
+  _makeFocusable() {
+    this.canvas.tabIndex = 0;
+    this.canvas.setAttribute('role', 'application');
+    this.canvas.setAttribute(
+      'aria-label',
+      'FramePusher. Arrow keys move the selected frame, hold Shift for ' +
+        'bigger steps. C recenters it, [ and ] select another frame.'
+    );
+  }
+
+  /**
+   * Binds all pointer event listeners to the canvas
+   * Pointer capture routes moves outside the canvas back to it
    * @private
    */
   _bindEvents() {
-    // Mouse events
-    this.canvas.addEventListener('mousedown', this._handleMouseDown.bind(this));
-    window.addEventListener('mousemove', this._handleMouseMove.bind(this));
-    window.addEventListener('mouseup', this._handleMouseUp.bind(this));
-    window.addEventListener('mouseleave', this._handleMouseUp.bind(this));
-    
-    // Touch events for mobile support
-    this.canvas.addEventListener('touchstart', this._handleTouchStart.bind(this), { passive: false });
-    window.addEventListener('touchmove', this._handleTouchMove.bind(this), { passive: false });
-    window.addEventListener('touchend', this._handleTouchEnd.bind(this));
-    window.addEventListener('touchcancel', this._handleTouchEnd.bind(this));
+    this.canvas.addEventListener('pointerdown', this._onPointerDown);
+    this.canvas.addEventListener('pointermove', this._onPointerMove);
+    this.canvas.addEventListener('pointerup', this._onPointerUp);
+    this.canvas.addEventListener('pointercancel', this._onPointerUp);
+    this.canvas.addEventListener('lostpointercapture', this._onPointerUp);
+    this.canvas.addEventListener('pointerleave', this._onPointerLeave);
+    this.canvas.addEventListener('keydown', this._onKeyDown);
+    this.canvas.addEventListener('keyup', this._onKeyUp);
+    this.canvas.addEventListener('blur', this._onBlur);
   }
 
   /**
@@ -42,21 +103,24 @@ export class EventHandler {
    * Call this when destroying the game instance
    */
   destroy() {
-    // Remove mouse events
-    this.canvas.removeEventListener('mousedown', this._handleMouseDown.bind(this));
-    window.removeEventListener('mousemove', this._handleMouseMove.bind(this));
-    window.removeEventListener('mouseup', this._handleMouseUp.bind(this));
-    window.removeEventListener('mouseleave', this._handleMouseUp.bind(this));
-    
-    // Remove touch events
-    this.canvas.removeEventListener('touchstart', this._handleTouchStart.bind(this));
-    window.removeEventListener('touchmove', this._handleTouchMove.bind(this));
-    window.removeEventListener('touchend', this._handleTouchEnd.bind(this));
-    window.removeEventListener('touchcancel', this._handleTouchEnd.bind(this));
+    this.canvas.removeEventListener('pointerdown', this._onPointerDown);
+    this.canvas.removeEventListener('pointermove', this._onPointerMove);
+    this.canvas.removeEventListener('pointerup', this._onPointerUp);
+    this.canvas.removeEventListener('pointercancel', this._onPointerUp);
+    this.canvas.removeEventListener('lostpointercapture', this._onPointerUp);
+    this.canvas.removeEventListener('pointerleave', this._onPointerLeave);
+    this.canvas.removeEventListener('keydown', this._onKeyDown);
+    this.canvas.removeEventListener('keyup', this._onKeyUp);
+    this.canvas.removeEventListener('blur', this._onBlur);
+    this.drags.clear();
   }
 
   /**
    * Sets callback functions for drag events
+   * Each callback receives a drag object with pointerId, frameIndex and
+   * the time of the operation in ms. onDragMove also gets the new frame
+   * position as x and y, onDragEnd gets isCancelled for drags dropped by
+   * setFrames
    * @param {Function} onDragStart - Called when dragging starts
    * @param {Function} onDragMove - Called during dragging
    * @param {Function} onDragEnd - Called when dragging ends
@@ -68,70 +132,433 @@ export class EventHandler {
   }
 
   /**
-   * Updates the drag target (the draggable frame)
-   * @param {Object} target - The frame object that can be dragged
+   * Sets the callback invoked when the keyboard selection changes
+   * @param {Function} onSelect - Called with the selected frame index
+   */
+  setSelectCallback(onSelect) {
+    this.onSelect = onSelect;
+  }
+
+  /**
+   * Attaches an input recorder that receives every drag operation
+   * @param {InputRecorder|null} recorder - Recorder instance or null to detach
+   */
+  setRecorder(recorder) {
+    this.recorder = recorder;
+  }
+
+  /**
+   * Enables or disables live pointer input
+   * Programmatic drags through dispatchDrag are not affected
+   * @param {boolean} enabled - Whether live input should be handled
+   */
+  setInputEnabled(enabled) {
+    this.isInputEnabled = enabled;
+  }
+
+  /**
+   * Feeds a drag operation through the same path as live input
+   * @param {string} type - One of 'start', 'move' or 'end'
+   * @param {Object} [position] - Pointer position with x and y coordinates
+   * @param {number} [pointerId=0] - Id of the pointer performing the drag
+   * @param {number} [time] - Time of the operation in ms, now if not given
    */
-  setDragTarget(target) {
-    this.dragInfo.target = target;
+  dispatchDrag(type, position, pointerId = 0, time = this._now()) {
+    switch (type) {
+      case 'start':
+        this._handleDragStart(null, position, pointerId, time);
+        break;
+      case 'move':
+        this._handleDragMove(position, pointerId, time);
+        break;
+      case 'end':
+        this._handleDragEnd(pointerId, time);
+        break;
+      default:
+        throw new Error(`Unknown drag operation "${type}"`);
+    }
+  }
+
+  /**
+   * Ends every active drag
+   */
+  releaseAll() {
+    for (const pointerId of [...this.drags.keys()]) {
+      this._handleDragEnd(pointerId);
+    }
+  }
+
+  /**
+   * Sets the area dragged frames are confined to
+   * @param {number} width - Bounds width
+   * @param {number} height - Bounds height
+   */
+  setBounds(width, height) {
+    this.bounds.width = width;
+    this.bounds.height = height;
+  }
+
+  /**
+   * Updates the frames that can be dragged
+   * Active drags are dropped since their frames no longer exist. Each one
+   * still ends through onDragEnd, marked with isCancelled
+   * @param {Array} frames - Array of frame objects, innermost last
+   */
+  setFrames(frames) {
+    const drags = [...this.drags.values()];
+
+    this.frames = frames;
+    this.drags.clear();
+    this.pressedArrows.clear();
+    this.selectedIndex = frames.length - 1;
+    this.hoverIndex = -1;
+    this.canvas.style.cursor = 'pointer';
+
+    const time = this._now();
+    for (const drag of drags) {
+      this._record('end', undefined, drag.pointerId, time);
+
+      if (this.onDragEnd) {
+        this.onDragEnd({ ...drag, time, isCancelled: true });
+      }
+    }
+  }
+
+  /**
+   * Gets the frame selected for keyboard control
+   * @returns {number} Index of the selected frame
+   */
+  getSelectedIndex() {
+    return this.selectedIndex;
+  }
+
+  /**
+   * Checks whether the canvas has keyboard focus
+   * @returns {boolean} True if the canvas shows a keyboard focus indicator
+   */
+  hasKeyboardFocus() {
+    return this.canvas.matches(':focus-visible');
+  }
+
+  /**
+   * Gets the frame under a hovering mouse pointer
+   * @returns {number} Index of the hovered frame, -1 if none
+   */
+  getHoverIndex() {
+    return this.hoverIndex;
   }
 
   /**
    * Gets the current dragging state
-   * @returns {boolean} True if currently dragging
+   * @returns {boolean} True if at least one frame is being dragged
    */
   isDragging() {
-    return this.dragInfo.isDragging;
+    return this.drags.size > 0;
+  }
+
+  /**
+   * Checks whether a frame is held by a pointer
+   * @param {number} frameIndex - Index of the frame
+   * @returns {boolean} True if the frame is being dragged
+   */
+  isFrameHeld(frameIndex) {
+    for (const drag of this.drags.values()) {
+      if (drag.frameIndex === frameIndex) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Handles pointer down events
+   * Starts dragging the frame under the pointer
+   * @param {PointerEvent} event - The pointer event
+   * @private
+   */
+  _handlePointerDown(event) {
+    if (!this.isInputEnabled) {
+      return;
+    }
+
+    const position = this._getPointerPosition(event);
+    const isStarted = this._handleDragStart(
+      event,
+      position,
+      event.pointerId,
+      this._getEventTime(event)
+    );
+
+    if (isStarted) {
+      this.canvas.setPointerCapture(event.pointerId);
+    }
   }
 
   /**
-   * Handles mouse down events
-   * Initiates dragging if mouse is over the drag target
-   * @param {MouseEvent} event - The mouse event
+   * Handles pointer move events
+   * Updates the dragged frame of that pointer
+   * @param {PointerEvent} event - The pointer event
    * @private
    */
-  _handleMouseDown(event) {
-    const position = this._getMousePosition(event);
-    this._handleDragStart(event, position);
+  _handlePointerMove(event) {
+    if (!this.isInputEnabled) {
+      return;
+    }
+
+    if (!this.drags.has(event.pointerId)) {
+      if (event.pointerType === 'mouse') {
+        this.hoverIndex = this._hitTest(this._getPointerPosition(event));
+      }
+      return;
+    }
+
+    event.preventDefault();
+    const position = this._getPointerPosition(event);
+    this._handleDragMove(position, event.pointerId, this._getEventTime(event));
   }
 
   /**
-   * Handles mouse move events
-   * Updates drag target position if dragging
-   * @param {MouseEvent} event - The mouse event
+   * Handles pointer up, cancel and lost capture events
+   * Ends the drag of that pointer
+   * @param {PointerEvent} event - The pointer event
    * @private
    */
-  _handleMouseMove(event) {
-    if (!this.dragInfo.isDragging) {
+  _handlePointerUp(event) {
+    if (!this.isInputEnabled) {
       return;
     }
-    const position = this._getMousePosition(event);
-    this._handleDragMove(position);
+    this._handleDragEnd(event.pointerId, this._getEventTime(event));
   }
 
   /**
-   * Handles mouse up events
-   * Ends dragging operation
+   * Handles pointer leave events
+   * Clears the hover state once the pointer leaves the canvas
    * @private
    */
-  _handleMouseUp() {
-    this._handleDragEnd();
+  _handlePointerLeave() {
+    this.hoverIndex = -1;
+  }
+
+  /**
+   * Handles key down events
+   * Arrow keys nudge the selected frame, other bound keys recenter it or
+   * change the selection
+   * @param {KeyboardEvent} event - The keyboard event
+   * @private
+   */
+  _handleKeyDown(event) {
+    if (!this.isInputEnabled) {
+      return;
+    }
+
+    const direction = ARROW_DIRECTIONS[event.key];
+    if (direction) {
+      event.preventDefault();
+      this.pressedArrows.add(event.key);
+
+      const distance = event.shiftKey ? KEY_NUDGE_LARGE : KEY_NUDGE;
+      this._nudgeSelected(direction.x * distance, direction.y * distance);
+      return;
+    }
+
+    switch (event.key) {
+      case 'c':
+      case 'C':
+        event.preventDefault();
+        this._recenterSelected();
+        break;
+      case ']':
+        event.preventDefault();
+        this._select(this.selectedIndex + 1);
+        break;
+      case '[':
+        event.preventDefault();
+        this._select(this.selectedIndex - 1);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Handles key up events
+   * Releases the keyboard drag once no arrow key is held anymore
+   * @param {KeyboardEvent} event - The keyboard event
+   * @private
+   */
+  _handleKeyUp(event) {
+    if (!this.pressedArrows.delete(event.key)) {
+      return;
+    }
+
+    if (this.pressedArrows.size === 0 && this.isInputEnabled) {
+      this._handleDragEnd(KEYBOARD_POINTER_ID);
+    }
+  }
+
+  /**
+   * Handles canvas blur events
+   * Key up events are lost once focus moves away, so drop the drag now
+   * @private
+   */
+  _handleBlur() {
+    this.pressedArrows.clear();
+
+    if (this.isInputEnabled) {
+      this._handleDragEnd(KEYBOARD_POINTER_ID);
+    }
+  }
+
+  /**
+   * Moves the selected frame by the given distance
+   * Starts a keyboard drag on the selected frame if none is active
+   * @param {number} dx - Horizontal distance in pixels
+   * @param {number} dy - Vertical distance in pixels
+   * @private
+   */
+  _nudgeSelected(dx, dy) {
+    if (!this._startKeyboardDrag()) {
+      return;
+    }
+
+    this._moveKeyboardDrag(
+      this.keyboardPosition.x + dx,
+      this.keyboardPosition.y + dy
+    );
   }
 
   /**
-   * Gets mouse position relative to canvas
-   * @param {MouseEvent} event - The mouse event
+   * Moves the selected frame back to the center of the bounds
+   * @private
+   */
+  _recenterSelected() {
+    const wasDragging = this.drags.has(KEYBOARD_POINTER_ID);
+    if (!this._startKeyboardDrag()) {
+      return;
+    }
+
+    const frame = this.frames[this.selectedIndex];
+    const centerX = (this.bounds.width - frame.width) / 2;
+    const centerY = (this.bounds.height - frame.height) / 2;
+
+    this._moveKeyboardDrag(
+      this.keyboardPosition.x + centerX - frame.x,
+      this.keyboardPosition.y + centerY - frame.y
+    );
+
+    if (!wasDragging) {
+      this._handleDragEnd(KEYBOARD_POINTER_ID);
+    }
+  }
+
+  /**
+   * Starts a keyboard drag on the selected frame
+   * The virtual pointer grabs the frame on its border, or anywhere on
+   * the handle
+   * @returns {boolean} True if a keyboard drag is active
+   * @private
+   */
+  _startKeyboardDrag() {
+    if (this.drags.has(KEYBOARD_POINTER_ID)) {
+      return true;
+    }
+
+    const frame = this.frames[this.selectedIndex];
+    const isHandle = this.selectedIndex === this.frames.length - 1;
+    const grabPoint = this._toFrameSpace(
+      {
+        x: isHandle ? frame.x + frame.width / 2 : frame.x + frame.thickness / 2,
+        y: frame.y + frame.height / 2,
+      },
+      frame,
+      -1
+    );
+
+    if (
+      this._hitTest(grabPoint) !== this.selectedIndex ||
+      !this._handleDragStart(null, grabPoint, KEYBOARD_POINTER_ID)
+    ) {
+      return false;
+    }
+
+    this.keyboardPosition = grabPoint;
+    return true;
+  }
+
+  /**
+   * Moves the virtual keyboard pointer and syncs it with where the frame
+   * actually ended up, so clamping does not build up hidden travel
+   * @private
+   */
+  _moveKeyboardDrag(x, y) {
+    this._handleDragMove({ x, y }, KEYBOARD_POINTER_ID);
+
+    const drag = this.drags.get(KEYBOARD_POINTER_ID);
+    const frame = this.frames[drag.frameIndex];
+    this.keyboardPosition = {
+      x: frame.x + drag.offsetX,
+      y: frame.y + drag.offsetY,
+    };
+  }
+
+  /**
+   * Selects a frame for keyboard control, wrapping around at the ends
+   * @param {number} index - Index of the frame to select
+   * @private
+   */
+  _select(index) {
+    this._handleDragEnd(KEYBOARD_POINTER_ID);
+
+    const count = this.frames.length;
+    this.selectedIndex = (index + count) % count;
+
+    if (this.onSelect) {
+      this.onSelect(this.selectedIndex);
+    }
+  }
+
+  /**
+   * Gets pointer position relative to canvas
+   * @param {PointerEvent} event - The pointer event
    * @returns {Object} Object with x and y coordinates
    * @private
    */
-  _getMousePosition(event) {
+  _getPointerPosition(event) {
     const rect = this.canvas.getBoundingClientRect();
-    
+
     return {
       x: event.clientX - rect.left,
       y: event.clientY - rect.top,
     };
   }
 
+  /**
+   * Finds the topmost frame under a point
+   * Hollow frames are only hit on their border, the handle anywhere
+   * @param {Object} point - Point with x and y coordinates
+   * @returns {number} Index of the hit frame or -1
+   * @private
+   */
+  _hitTest(point) {
+    for (let i = this.frames.length - 1; i >= 0; i--) {
+      const frame = this.frames[i];
+      const isHandle = i === this.frames.length - 1;
+
+      // Turned frames are tested in their own axes
+      const local = this._toFrameSpace(point, frame);
+
+      if (!this._isPointInFrame(local, frame)) {
+        continue;
+      }
+
+      if (isHandle || !this._isPointInFrameInterior(local, frame)) {
+        return i;
+      }
+    }
+
+    return -1;
+  }
+
   /**
    * Checks if a point is inside a frame
    * @param {Object} point - Point with x and y coordinates
@@ -140,6 +567,10 @@ export class EventHandler {
    * @private
    */
   _isPointInFrame(point, frame) {
+    if (frame.shape === 'ring') {
+      return this._getDistanceFromCenter(point, frame) < frame.width / 2;
+    }
+
     return (
       point.x > frame.x &&
       point.x < frame.x + frame.width &&
@@ -149,118 +580,204 @@ export class EventHandler {
   }
 
   /**
-   * Gets the current drag offset
-   * @returns {Object} Object with offsetX and offsetY
+   * Checks if a point is inside the hollow interior of a frame
+   * @param {Object} point - Point with x and y coordinates
+   * @param {Object} frame - Frame object with position, dimensions and
+   * its own border thickness
+   * @returns {boolean} True if point is inside the frame border
+   * @private
    */
-  getDragOffset() {
-    return {
-      offsetX: this.dragInfo.offsetX,
-      offsetY: this.dragInfo.offsetY,
-    };
-  }
+  _isPointInFrameInterior(point, frame) {
+    const inset = frame.thickness;
 
-  /**
-   * Manually sets the dragging state
-   * Useful for programmatic control
-   * @param {boolean} isDragging - The desired dragging state
-   */
-  setDragging(isDragging) {
-    this.dragInfo.isDragging = isDragging;
-    this.canvas.style.cursor = isDragging ? 'grabbing' : 'pointer';
+    if (frame.shape === 'ring') {
+      return this._getDistanceFromCenter(point, frame) < frame.width / 2 - inset;
+    }
+
+    return (
+      point.x > frame.x + inset &&
+      point.x < frame.x + frame.width - inset &&
+      point.y > frame.y + inset &&
+      point.y < frame.y + frame.height - inset
+    );
   }
 
   /**
-   * Touch event handlers - delegate to shared drag methods
+   * Turns a point around the centre of a frame against the frame angle,
+   * so it can be tested against the upright frame
+   * @param {Object} point - Point with x and y coordinates
+   * @param {Object} frame - Frame object with position, dimensions and angle
+   * @param {number} [direction=1] - -1 turns with the frame instead, back
+   * to canvas space
+   * @returns {Object} The turned point
+   * @private
    */
-  _handleTouchStart(event) {
-    event.preventDefault();
-    const touch = event.touches[0];
-    if (!touch) return;
-    
-    const position = this._getTouchPosition(touch);
-    this._handleDragStart(event, position);
-  }
+  _toFrameSpace(point, frame, direction = 1) {
+    if (!frame.angle) {
+      return point;
+    }
 
-  _handleTouchMove(event) {
-    if (!this.dragInfo.isDragging) return;
-    
-    event.preventDefault();
-    const touch = event.touches[0];
-    if (!touch) return;
-    
-    const position = this._getTouchPosition(touch);
-    this._handleDragMove(position);
-  }
+    const angle = -frame.angle * direction;
+    const centerX = frame.x + frame.width / 2;
+    const centerY = frame.y + frame.height / 2;
+    const dx = point.x - centerX;
+    const dy = point.y - centerY;
 
-  _handleTouchEnd() {
-    this._handleDragEnd();
+    return {
+      x: centerX + dx * Math.cos(angle) - dy * Math.sin(angle),
+      y: centerY + dx * Math.sin(angle) + dy * Math.cos(angle),
+    };
   }
 
   /**
-   * Gets touch position relative to canvas
-   * @param {Touch} touch - The touch object
-   * @returns {Object} Object with x and y coordinates
+   * Measures how far a point is from the centre of a frame
+   * @param {Object} point - Point with x and y coordinates
+   * @param {Object} frame - Frame object with position and dimensions
+   * @returns {number} Distance in pixels
    * @private
    */
-  _getTouchPosition(touch) {
-    const rect = this.canvas.getBoundingClientRect();
+  _getDistanceFromCenter(point, frame) {
+    return Math.hypot(
+      point.x - (frame.x + frame.width / 2),
+      point.y - (frame.y + frame.height / 2)
+    );
+  }
+
+  /**
+   * Gets the drag offset of a pointer
+   * @param {number} pointerId - Id of the pointer
+   * @returns {Object|null} Object with offsetX and offsetY, or null
+   */
+  getDragOffset(pointerId) {
+    const drag = this.drags.get(pointerId);
+    if (!drag) {
+      return null;
+    }
+
     return {
-      x: touch.clientX - rect.left,
-      y: touch.clientY - rect.top,
+      offsetX: drag.offsetX,
+      offsetY: drag.offsetY,
     };
   }
 
   /**
    * Shared drag logic methods
    */
-  _handleDragStart(event, position) {
-    const target = this.dragInfo.target;
-    const isOverTarget = this._isPointInFrame(position, target);
+  _handleDragStart(event, position, pointerId, time = this._now()) {
+    if (this.drags.has(pointerId)) {
+      return false;
+    }
+
+    const frameIndex = this._hitTest(position);
 
-    if (isOverTarget) {
+    // A frame can only be held by one pointer at a time
+    if (frameIndex === -1 || this.isFrameHeld(frameIndex)) {
+      return false;
+    }
+
+    if (event) {
       event.preventDefault();
-      
-      this.dragInfo.isDragging = true;
-      this.dragInfo.offsetX = position.x - target.x;
-      this.dragInfo.offsetY = position.y - target.y;
+    }
 
-      this.canvas.style.cursor = 'grabbing';
+    const frame = this.frames[frameIndex];
+    const drag = {
+      pointerId,
+      frameIndex,
+      offsetX: position.x - frame.x,
+      offsetY: position.y - frame.y,
+    };
+    this.drags.set(pointerId, drag);
 
-      if (this.onDragStart) {
-        this.onDragStart();
-      }
+    this.canvas.style.cursor = 'grabbing';
+    this._record('start', position, pointerId, time);
+
+    if (this.onDragStart) {
+      this.onDragStart({ ...drag, time });
     }
+
+    return true;
   }
 
-  _handleDragMove(position) {
+  _handleDragMove(position, pointerId, time = this._now()) {
+    const drag = this.drags.get(pointerId);
+    if (!drag) {
+      return;
+    }
+
+    const frame = this.frames[drag.frameIndex];
+
     // Calculate new position
-    let newX = position.x - this.dragInfo.offsetX;
-    let newY = position.y - this.dragInfo.offsetY;
-    
-    // Apply canvas boundary constraints
-    const maxX = this.canvas.width - this.dragInfo.target.width;
-    const maxY = this.canvas.height - this.dragInfo.target.height;
-    
-    // Clamp position to canvas boundaries
+    let newX = position.x - drag.offsetX;
+    let newY = position.y - drag.offsetY;
+
+    // Apply boundary constraints, width and height are independent
+    const maxX = this.bounds.width - frame.width;
+    const maxY = this.bounds.height - frame.height;
+
+    // Clamp position to boundaries
     newX = Math.max(0, Math.min(newX, maxX));
     newY = Math.max(0, Math.min(newY, maxY));
-    
-    this.dragInfo.target.x = newX;
-    this.dragInfo.target.y = newY;
+
+    this._record('move', position, pointerId, time);
 
     if (this.onDragMove) {
-      this.onDragMove(position);
+      this.onDragMove({ ...drag, x: newX, y: newY, position, time });
     }
   }
 
-  _handleDragEnd() {
-    if (this.dragInfo.isDragging) {
-      this.dragInfo.isDragging = false;
+  _handleDragEnd(pointerId, time = this._now()) {
+    const drag = this.drags.get(pointerId);
+    if (!drag) {
+      return;
+    }
+
+    this.drags.delete(pointerId);
+
+    if (this.drags.size === 0) {
       this.canvas.style.cursor = 'pointer';
+    }
 
-      if (this.onDragEnd) {
-        this.onDragEnd();
-      }
+    this._record('end', undefined, pointerId, time);
+
+    if (this.onDragEnd) {
+      this.onDragEnd({ ...drag, time });
+    }
+  }
+
+  /**
+   * Gets the time drag operations are stamped with
+   * Whole milliseconds, like the input log, so a replay times every drag
+   * exactly as it was recorded
+   * @returns {number} Current time in ms
+   * @private
+   */
+  _now() {
+    return Math.round(performance.now());
+  }
+
+  /**
+   * Gets when a pointer event happened, rather than when it is handled
+   * Same clock and rounding as _now
+   * @param {PointerEvent} event - The pointer event
+   * @returns {number} Event time in ms
+   * @private
+   */
+  _getEventTime(event) {
+    return Math.round(event.timeStamp);
+  }
+
+  /**
+   * Forwards a drag operation to the attached recorder
+   * Replayed operations are not recorded again
+   * @param {string} type - One of 'start', 'move' or 'end'
+   * @param {Object} [position] - Pointer position
+   * @param {number} pointerId - Id of the pointer
+   * @param {number} time - Time of the operation in ms
+   * @private
+   */
+  _record(type, position, pointerId, time) {
+    if (this.recorder && this.isInputEnabled) {
+      this.recorder.record(type, position, pointerId, time);
     }
   }
 }
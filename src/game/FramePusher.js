@@ -1,45 +1,151 @@
-import { Physics } from './Physics.js';
-import { Renderer } from './Renderer.js';
-import { EventHandler } from './EventHandler.js';
+import { Simulation, DEFAULT_CONFIG } from './Simulation.js';
+import { CanvasRenderer } from './CanvasRenderer.js';
+import { SvgRenderer } from './SvgRenderer.js';
+import { EventHandler, KEYBOARD_POINTER_ID } from './EventHandler.js';
 import { TweakpaneConfig } from './TweakpaneConfig.js';
+import { AudioManager } from './AudioManager.js';
+import { InputRecorder } from './InputRecorder.js';
+import { InputReplay } from './InputReplay.js';
+import { Announcer } from './Announcer.js';
+import { FrameTimer } from './FrameTimer.js';
+import { SceneExporter } from './SceneExporter.js';
+import { SessionCapture } from './SessionCapture.js';
+import { ParticleSystem } from './ParticleSystem.js';
+import { getParticleStyle } from './ParticleStyles.js';
+import { createSetup, applySetup } from './ConfigSharing.js';
+import { EventEmitter } from './EventEmitter.js';
+
+/**
+ * Rendering backends selectable with the renderer option
+ */
+const RENDERER_BACKENDS = {
+  canvas: CanvasRenderer,
+  svg: SvgRenderer,
+};
+
+/**
+ * Events a game emits, with the details their listeners receive
+ * - dragstart: { frameIndex, pointerId }
+ * - dragmove: { frameIndex, pointerId, x, y } with the clamped position
+ * - dragend: { frameIndex, pointerId, vx, vy, isCancelled } with the
+ *   release velocity; isCancelled drags ended because the frames were
+ *   replaced, e.g. by a new layout, level or replay
+ * - collision: { frameIndex, side, impactSpeed }, frameIndex is the parent
+ *   and -1 for the canvas walls
+ * - settle: { time } in simulated ms, once all frames have come to rest
+ * - resize: { width, height }
+ * - configchange: { changes, config } with the values passed in and the
+ *   whole configuration
+ */
+export const GAME_EVENTS = [
+  'dragstart',
+  'dragmove',
+  'dragend',
+  'collision',
+  'settle',
+  'resize',
+  'configchange',
+];
+
+/**
+ * Plugin methods the game calls every animation frame
+ * Step hooks get the elapsed simulation time in ms, render hooks the
+ * frame timestamp
+ */
+const PLUGIN_HOOKS = ['beforeStep', 'afterStep', 'beforeRender', 'afterRender'];
 
 /**
  * Main FramePusher game class
- * Orchestrates physics, rendering, and event handling
+ * Browser shell around the headless Simulation: wires it to the canvas,
+ * rendering, input handling and sound
  */
 export class FramePusher {
-  constructor(canvasId) {
-    this.canvas = document.getElementById(canvasId);
+  /**
+   * @param {string|HTMLCanvasElement} canvas - Canvas element to play in,
+   * or its id
+   * @param {Object} [options] - Game options
+   * @param {string} [options.renderer='canvas'] - Rendering backend,
+   * 'canvas' or 'svg'
+   * @param {number} [options.width] - Initial width, defaults to the
+   * viewport size
+   * @param {number} [options.height] - Initial height, defaults to the
+   * viewport size
+   * @param {boolean} [options.devPanel] - Show the developer panel,
+   * defaults to on for local development
+   */
+  constructor(canvas, { renderer = 'canvas', width, height, devPanel } = {}) {
+    this.canvas = typeof canvas === 'string'
+      ? document.getElementById(canvas)
+      : canvas;
     if (!this.canvas) {
-      throw new Error(`Canvas element with id "${canvasId}" not found`);
+      throw new Error(`Canvas element with id "${canvas}" not found`);
     }
 
-    // Game configuration
-    this.config = {
-      FRAME_THICKNESS: 20,
-      GAP: 10,
-      HANDLE_SIZE: 40,
-      DAMPING: 0.9,
-      SPRING_STRENGTH: 0.2,
-      NUM_FRAMES: 0, // will be calculated
-    };
+    const Backend = RENDERER_BACKENDS[renderer];
+    if (!Backend) {
+      throw new Error(
+        `Unknown renderer "${renderer}", use one of ${Object.keys(RENDERER_BACKENDS).join(', ')}`
+      );
+    }
 
     // Game state
-    this.frames = [];
     this.isRunning = false;
     this.animationId = null;
+    this.lastTimestamp = null;
+    this.lastSoundTime = -Infinity;
+    this.isDevPanelEnabled = devPanel ?? this._isDevelopmentMode();
+    this.events = new EventEmitter(GAME_EVENTS);
+    this.plugins = [];
+    this.wasSettled = true; // settle fires when this turns true again
+    this.isPaused = false; // settling stops while paused, dragging still works
+    this.timeScale = 1; // below 1 plays the physics in slow motion
 
     // Initialize game systems
-    this.physics = new Physics(this.config);
-    this.renderer = new Renderer(this.canvas, this.config);
+    const size = width > 0 && height > 0
+      ? { width, height }
+      : this._getCanvasSize();
+    this.simulation = new Simulation(size.width, size.height);
+    this.renderer = new Backend(this.canvas, this.config);
+
+    // The backend may swap the canvas for its own element, e.g. an svg
+    this.canvas = this.renderer.element;
+    this.audioManager = new AudioManager();
+    this.announcer = new Announcer(this.canvas.parentElement);
+    this.frameTimer = new FrameTimer();
+    this.particles = new ParticleSystem(
+      getParticleStyle(this.config.PARTICLES),
+      this.config.MAX_PARTICLES
+    );
+    this.wereParticlesDrawn = false;
     this.eventHandler = null; // Will be initialized after frames are created
     this.tweakpane = null; // Will be initialized after game setup
+    this.recorder = null;
+    this.replay = null;
+    this.liveState = null; // what stopReplay restores
+    this.mode = null; // null is free play
+    this.exporter = new SceneExporter(this);
+    this.capture = null;
 
-    this._setupCanvas();
-    this._createFrames();
+    this.renderer.resize(size.width, size.height);
     this._initializeEventHandler();
   }
 
+  /**
+   * Game configuration, owned by the simulation
+   * @returns {Object} Current configuration
+   */
+  get config() {
+    return this.simulation.config;
+  }
+
+  /**
+   * Nested frames, owned by the simulation
+   * @returns {Array} Array of frame objects
+   */
+  get frames() {
+    return this.simulation.frames;
+  }
+
   /**
    * Initializes the game and starts the animation loop
    */
@@ -47,7 +153,7 @@ export class FramePusher {
     this.renderer.generateBackground();
     
     // Initialize Tweakpane controls only in development mode
-    if (this._isDevelopmentMode()) {
+    if (this.isDevPanelEnabled) {
       this.tweakpane = new TweakpaneConfig(this);
     }
     
@@ -63,7 +169,8 @@ export class FramePusher {
     }
 
     this.isRunning = true;
-    this._animate();
+    this.lastTimestamp = null;
+    this.animationId = requestAnimationFrame(this._animate.bind(this));
   }
 
   /**
@@ -83,6 +190,16 @@ export class FramePusher {
    */
   destroy() {
     this.stop();
+
+    for (const plugin of [...this.plugins].reverse()) {
+      this.removePlugin(plugin);
+    }
+    this.events.clear();
+
+    if (this.capture) {
+      this.capture.stop().catch(() => {});
+      this.capture = null;
+    }
     
     if (this.eventHandler) {
       this.eventHandler.destroy();
@@ -91,64 +208,131 @@ export class FramePusher {
     if (this.tweakpane) {
       this.tweakpane.destroy();
     }
+
+    this.renderer.destroy();
+    this.audioManager.destroy();
+    this.announcer.destroy();
   }
 
   /**
-   * Sets up canvas dimensions and styling
-   * @private
+   * Adds a listener for a game event
+   * @param {string} type - One of GAME_EVENTS
+   * @param {Function} listener - Called with the event details
+   * @returns {Function} Removes the listener again
+   * @throws {Error} If the event type is unknown
    */
-  _setupCanvas() {
-    const containerSize = Math.min(
-      window.innerHeight * 0.7,
-      window.innerWidth * 0.8,
-      600
-    );
+  on(type, listener) {
+    return this.events.on(type, listener);
+  }
 
-    this.renderer.resize(containerSize, containerSize);
+  /**
+   * Removes a listener for a game event
+   * @param {string} type - One of GAME_EVENTS
+   * @param {Function} listener - Listener passed to on
+   * @returns {boolean} True if the listener was registered
+   */
+  off(type, listener) {
+    return this.events.off(type, listener);
   }
 
   /**
-   * Calculates how many frames can fit in the current canvas
-   * based on thickness, gap and handle size
-   * @private
+   * Registers a plugin
+   * A plugin is an object with any of the methods install(game),
+   * uninstall(game) and the PLUGIN_HOOKS, which are called with the game
+   * and the elapsed time or timestamp. Hooks run in registration order.
+   * afterRender draws on top of the scene, which is then redrawn in full
+   * every frame
+   * @param {Object} plugin - Plugin to register
+   * @returns {Object} The plugin
+   * @throws {Error} If the plugin is not an object or already registered
    */
-  _calculateNumFrames() {
-    const stepDown = (this.config.GAP + this.config.FRAME_THICKNESS) * 2;
-    if (stepDown <= 0) {
-      return 1;
+  use(plugin) {
+    if (!plugin || typeof plugin !== 'object') {
+      throw new Error('Plugin must be an object');
+    }
+    if (this.plugins.includes(plugin)) {
+      throw new Error('Plugin is already registered');
     }
 
-    const available = this.canvas.width - this.config.HANDLE_SIZE;
-    const count = Math.floor(available / stepDown);
-    return Math.max(1, count + 1); // include the handle frame
+    this.plugins.push(plugin);
+    if (typeof plugin.install === 'function') {
+      plugin.install(this);
+    }
+    return plugin;
   }
 
   /**
-   * Creates the nested frame structure
+   * Unregisters a plugin
+   * @param {Object} plugin - Plugin passed to use
+   * @returns {boolean} True if the plugin was registered
+   */
+  removePlugin(plugin) {
+    const index = this.plugins.indexOf(plugin);
+    if (index === -1) {
+      return false;
+    }
+
+    this.plugins.splice(index, 1);
+    if (typeof plugin.uninstall === 'function') {
+      plugin.uninstall(this);
+    }
+    this.renderer.invalidate();
+    return true;
+  }
+
+  /**
+   * Resizes the game to fill the viewport, or the whole screen in
+   * fullscreen mode
+   */
+  fitToViewport() {
+    if (this.mode && this.mode.locksCanvasSize) {
+      return;
+    }
+
+    const { width, height } = this._getCanvasSize();
+    this.resize(width, height);
+  }
+
+  /**
+   * Enters or leaves fullscreen mode
+   * The canvas is resized by the window resize that follows
+   */
+  toggleFullscreen() {
+    const request = this.isFullscreen()
+      ? document.exitFullscreen()
+      : this.canvas.parentElement.requestFullscreen();
+
+    request.catch((error) => {
+      console.warn('Fullscreen request failed:', error);
+    });
+  }
+
+  /**
+   * Checks whether the game is displayed fullscreen
+   * @returns {boolean} True if the canvas container is fullscreen
+   */
+  isFullscreen() {
+    return document.fullscreenElement === this.canvas.parentElement;
+  }
+
+  /**
+   * Computes the canvas size from the viewport
+   * Any aspect ratio is allowed, fullscreen uses the entire window
+   * @returns {Object} Object with width and height in pixels
    * @private
    */
-  _createFrames() {
-    this.frames = [];
-    const stepDown = (this.config.GAP + this.config.FRAME_THICKNESS) * 2;
-
-    this.config.NUM_FRAMES = this._calculateNumFrames();
-
-    for (let i = 0; i < this.config.NUM_FRAMES; i++) {
-      const isLastFrame = i === this.config.NUM_FRAMES - 1;
-      const size = isLastFrame
-        ? this.config.HANDLE_SIZE
-        : this.canvas.width - i * stepDown;
-      const position = (this.canvas.width - size) / 2;
-
-      this.frames.push({
-        x: position,
-        y: position,
-        vx: 0,
-        vy: 0,
-        width: size,
-        height: size,
-      });
+  _getCanvasSize() {
+    if (this.isFullscreen()) {
+      return {
+        width: window.innerWidth,
+        height: window.innerHeight,
+      };
     }
+
+    return {
+      width: Math.floor(window.innerWidth * 0.9),
+      height: Math.floor(window.innerHeight * 0.85),
+    };
   }
 
   /**
@@ -156,80 +340,661 @@ export class FramePusher {
    * @private
    */
   _initializeEventHandler() {
-    const dragTarget = this.frames[this.config.NUM_FRAMES - 1];
-    this.eventHandler = new EventHandler(this.canvas, dragTarget);
+    if (this.eventHandler) {
+      this.eventHandler.destroy();
+    }
+
+    this.eventHandler = new EventHandler(this.canvas, this.frames);
+    this.eventHandler.setBounds(this.simulation.width, this.simulation.height);
 
     this.eventHandler.setDragCallbacks(
       this._onDragStart.bind(this),
       this._onDragMove.bind(this),
       this._onDragEnd.bind(this)
     );
+    this.eventHandler.setSelectCallback(this._onSelect.bind(this));
   }
 
   /**
    * Main animation loop
+   * @param {number} timestamp - Frame timestamp from requestAnimationFrame
    * @private
    */
-  _animate() {
+  _animate(timestamp) {
     if (!this.isRunning) {
       return;
     }
 
-    this._updatePhysics();
-    this._render();
+    const elapsed = this.lastTimestamp === null
+      ? 0
+      : timestamp - this.lastTimestamp;
+    this.lastTimestamp = timestamp;
+
+    // Replays keep their own pause and speed
+    const simulationElapsed = this.isPaused ? 0 : elapsed * this.timeScale;
+    this._runPluginHooks('beforeStep', simulationElapsed);
+    if (this.replay) {
+      this.replay.update(elapsed);
+    } else {
+      this.simulation.step(simulationElapsed);
+    }
+    this._runPluginHooks('afterStep', simulationElapsed);
+
+    const collisions = this.simulation.takeCollisions();
+    for (const collision of collisions) {
+      this.events.emit('collision', collision);
+    }
+    this._emitSettle();
+    this._playCollisionSounds(collisions, timestamp);
+    this._announceCollisions(collisions);
+    this._emitCollisionParticles(collisions);
+    this.particles.update(simulationElapsed);
+
+    if (this.mode) {
+      this.mode.update(timestamp);
+    }
+
+    if (this.capture) {
+      this.capture.captureFrame(timestamp);
+    }
+
+    this._runPluginHooks('beforeRender', timestamp);
+    this._render(timestamp);
+    this._runPluginHooks('afterRender', timestamp);
+
+    if (this.capture && this.capture.isComplete()) {
+      this.stopCapture().catch((error) => {
+        console.warn('Recording failed:', error);
+      });
+    }
 
     this.animationId = requestAnimationFrame(this._animate.bind(this));
   }
 
   /**
-   * Updates game physics based on current state
+   * Emits settle when the last frame has come to rest
+   * Held frames keep the game unsettled, even while they do not move
    * @private
    */
-  _updatePhysics() {
-    if (this.eventHandler.isDragging()) {
-      this.physics.updateDragPhysics(this.frames, this.config.NUM_FRAMES);
-    } else {
-      // Settling physics is currently disabled but ready for use
-      // this.physics.updateSettlingPhysics(
-      //   this.frames,
-      //   this.canvas.width,
-      //   this.canvas.height
-      // );
+  _emitSettle() {
+    const isSettled =
+      !this.simulation.isDragging() && this.simulation.isSettled();
+
+    if (isSettled && !this.wasSettled) {
+      this.events.emit('settle', { time: this.simulation.time });
     }
+    this.wasSettled = isSettled;
+  }
+
+  /**
+   * Calls a hook on every plugin that has it
+   * A failing plugin is reported and does not stop the game loop
+   * @param {string} hook - One of PLUGIN_HOOKS
+   * @param {number} time - Elapsed time or timestamp in ms
+   * @private
+   */
+  _runPluginHooks(hook, time) {
+    for (const plugin of this.plugins) {
+      if (typeof plugin[hook] !== 'function') {
+        continue;
+      }
+
+      try {
+        plugin[hook](this, time);
+      } catch (error) {
+        console.warn(`Plugin ${hook} failed:`, error);
+      }
+    }
+  }
+
+  /**
+   * Checks whether any plugin has a hook
+   * @private
+   */
+  _hasPluginHook(hook) {
+    return this.plugins.some((plugin) => typeof plugin[hook] === 'function');
+  }
+
+  /**
+   * Turns collision records into tick sounds
+   * Only the strongest impact of an animation frame is played and sounds
+   * are spaced by SOUND_MIN_INTERVAL, so sweeping across many frames does
+   * not retrigger the sample on every hit
+   * @param {Array} collisions - Collision records from the physics step
+   * @param {number} timestamp - Current frame timestamp in ms
+   * @private
+   */
+  _playCollisionSounds(collisions, timestamp) {
+    if (timestamp - this.lastSoundTime < this.config.SOUND_MIN_INTERVAL) {
+      return;
+    }
+
+    let strongest = 0;
+    for (const collision of collisions) {
+      strongest = Math.max(strongest, collision.impactSpeed);
+    }
+
+    if (strongest < this.config.IMPACT_SPEED_MIN) {
+      return;
+    }
+
+    const intensity = Math.min(1, strongest / this.config.IMPACT_SPEED_MAX);
+    this.audioManager.playTickSound({
+      volumeScale: 0.2 + intensity * 0.8,
+      playbackRate: 0.8 + intensity * 0.6,
+    });
+    this.lastSoundTime = timestamp;
+  }
+
+  /**
+   * Spawns impact particles where frames hit a wall
+   * Impacts below IMPACT_SPEED_MIN are ignored, faster ones spawn more and
+   * faster particles up to IMPACT_SPEED_MAX
+   * @param {Array} collisions - Collision records from the physics step
+   * @private
+   */
+  _emitCollisionParticles(collisions) {
+    for (const { frameIndex, side, impactSpeed } of collisions) {
+      if (impactSpeed < this.config.IMPACT_SPEED_MIN) {
+        continue;
+      }
+
+      const intensity = Math.min(1, impactSpeed / this.config.IMPACT_SPEED_MAX);
+      this.particles.emitImpact(this.frames[frameIndex + 1], side, intensity);
+    }
+  }
+
+  /**
+   * Announces the strongest audible collision to screen readers
+   * @param {Array} collisions - Collision records from the physics step
+   * @private
+   */
+  _announceCollisions(collisions) {
+    let strongest = null;
+    for (const collision of collisions) {
+      if (!strongest || collision.impactSpeed > strongest.impactSpeed) {
+        strongest = collision;
+      }
+    }
+
+    if (strongest && strongest.impactSpeed >= this.config.IMPACT_SPEED_MIN) {
+      this.announcer.announce(this._describeCollision(strongest));
+    }
+  }
+
+  /**
+   * Builds a readable description of a collision
+   * @param {Object} collision - Collision record
+   * @returns {string} Description such as "outer frame hit the left wall"
+   * @private
+   */
+  _describeCollision({ frameIndex, side }) {
+    const child = this._getFrameName(frameIndex + 1);
+
+    if (frameIndex === -1) {
+      return `${child} hit the ${side} wall`;
+    }
+
+    return `${child} hit the ${side} side of ${this._getFrameName(frameIndex)}`;
+  }
+
+  /**
+   * Gets a readable name for a frame
+   * @param {number} index - Index of the frame
+   * @returns {string} Frame name
+   * @private
+   */
+  _getFrameName(index) {
+    if (index === this.config.NUM_FRAMES - 1) {
+      return 'handle';
+    }
+
+    if (index === 0) {
+      return 'outer frame';
+    }
+
+    return `frame ${index + 1}`;
   }
 
   /**
    * Renders the current game state
+   * The renderer skips frames where nothing changed
+   * @param {number} timestamp - Current frame timestamp in ms
    * @private
    */
-  _render() {
-    const isDragging = this.eventHandler.isDragging();
-    this.renderer.drawScene(this.frames, isDragging);
+  _render(timestamp) {
+    const startTime = performance.now();
+    const handleIndex = this.config.NUM_FRAMES - 1;
+    const isDragging = this.simulation.isFrameHeld(handleIndex);
+    const selectedIndex = this.eventHandler.hasKeyboardFocus()
+      ? this.eventHandler.getSelectedIndex()
+      : -1;
+    const isHovered = this.eventHandler.getHoverIndex() === handleIndex;
+
+    // Mode overlays, particles, plugin overlays and the recording
+    // indicator are drawn on top of the scene every frame, and once more
+    // after the last particle is gone to clear it
+    const hasParticles = this.particles.isActive();
+    if (
+      this.mode ||
+      this.capture ||
+      hasParticles ||
+      this.wereParticlesDrawn ||
+      this._hasPluginHook('afterRender')
+    ) {
+      this.renderer.invalidate();
+    }
+    this.wereParticlesDrawn = hasParticles;
+
+    this.renderer.setStatsText(
+      this.config.SHOW_FRAME_TIME ? this.frameTimer.getText() : null
+    );
+    const isDrawn = this.renderer.drawScene(
+      this.frames,
+      isDragging,
+      selectedIndex,
+      isHovered
+    );
+
+    if (hasParticles) {
+      this.renderer.drawParticles(this.particles);
+    }
+
+    if (this.mode) {
+      this.mode.draw(this.renderer);
+    }
+
+    if (this.capture) {
+      this.renderer.drawProgress(
+        this.capture.getLabel(),
+        this.capture.getProgress()
+      );
+    }
+
+    this.frameTimer.record(timestamp, performance.now() - startTime, isDrawn);
   }
 
   /**
    * Handles drag start events
+   * @param {Object} drag - Drag with pointerId, frameIndex and time
    * @private
    */
-  _onDragStart() {
-    this.physics.stopAllMovement(this.frames);
+  _onDragStart(drag) {
+    this.simulation.grabFrame(drag.frameIndex, drag.time);
+    this.events.emit('dragstart', {
+      frameIndex: drag.frameIndex,
+      pointerId: drag.pointerId,
+    });
   }
 
   /**
    * Handles drag move events
-   * @param {Object} mousePos - Current mouse position
+   * @param {Object} drag - Drag with frameIndex, time and the new x and y
    * @private
    */
-  _onDragMove(mousePos) {
-    // Additional drag move logic can be added here if needed
+  _onDragMove(drag) {
+    this.simulation.setFramePosition(drag.frameIndex, drag.x, drag.y, drag.time);
+
+    // Report where the frame ended up after clamping
+    const frame = this.frames[drag.frameIndex];
+    this.events.emit('dragmove', {
+      frameIndex: drag.frameIndex,
+      pointerId: drag.pointerId,
+      x: frame.x,
+      y: frame.y,
+    });
   }
 
   /**
    * Handles drag end events
+   * Keyboard drags move in exact steps and are never thrown
+   * @param {Object} drag - Drag with pointerId, frameIndex and time
    * @private
    */
-  _onDragEnd() {
-    // Additional drag end logic can be added here if needed
+  _onDragEnd(drag) {
+    this.simulation.releaseFrame(
+      drag.frameIndex,
+      drag.pointerId !== KEYBOARD_POINTER_ID,
+      drag.time
+    );
+
+    // Cancelled drags belong to frames that were replaced, which may be gone
+    const frame = drag.isCancelled ? null : this.frames[drag.frameIndex];
+    this.events.emit('dragend', {
+      frameIndex: drag.frameIndex,
+      pointerId: drag.pointerId,
+      vx: frame ? frame.vx : 0,
+      vy: frame ? frame.vy : 0,
+      isCancelled: Boolean(drag.isCancelled),
+    });
+  }
+
+  /**
+   * Handles keyboard selection changes
+   * @param {number} index - Index of the selected frame
+   * @private
+   */
+  _onSelect(index) {
+    const name = this._getFrameName(index);
+    this.announcer.announce(
+      `${name} selected, ${index + 1} of ${this.config.NUM_FRAMES}`,
+      true
+    );
+  }
+
+  /**
+   * Switches the game mode
+   * A mode is an object with attach(game), detach(), update(timestamp) and
+   * draw(renderer) methods. Passing null returns to free play
+   * @param {Object|null} mode - The mode to activate
+   */
+  setMode(mode) {
+    const previous = this.mode;
+    this.mode = null;
+
+    if (previous) {
+      previous.detach();
+    }
+
+    this.mode = mode;
+    this.renderer.invalidate();
+
+    if (mode) {
+      mode.attach(this);
+    }
+  }
+
+  /**
+   * Loads a fixed layout, e.g. a puzzle level
+   * @param {Object} layout - Layout description
+   * @param {number} layout.width - Canvas width
+   * @param {number} layout.height - Canvas height
+   * @param {Object} [layout.config] - Configuration overrides
+   * @param {Array} [layout.frames] - Frame rectangles, outermost first
+   */
+  loadLayout({ width, height, config = {}, frames }) {
+    this.updateConfig(config);
+    this.resize(width, height);
+
+    if (frames) {
+      this.simulation.loadFrames(frames);
+      this.eventHandler.setFrames(this.frames);
+    }
+  }
+
+  /**
+   * Pauses or resumes the physics
+   * Rendering and input go on, so frames can still be dragged while paused
+   * @param {boolean} isPaused - The desired paused state
+   */
+  setPaused(isPaused) {
+    this.isPaused = isPaused;
+  }
+
+  /**
+   * Advances the physics by exactly one fixed timestep, e.g. while paused
+   */
+  stepOnce() {
+    if (!this.replay) {
+      this.simulation.step(this.config.TIMESTEP);
+    }
+  }
+
+  /**
+   * Sets how fast simulated time runs compared to real time
+   * @param {number} scale - 1 for real time, below 1 for slow motion
+   * @throws {Error} If the scale is not a positive number
+   */
+  setTimeScale(scale) {
+    if (!(scale > 0)) {
+      throw new Error(`Time scale must be positive, got ${scale}`);
+    }
+    this.timeScale = scale;
+  }
+
+  /**
+   * Recreates the frames after a thickness, gap or handle size change
+   * while keeping their positions where they still fit
+   */
+  relayout() {
+    this.simulation.relayoutFrames();
+    this.eventHandler.setFrames(this.frames);
+  }
+
+  /**
+   * Gets live numbers for the developer panel
+   * @returns {Object} fps, frameCount, handle position with x and y, and
+   * kineticEnergy of all frames
+   */
+  getStats() {
+    const handle = this.simulation.getHandle();
+
+    return {
+      fps: this.frameTimer.getFps(),
+      frameCount: this.frames.length,
+      handle: { x: handle.x, y: handle.y },
+      kineticEnergy: this.simulation.getKineticEnergy(),
+    };
+  }
+
+  /**
+   * Describes the current configuration, and optionally the frame
+   * positions, for a link, a preset or a file
+   * @param {boolean} [includeFrames=false] - Also store the frame positions
+   * @returns {Object} Setup, see createSetup in ConfigSharing.js
+   */
+  getSetup(includeFrames = false) {
+    return createSetup(this.simulation, includeFrames);
+  }
+
+  /**
+   * Applies a setup from a link, a preset or a file
+   * See applySetup in ConfigSharing.js
+   * @param {Object|string} data - Setup object or its JSON string
+   * @returns {Array} Warnings about values that were dropped or clamped
+   * @throws {Error} If the data is not a setup of a supported version
+   */
+  applySetup(data) {
+    const warnings = applySetup(this, data);
+
+    if (this.tweakpane) {
+      this.tweakpane.syncFromConfig();
+    }
+    return warnings;
+  }
+
+  /**
+   * Starts recording drag operations
+   */
+  startRecording() {
+    this.recorder = new InputRecorder(this.simulation);
+    this.recorder.start();
+    this.eventHandler.setRecorder(this.recorder);
+  }
+
+  /**
+   * Stops recording drag operations
+   * @returns {Object|null} The recorded input log, ready for JSON.stringify
+   */
+  stopRecording() {
+    if (!this.recorder) {
+      return null;
+    }
+
+    const log = this.recorder.stop();
+    this.eventHandler.setRecorder(null);
+    this.recorder = null;
+    return log;
+  }
+
+  /**
+   * Replays a recorded input log
+   * Live input is ignored until stopReplay is called, which brings back
+   * the configuration, size and frames from before the replay
+   * @param {Object|string} log - Input log object or its JSON string
+   * @returns {InputReplay} Replay controller for pausing, scrubbing and speed
+   * @throws {Error} If the log is malformed; the game is left as it was
+   */
+  startReplay(log) {
+    // Validates the log before anything changes
+    const replay = new InputReplay(this.eventHandler, this.simulation, log);
+    for (const warning of replay.warnings) {
+      console.warn(`Input log: ${warning}`);
+    }
+
+    this.stopRecording();
+    this.stopReplay();
+
+    const liveState = this._captureLiveState();
+    this.eventHandler.setInputEnabled(false);
+    this.eventHandler.releaseAll();
+
+    try {
+      // Logs from before per-frame specs, ring, rotation and soft mode use
+      // the plain layout, logs from before flinging drop frames in place
+      this.updateConfig({
+        FLING_ENABLED: false,
+        FRAME_SPECS: DEFAULT_CONFIG.FRAME_SPECS,
+        FRAME_SHAPE: DEFAULT_CONFIG.FRAME_SHAPE,
+        ROTATION_ENABLED: DEFAULT_CONFIG.ROTATION_ENABLED,
+        SOFT_BODY_ENABLED: DEFAULT_CONFIG.SOFT_BODY_ENABLED,
+        ...replay.config,
+      });
+      this.resize(replay.log.width, replay.log.height);
+      replay.seek(0);
+    } catch (error) {
+      this._restoreLiveState(liveState);
+      this.eventHandler.setInputEnabled(true);
+      throw error;
+    }
+
+    this.liveState = liveState;
+    this.replay = replay;
+    return replay;
+  }
+
+  /**
+   * Stops the current replay and gives control back to live input
+   * The configuration, size and frames from before the replay come back
+   */
+  stopReplay() {
+    if (!this.replay) {
+      return;
+    }
+
+    this.eventHandler.releaseAll();
+    this.replay = null;
+    this._restoreLiveState(this.liveState);
+    this.liveState = null;
+    this.eventHandler.setInputEnabled(true);
+  }
+
+  /**
+   * Captures what a replay changes, so it can be undone
+   * @returns {Object} config, width, height and a frame snapshot
+   * @private
+   */
+  _captureLiveState() {
+    const { NUM_FRAMES, ...config } = this.config;
+
+    return {
+      config,
+      width: this.simulation.width,
+      height: this.simulation.height,
+      frames: this.simulation.snapshotFrames(),
+    };
+  }
+
+  /**
+   * Puts back the configuration, size and frames from before a replay
+   * @param {Object} state - State from _captureLiveState
+   * @private
+   */
+  _restoreLiveState({ config, width, height, frames }) {
+    this.updateConfig(config);
+    this.resize(width, height);
+
+    if (frames.length === this.frames.length) {
+      this.simulation.restoreFrames(frames);
+      this.eventHandler.setFrames(this.frames);
+    }
+
+    if (this.tweakpane) {
+      this.tweakpane.syncFromConfig();
+    }
+  }
+
+  /**
+   * Downloads the current scene as a PNG image
+   * @returns {Promise<Blob>} The PNG file
+   */
+  async exportPng() {
+    const blob = await this.exporter.exportPng();
+    this.exporter.download(blob, this.exporter.getFilename('png'));
+    return blob;
+  }
+
+  /**
+   * Downloads the current scene as a standalone SVG document
+   * @returns {Promise<Blob>} The SVG file
+   */
+  async exportSvg() {
+    const blob = await this.exporter.exportSvg();
+    this.exporter.download(blob, this.exporter.getFilename('svg'));
+    return blob;
+  }
+
+  /**
+   * Starts recording the scene to an animated file
+   * Without a log the live session is recorded until stopCapture is called
+   * or the time limit is reached. With a log it is replayed and recorded
+   * until the replay ends; the file is downloaded when the capture stops
+   * @param {string} [format='gif'] - 'gif' or 'webm'
+   * @param {Object|string} [log] - Input log to replay and record
+   * @returns {SessionCapture} The running capture, for its progress
+   * @throws {Error} If a capture is running or the format is not supported
+   */
+  startCapture(format = 'gif', log = null) {
+    if (this.capture) {
+      throw new Error('A recording is already running');
+    }
+
+    if (!SessionCapture.isSupported(format)) {
+      throw new Error(`Cannot record "${format}" in this browser`);
+    }
+
+    const replay = log ? this.startReplay(log) : null;
+    this.capture = new SessionCapture(this.exporter, format, replay);
+    this.announcer.announce(`Recording ${format.toUpperCase()}`);
+    return this.capture;
+  }
+
+  /**
+   * Stops the running capture and downloads the file
+   * @returns {Promise<Blob|null>} The recorded file, null if no capture was
+   * running
+   */
+  async stopCapture() {
+    const capture = this.capture;
+    if (!capture) {
+      return null;
+    }
+
+    this.capture = null;
+    this.renderer.invalidate();
+
+    let blob;
+    try {
+      blob = await capture.stop();
+    } finally {
+      // A replay started for the recording ends with it
+      if (capture.replay && capture.replay === this.replay) {
+        this.stopReplay();
+      }
+    }
+    this.exporter.download(blob, this.exporter.getFilename(capture.format));
+    this.announcer.announce('Recording saved');
+    return blob;
   }
 
   /**
@@ -238,8 +1003,7 @@ export class FramePusher {
    */
   getState() {
     return {
-      frames: [...this.frames],
-      config: { ...this.config },
+      ...this.simulation.getState(),
       isRunning: this.isRunning,
       isDragging: this.eventHandler ? this.eventHandler.isDragging() : false,
     };
@@ -247,15 +1011,33 @@ export class FramePusher {
 
   /**
    * Updates game configuration
+   * Nothing changes if a value is rejected, e.g. an image background
+   * without BACKGROUND_IMAGE
    * @param {Object} newConfig - New configuration values
+   * @throws {Error} If the simulation or the renderer rejects the config
    */
   updateConfig(newConfig) {
-    this.config = { ...this.config, ...newConfig };
-    this.physics = new Physics(this.config);
-    this.renderer = new Renderer(this.canvas, this.config);
-    
-    // Regenerate background dots when renderer is recreated
-    this.renderer.generateBackground();
+    const frames = this.frames;
+
+    // The renderer leaves its state alone when it fails, so it goes first
+    this.renderer.updateConfig({ ...this.config, ...newConfig });
+    try {
+      this.simulation.updateConfig(newConfig);
+    } catch (error) {
+      this.renderer.updateConfig(this.config);
+      throw error;
+    }
+
+    // A new frame shape recreates the frames
+    if (this.eventHandler && this.frames !== frames) {
+      this.eventHandler.setFrames(this.frames);
+    }
+    this.particles.configure(
+      getParticleStyle(this.config.PARTICLES),
+      this.config.MAX_PARTICLES
+    );
+
+    this.events.emit('configchange', { changes: newConfig, config: this.config });
   }
 
   /**
@@ -265,12 +1047,15 @@ export class FramePusher {
    */
   resize(width, height) {
     this.renderer.resize(width, height);
-    this._createFrames();
+    this.simulation.resize(width, height);
+    this.particles.clear();
     
     if (this.eventHandler) {
-      const dragTarget = this.frames[this.config.NUM_FRAMES - 1];
-      this.eventHandler.setDragTarget(dragTarget);
+      this.eventHandler.setBounds(width, height);
+      this.eventHandler.setFrames(this.frames);
     }
+
+    this.events.emit('resize', { width, height });
   }
 
   /**
@@ -0,0 +1,231 @@
+import { FramePusher, GAME_EVENTS } from './FramePusher.js';
+import { DEFAULT_CONFIG } from './Simulation.js';
+import { sanitizeConfig } from './ConfigSharing.js';
+
+// Attributes that map to config keys, with how to read their text
+const ATTRIBUTE_CONFIG = {
+  thickness: { key: 'FRAME_THICKNESS', parse: Number },
+  gap: { key: 'GAP', parse: Number },
+  'handle-size': { key: 'HANDLE_SIZE', parse: Number },
+  theme: { key: 'THEME', parse: String },
+};
+
+// Config keys that change the frame sizes, so the nest is laid out again
+const LAYOUT_KEYS = ['FRAME_THICKNESS', 'GAP', 'HANDLE_SIZE'];
+
+// Used until the element has been laid out with a size of its own
+const DEFAULT_WIDTH = 300;
+const DEFAULT_HEIGHT = 300;
+
+// Page styles do not reach into the shadow root, so the element brings
+// its own, including the class the announcer hides itself with
+const SHADOW_STYLES = `
+  :host {
+    display: block;
+    position: relative;
+    height: ${DEFAULT_HEIGHT}px;
+    overflow: hidden;
+  }
+
+  :host([hidden]) {
+    display: none;
+  }
+
+  .container {
+    width: 100%;
+    height: 100%;
+  }
+
+  canvas,
+  svg {
+    display: block;
+    cursor: pointer;
+    touch-action: none;
+  }
+
+  .visually-hidden {
+    position: absolute;
+    width: 1px;
+    height: 1px;
+    margin: -1px;
+    padding: 0;
+    overflow: hidden;
+    clip: rect(0, 0, 0, 0);
+    white-space: nowrap;
+    border: 0;
+  }
+`;
+
+/**
+ * The FramePusher game as a custom element
+ * Every element runs its own game inside a shadow root and follows its own
+ * size, so any number of them can share a page. Attributes set config
+ * values:
+ *
+ *   <frame-pusher thickness="20" gap="10" handle-size="60" theme="neon">
+ *   </frame-pusher>
+ *
+ * The renderer attribute ('canvas' or 'svg') is read when the element is
+ * connected. Every game event is dispatched as a DOM event named fp- plus
+ * its type, e.g. fp-dragstart or fp-collision, that bubbles out of the
+ * element. Removing the element stops its game and releases its listeners
+ */
+export class FramePusherElement extends HTMLElement {
+  static get observedAttributes() {
+    return Object.keys(ATTRIBUTE_CONFIG);
+  }
+
+  constructor() {
+    super();
+    this.game = null;
+    this.resizeObserver = null;
+
+    const shadow = this.attachShadow({ mode: 'open' });
+    const style = document.createElement('style');
+    style.textContent = SHADOW_STYLES;
+    this.container = document.createElement('div');
+    this.container.className = 'container';
+    shadow.append(style, this.container);
+  }
+
+  /**
+   * Starts a game sized to the element
+   */
+  connectedCallback() {
+    if (this.game) {
+      return;
+    }
+
+    const canvas = document.createElement('canvas');
+    this.container.appendChild(canvas);
+
+    const { width, height } = this._getSize();
+    this.game = new FramePusher(canvas, {
+      renderer: this.getAttribute('renderer') || 'canvas',
+      width,
+      height,
+      devPanel: false,
+    });
+
+    for (const type of GAME_EVENTS) {
+      this.game.on(type, (detail) => {
+        this.dispatchEvent(
+          new CustomEvent(`fp-${type}`, { detail, bubbles: true, composed: true })
+        );
+      });
+    }
+
+    const config = this._readAttributes(
+      FramePusherElement.observedAttributes.filter((name) => this.hasAttribute(name))
+    );
+    if (Object.keys(config).length > 0) {
+      this.game.updateConfig(config);
+      this.game.relayout();
+    }
+    this.game.init();
+
+    this.resizeObserver = new ResizeObserver(() => this._handleResize());
+    this.resizeObserver.observe(this);
+  }
+
+  /**
+   * Stops the game and removes everything it added
+   */
+  disconnectedCallback() {
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+
+    if (this.game) {
+      this.game.destroy();
+      this.game = null;
+    }
+
+    this.container.replaceChildren();
+  }
+
+  /**
+   * Applies a changed attribute to the running game
+   * @param {string} name - Attribute name
+   * @param {string|null} oldValue - Previous value
+   * @param {string|null} newValue - New value, null when removed
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (!this.game || oldValue === newValue) {
+      return;
+    }
+
+    const config = this._readAttributes([name]);
+    if (Object.keys(config).length === 0) {
+      return;
+    }
+
+    this.game.updateConfig(config);
+    if (LAYOUT_KEYS.includes(ATTRIBUTE_CONFIG[name].key)) {
+      this.game.relayout();
+    }
+  }
+
+  /**
+   * Reads config values from attributes
+   * Invalid values are reported and skipped, out of range ones clamped.
+   * A removed attribute falls back to the default value
+   * @param {Array} names - Attribute names to read
+   * @returns {Object} Config values keyed like DEFAULT_CONFIG
+   * @private
+   */
+  _readAttributes(names) {
+    const raw = {};
+    for (const name of names) {
+      const { key, parse } = ATTRIBUTE_CONFIG[name];
+      const value = this.getAttribute(name);
+      raw[key] = value === null ? DEFAULT_CONFIG[key] : parse(value);
+    }
+
+    const { config, warnings } = sanitizeConfig(raw, this.game.config);
+    for (const warning of warnings) {
+      console.warn(`<${this.localName}>: ${warning}`);
+    }
+    return config;
+  }
+
+  /**
+   * Resizes the game to the element
+   * Resizing lays out the frames again, so sizes that did not change are
+   * skipped
+   * @private
+   */
+  _handleResize() {
+    const { width, height } = this._getSize();
+    const simulation = this.game.simulation;
+
+    if (width !== simulation.width || height !== simulation.height) {
+      this.game.resize(width, height);
+    }
+  }
+
+  /**
+   * Gets the size of the element in whole pixels
+   * @returns {Object} Object with width and height
+   * @private
+   */
+  _getSize() {
+    return {
+      width: Math.floor(this.clientWidth) || DEFAULT_WIDTH,
+      height: Math.floor(this.clientHeight) || DEFAULT_HEIGHT,
+    };
+  }
+}
+
+/**
+ * Registers the custom element
+ * Registering twice is harmless, so bundles that both include the game
+ * can each call this
+ * @param {string} [name='frame-pusher'] - Tag name
+ */
+export function defineFramePusherElement(name = 'frame-pusher') {
+  if (!customElements.get(name)) {
+    customElements.define(name, FramePusherElement);
+  }
+}
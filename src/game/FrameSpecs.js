@@ -0,0 +1,89 @@
+/**
+ * Per-frame settings given with the FRAME_SPECS config key
+ *
+ * FRAME_SPECS is an array indexed from the outermost frame inwards, where
+ * the handle is the last frame. Each entry may set:
+ *   thickness  border width in px, defaults to FRAME_THICKNESS
+ *   gap        space in px between the border and the next frame inside,
+ *              defaults to GAP
+ *   color      border colour, or fill colour of the handle; defaults to
+ *              the theme
+ *   radius     corner radius in px, defaults to FRAME_RADIUS
+ *   label      text shown on the top border, or in the middle of the handle
+ *
+ * Missing fields and frames past the end of the array use the defaults.
+ * thickness and gap have no effect on the handle
+ */
+
+// Spec fields with the type each one needs
+const SPEC_FIELDS = {
+  thickness: 'length',
+  gap: 'length',
+  color: 'string',
+  radius: 'length',
+  label: 'string',
+};
+
+/**
+ * Resolves the settings of a frame
+ * @param {Object} config - Game configuration with FRAME_SPECS and the
+ * FRAME_THICKNESS, GAP and FRAME_RADIUS defaults
+ * @param {number} index - Frame index, 0 is the outermost frame
+ * @returns {Object} thickness, gap, color (null for the theme colour),
+ * radius and label ('' for none)
+ */
+export function resolveFrameSpec(config, index) {
+  const spec = (config.FRAME_SPECS && config.FRAME_SPECS[index]) || {};
+
+  return {
+    thickness: spec.thickness ?? config.FRAME_THICKNESS,
+    gap: spec.gap ?? config.GAP,
+    color: spec.color ?? null,
+    radius: spec.radius ?? config.FRAME_RADIUS,
+    label: spec.label ?? '',
+  };
+}
+
+/**
+ * Lists everything wrong with a FRAME_SPECS value
+ * @param {*} specs - Value to check
+ * @returns {Array} Error messages, empty if the specs are valid
+ */
+export function findFrameSpecErrors(specs) {
+  if (!Array.isArray(specs)) {
+    return ['FRAME_SPECS must be an array'];
+  }
+
+  const errors = [];
+
+  specs.forEach((spec, i) => {
+    // Holes and nulls keep the defaults for that frame
+    if (spec === null || spec === undefined) {
+      return;
+    }
+
+    if (typeof spec !== 'object' || Array.isArray(spec)) {
+      errors.push(`FRAME_SPECS[${i}] must be an object`);
+      return;
+    }
+
+    for (const [field, value] of Object.entries(spec)) {
+      const type = SPEC_FIELDS[field];
+
+      if (!type) {
+        errors.push(
+          `FRAME_SPECS[${i}].${field} is not supported, use one of ${Object.keys(SPEC_FIELDS).join(', ')}`
+        );
+      } else if (
+        type === 'length' &&
+        (typeof value !== 'number' || !Number.isFinite(value) || value < 0)
+      ) {
+        errors.push(`FRAME_SPECS[${i}].${field} must be a number >= 0`);
+      } else if (type === 'string' && typeof value !== 'string') {
+        errors.push(`FRAME_SPECS[${i}].${field} must be a string`);
+      }
+    }
+  });
+
+  return errors;
+}
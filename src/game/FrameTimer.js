@@ -0,0 +1,84 @@
+/**
+ * Frame-time counter for the FramePusher game
+ * Measures how long rendering takes and how many animation frames
+ * actually redraw, summarised at a fixed interval
+ */
+export class FrameTimer {
+  constructor(reportInterval = 500) {
+    this.reportInterval = reportInterval;
+
+    // Samples of the current interval
+    this.intervalStart = null;
+    this.frameCount = 0;
+    this.drawCount = 0;
+    this.renderTime = 0;
+
+    this.report = null;
+  }
+
+  /**
+   * Records one animation frame
+   * @param {number} timestamp - Frame timestamp in ms
+   * @param {number} renderTime - Time spent rendering in ms
+   * @param {boolean} isDrawn - Whether the frame redrew anything
+   */
+  record(timestamp, renderTime, isDrawn) {
+    if (this.intervalStart === null) {
+      this.intervalStart = timestamp;
+    }
+
+    this.frameCount++;
+    if (isDrawn) {
+      this.drawCount++;
+      this.renderTime += renderTime;
+    }
+
+    const elapsed = timestamp - this.intervalStart;
+    if (elapsed >= this.reportInterval) {
+      this.report = {
+        frameTime: elapsed / this.frameCount,
+        renderTime: this.drawCount > 0 ? this.renderTime / this.drawCount : 0,
+        frames: this.frameCount,
+        redraws: this.drawCount,
+      };
+
+      this.intervalStart = timestamp;
+      this.frameCount = 0;
+      this.drawCount = 0;
+      this.renderTime = 0;
+    }
+  }
+
+  /**
+   * Gets the summary of the last full interval
+   * @returns {Object|null} Average frameTime and renderTime in ms, frames
+   * and redraws counted, or null before the first interval completes
+   */
+  getReport() {
+    return this.report;
+  }
+
+  /**
+   * Gets the animation frame rate of the last full interval
+   * @returns {number} Frames per second, 0 before the first interval completes
+   */
+  getFps() {
+    return this.report ? 1000 / this.report.frameTime : 0;
+  }
+
+  /**
+   * Formats the last summary for display
+   * @returns {string} Text such as "frame 16.7 ms · render 0.8 ms · 3/30 drawn"
+   */
+  getText() {
+    if (!this.report) {
+      return 'measuring…';
+    }
+
+    const { frameTime, renderTime, frames, redraws } = this.report;
+    return (
+      `frame ${frameTime.toFixed(1)} ms · render ${renderTime.toFixed(1)} ms · ` +
+      `${redraws}/${frames} drawn`
+    );
+  }
+}
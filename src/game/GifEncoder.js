@@ -0,0 +1,273 @@
+// Colour levels per channel of the fixed palette, 6 * 7 * 6 = 252 colours
+const RED_LEVELS = 6;
+const GREEN_LEVELS = 7;
+const BLUE_LEVELS = 6;
+
+// 4x4 ordered dither thresholds, hides banding in gradients and shadows
+const BAYER_4X4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5],
+];
+
+// Codes of the 8-bit LZW stream
+const MIN_CODE_SIZE = 8;
+const MAX_CODE = 4096;
+
+/**
+ * Animated GIF encoder
+ * Frames are quantised to a fixed colour cube with ordered dithering and
+ * LZW compressed as they are added, so only the compressed animation is
+ * kept in memory. Does not touch the DOM
+ */
+export class GifEncoder {
+  constructor(width, height) {
+    if (!(width > 0) || !(height > 0) || width > 65535 || height > 65535) {
+      throw new Error(`Invalid GIF size ${width}x${height}`);
+    }
+
+    this.width = width;
+    this.height = height;
+    this.chunks = [this._createHeader()];
+    this.frameCount = 0;
+    this.isFinished = false;
+  }
+
+  /**
+   * Adds a frame
+   * @param {Uint8ClampedArray} rgba - Pixels as from ImageData.data, of the
+   * encoder size
+   * @param {number} delay - Time to show the frame in ms
+   */
+  addFrame(rgba, delay) {
+    if (this.isFinished) {
+      throw new Error('Cannot add frames to a finished GIF');
+    }
+
+    if (rgba.length !== this.width * this.height * 4) {
+      throw new Error(
+        `Frame has ${rgba.length / 4} pixels, expected ${this.width * this.height}`
+      );
+    }
+
+    // GIF delays are in hundredths of a second
+    const centiseconds = Math.max(2, Math.round(delay / 10));
+
+    this.chunks.push(
+      Uint8Array.of(
+        // Graphic control extension, no transparency
+        0x21, 0xf9, 0x04, 0x00,
+        centiseconds & 0xff, centiseconds >> 8,
+        0x00, 0x00,
+        // Image descriptor covering the whole canvas, global palette
+        0x2c, 0, 0, 0, 0,
+        this.width & 0xff, this.width >> 8,
+        this.height & 0xff, this.height >> 8,
+        0x00,
+        MIN_CODE_SIZE
+      ),
+      this._toSubBlocks(this._compress(this._quantize(rgba)))
+    );
+    this.frameCount++;
+  }
+
+  /**
+   * Ends the animation
+   * @returns {Uint8Array} The GIF file
+   */
+  finish() {
+    if (!this.isFinished) {
+      this.chunks.push(Uint8Array.of(0x3b));
+      this.isFinished = true;
+    }
+
+    let length = 0;
+    for (const chunk of this.chunks) {
+      length += chunk.length;
+    }
+
+    const file = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of this.chunks) {
+      file.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return file;
+  }
+
+  /**
+   * Builds the header, the global palette and the looping extension
+   * @private
+   */
+  _createHeader() {
+    const header = [
+      // GIF89a
+      0x47, 0x49, 0x46, 0x38, 0x39, 0x61,
+      this.width & 0xff, this.width >> 8,
+      this.height & 0xff, this.height >> 8,
+      // Global colour table with 256 entries
+      0xf7, 0x00, 0x00,
+    ];
+
+    for (let i = 0; i < 256; i++) {
+      const [r, g, b] = this._paletteColor(i);
+      header.push(r, g, b);
+    }
+
+    // NETSCAPE2.0 extension, loop forever
+    header.push(
+      0x21, 0xff, 0x0b,
+      0x4e, 0x45, 0x54, 0x53, 0x43, 0x41, 0x50, 0x45, 0x32, 0x2e, 0x30,
+      0x03, 0x01, 0x00, 0x00, 0x00
+    );
+
+    return Uint8Array.from(header);
+  }
+
+  /**
+   * Gets the colour of a palette index
+   * Indexes past the colour cube are padded with black
+   * @private
+   */
+  _paletteColor(index) {
+    if (index >= RED_LEVELS * GREEN_LEVELS * BLUE_LEVELS) {
+      return [0, 0, 0];
+    }
+
+    const r = Math.floor(index / (GREEN_LEVELS * BLUE_LEVELS));
+    const g = Math.floor(index / BLUE_LEVELS) % GREEN_LEVELS;
+    const b = index % BLUE_LEVELS;
+
+    return [
+      Math.round((r * 255) / (RED_LEVELS - 1)),
+      Math.round((g * 255) / (GREEN_LEVELS - 1)),
+      Math.round((b * 255) / (BLUE_LEVELS - 1)),
+    ];
+  }
+
+  /**
+   * Maps every pixel to the nearest dithered palette index
+   * @private
+   */
+  _quantize(rgba) {
+    const indices = new Uint8Array(this.width * this.height);
+
+    for (let y = 0; y < this.height; y++) {
+      const row = BAYER_4X4[y % 4];
+
+      for (let x = 0; x < this.width; x++) {
+        const pixel = y * this.width + x;
+        const offset = row[x % 4] / 16 - 0.5;
+
+        const r = this._level(rgba[pixel * 4], RED_LEVELS, offset);
+        const g = this._level(rgba[pixel * 4 + 1], GREEN_LEVELS, offset);
+        const b = this._level(rgba[pixel * 4 + 2], BLUE_LEVELS, offset);
+
+        indices[pixel] = (r * GREEN_LEVELS + g) * BLUE_LEVELS + b;
+      }
+    }
+
+    return indices;
+  }
+
+  /**
+   * Rounds a channel value to one of the palette levels
+   * @private
+   */
+  _level(value, levels, offset) {
+    const level = Math.round((value * (levels - 1)) / 255 + offset);
+    return Math.max(0, Math.min(levels - 1, level));
+  }
+
+  /**
+   * LZW compresses palette indices into a variable length code stream
+   * @private
+   */
+  _compress(indices) {
+    const clearCode = 1 << MIN_CODE_SIZE;
+    const endCode = clearCode + 1;
+    const output = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    let codeSize = MIN_CODE_SIZE + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+
+    const emit = (code) => {
+      bitBuffer |= code << bitCount;
+      bitCount += codeSize;
+
+      while (bitCount >= 8) {
+        output.push(bitBuffer & 0xff);
+        bitBuffer >>>= 8;
+        bitCount -= 8;
+      }
+    };
+
+    emit(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const index = indices[i];
+      const key = (prefix << 8) | index;
+      const code = table.get(key);
+
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+
+      emit(prefix);
+
+      if (nextCode === MAX_CODE) {
+        emit(clearCode);
+        table = new Map();
+        codeSize = MIN_CODE_SIZE + 1;
+        nextCode = endCode + 1;
+      } else {
+        // Grow the code size when the new entry no longer fits; the
+        // decoder makes the same switch one code later
+        if (nextCode >= 1 << codeSize) {
+          codeSize++;
+        }
+        table.set(key, nextCode++);
+      }
+
+      prefix = index;
+    }
+
+    emit(prefix);
+    emit(endCode);
+
+    if (bitCount > 0) {
+      output.push(bitBuffer & 0xff);
+    }
+
+    return output;
+  }
+
+  /**
+   * Splits a byte stream into GIF data sub-blocks of up to 255 bytes
+   * @private
+   */
+  _toSubBlocks(bytes) {
+    const blockCount = Math.ceil(bytes.length / 255);
+    const blocks = new Uint8Array(bytes.length + blockCount + 1);
+    let offset = 0;
+
+    for (let start = 0; start < bytes.length; start += 255) {
+      const size = Math.min(255, bytes.length - start);
+      blocks[offset++] = size;
+
+      for (let i = 0; i < size; i++) {
+        blocks[offset++] = bytes[start + i];
+      }
+    }
+
+    // Block terminator
+    blocks[offset] = 0;
+    return blocks;
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Current version of the input log format
+ */
+export const INPUT_LOG_VERSION = 2;
+
+/**
+ * Short codes used for drag operations in the input log
+ */
+export const DRAG_CODES = {
+  start: 's',
+  move: 'm',
+  end: 'e',
+};
+
+/**
+ * Input recorder for the FramePusher game
+ * Captures timestamped drag operations into a compact JSON log
+ *
+ * Log format:
+ * {
+ *   version: 2,
+ *   width, height,         // simulation bounds
+ *   config: { ... },       // simulation configuration
+ *   frames: [[x, y, vx, vy, sleeping, angle, va], ...],  // state when recording started
+ *   events: [[t, 's', id, x, y], [t, 'm', id, x, y], [t, 'e', id], ...]
+ * }
+ *
+ * t is the time in ms since the recording started and id the pointer id
+ */
+export class InputRecorder {
+  constructor(simulation) {
+    this.simulation = simulation;
+    this.isRecording = false;
+    this.startTime = 0;
+    this.log = null;
+  }
+
+  /**
+   * Starts a new recording from the current simulation state
+   */
+  start() {
+    this.isRecording = true;
+    this.startTime = Math.round(performance.now());
+    this.log = {
+      version: INPUT_LOG_VERSION,
+      width: this.simulation.width,
+      height: this.simulation.height,
+      config: { ...this.simulation.config },
+      frames: this.simulation.snapshotFrames(),
+      events: [],
+    };
+  }
+
+  /**
+   * Stops recording
+   * @returns {Object|null} The recorded log or null if nothing was recorded
+   */
+  stop() {
+    this.isRecording = false;
+    return this.log;
+  }
+
+  /**
+   * Records a drag operation
+   * @param {string} type - One of 'start', 'move' or 'end'
+   * @param {Object} [position] - Pointer position with x and y coordinates
+   * @param {number} [pointerId=0] - Id of the pointer performing the drag
+   * @param {number} [time] - Time of the operation in ms, now if not given
+   */
+  record(type, position, pointerId = 0, time = performance.now()) {
+    if (!this.isRecording) {
+      return;
+    }
+
+    // Event timestamps can trail the clock a little, the log stays in order
+    const events = this.log.events;
+    const previous = events.length > 0 ? events[events.length - 1][0] : 0;
+    const event = [
+      Math.max(previous, Math.round(time - this.startTime)),
+      DRAG_CODES[type],
+      pointerId,
+    ];
+
+    if (position) {
+      event.push(this._round(position.x), this._round(position.y));
+    }
+
+    events.push(event);
+  }
+
+  /**
+   * Serializes the recorded log
+   * @returns {string} JSON string of the log
+   */
+  serialize() {
+    return JSON.stringify(this.log);
+  }
+
+  /**
+   * Rounds a coordinate to two decimals to keep the log compact
+   * @private
+   */
+  _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
@@ -0,0 +1,204 @@
+import { INPUT_LOG_VERSION, DRAG_CODES } from './InputRecorder.js';
+import { sanitizeConfig } from './ConfigSharing.js';
+
+const DRAG_TYPES = {
+  [DRAG_CODES.start]: 'start',
+  [DRAG_CODES.move]: 'move',
+  [DRAG_CODES.end]: 'end',
+};
+
+/**
+ * Input replay for the FramePusher game
+ * Feeds a recorded input log back through the EventHandler drag path
+ *
+ * The simulation is advanced in whole fixed timesteps on a virtual clock,
+ * so a replay produces the same frame positions regardless of display
+ * refresh rate, playback speed, pauses or scrubbing. Every drag carries its
+ * recorded time, so frames are thrown as they were in the recording.
+ * The log config is checked with sanitizeConfig; config holds the accepted
+ * values and warnings what was dropped or clamped
+ */
+export class InputReplay {
+  constructor(eventHandler, simulation, log) {
+    this.eventHandler = eventHandler;
+    this.simulation = simulation;
+    this.log = typeof log === 'string' ? JSON.parse(log) : log;
+
+    this._validateLog(this.log);
+
+    // Logs come from files, so their config is checked like a shared setup
+    const { config, warnings } = sanitizeConfig(this.log.config);
+    this.config = config;
+    this.warnings = warnings;
+
+    this.timestep = config.TIMESTEP;
+    this.duration = this.log.events.length > 0
+      ? this.log.events[this.log.events.length - 1][0]
+      : 0;
+
+    // Playback state
+    this.time = 0;
+    this.currentStep = 0;
+    this.nextEventIndex = 0;
+    this.speed = 1;
+    this.isPaused = false;
+  }
+
+  /**
+   * Advances playback by real elapsed time, scaled by the playback speed
+   * @param {number} elapsed - Real time since the last update in ms
+   */
+  update(elapsed) {
+    if (this.isPaused) {
+      return;
+    }
+
+    this.time += elapsed * this.speed;
+    this._advanceTo(Math.floor(this.time / this.timestep));
+  }
+
+  /**
+   * Pauses playback
+   */
+  pause() {
+    this.isPaused = true;
+  }
+
+  /**
+   * Resumes playback
+   */
+  play() {
+    this.isPaused = false;
+  }
+
+  /**
+   * Sets the playback speed
+   * @param {number} speed - Speed multiplier, 1 is real time
+   */
+  setSpeed(speed) {
+    if (!(speed > 0)) {
+      throw new Error(`Playback speed must be positive, got ${speed}`);
+    }
+    this.speed = speed;
+  }
+
+  /**
+   * Jumps to a point in the recording
+   * Restores the initial state and fast-forwards to the requested time
+   * @param {number} time - Target time in ms, clamped to the recording
+   */
+  seek(time) {
+    const target = Math.max(0, Math.min(time, this.duration));
+
+    this.eventHandler.releaseAll();
+    this.simulation.restoreFrames(this.log.frames);
+    this.time = target;
+    this.currentStep = 0;
+    this.nextEventIndex = 0;
+
+    this._advanceTo(Math.floor(target / this.timestep));
+
+    // Fast-forwarded impacts should not all be reported at once
+    this.simulation.takeCollisions();
+  }
+
+  /**
+   * Gets the current playback position
+   * @returns {number} Position between 0 and 1
+   */
+  getProgress() {
+    return this.duration > 0 ? Math.min(1, this.time / this.duration) : 1;
+  }
+
+  /**
+   * Checks whether every recorded event has been played
+   * @returns {boolean} True if the replay reached the end of the log
+   */
+  isFinished() {
+    return this.nextEventIndex >= this.log.events.length;
+  }
+
+  /**
+   * Steps the simulation up to the given step, dispatching the events
+   * that fall within each step before integrating it
+   * @param {number} targetStep - Step index to advance to
+   * @private
+   */
+  _advanceTo(targetStep) {
+    while (this.currentStep < targetStep) {
+      this._dispatchEventsUntil((this.currentStep + 1) * this.timestep);
+      this.simulation.step(this.timestep);
+      this.currentStep++;
+    }
+  }
+
+  /**
+   * Dispatches all pending events recorded before the given time
+   * @param {number} time - Time limit in ms (exclusive)
+   * @private
+   */
+  _dispatchEventsUntil(time) {
+    const events = this.log.events;
+
+    while (
+      this.nextEventIndex < events.length &&
+      events[this.nextEventIndex][0] < time
+    ) {
+      const [eventTime, code, pointerId, x, y] = events[this.nextEventIndex];
+      const position = code === DRAG_CODES.end ? undefined : { x, y };
+
+      this.eventHandler.dispatchDrag(
+        DRAG_TYPES[code],
+        position,
+        pointerId,
+        eventTime
+      );
+      this.nextEventIndex++;
+    }
+  }
+
+  /**
+   * Validates the structure of an input log
+   * @param {Object} log - Parsed input log
+   * @throws {Error} If the log is malformed or has an unsupported version
+   * @private
+   */
+  _validateLog(log) {
+    if (!log || typeof log !== 'object') {
+      throw new Error('Input log must be an object');
+    }
+
+    if (log.version !== INPUT_LOG_VERSION) {
+      throw new Error(
+        `Unsupported input log version ${log.version}, expected ${INPUT_LOG_VERSION}`
+      );
+    }
+
+    if (!(log.width > 0) || !(log.height > 0)) {
+      throw new Error('Input log must have a positive width and height');
+    }
+
+    if (!log.config || !(log.config.TIMESTEP > 0)) {
+      throw new Error('Input log config must have a positive TIMESTEP');
+    }
+
+    if (!Array.isArray(log.frames) || !Array.isArray(log.events)) {
+      throw new Error('Input log must have frames and events arrays');
+    }
+
+    let previousTime = 0;
+    for (let i = 0; i < log.events.length; i++) {
+      const [time, code] = log.events[i];
+
+      if (!(code in DRAG_TYPES)) {
+        throw new Error(`Input log event ${i} has unknown type "${code}"`);
+      }
+
+      if (!(time >= previousTime)) {
+        throw new Error(`Input log event ${i} is out of order`);
+      }
+
+      previousTime = time;
+    }
+  }
+}
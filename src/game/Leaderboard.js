@@ -0,0 +1,132 @@
+/**
+ * Persistent top-N leaderboard for the FramePusher game
+ * Entries are kept in localStorage, best score first. Storage failures
+ * (private browsing, quota, malformed data) leave an in-memory board
+ */
+export class Leaderboard {
+  constructor(storageKey = 'framepusher.leaderboard', size = 10) {
+    if (!(size > 0)) {
+      throw new Error(`Leaderboard size must be positive, got ${size}`);
+    }
+
+    this.storageKey = storageKey;
+    this.size = size;
+    this.entries = this._load();
+  }
+
+  /**
+   * Gets the ranked entries
+   * @returns {Array} Entries with name, score and ISO date, best first
+   */
+  getEntries() {
+    return this.entries.slice();
+  }
+
+  /**
+   * Checks if a score would make it onto the board
+   * @param {number} score - Score to check
+   * @returns {boolean} True if the score earns a place
+   */
+  qualifies(score) {
+    if (!(score > 0)) {
+      return false;
+    }
+
+    return (
+      this.entries.length < this.size ||
+      score > this.entries[this.entries.length - 1].score
+    );
+  }
+
+  /**
+   * Adds a score to the board and saves it
+   * @param {string} name - Player name
+   * @param {number} score - Final score
+   * @param {Date} [date=new Date()] - When the score was reached
+   * @returns {number} Zero-based rank of the new entry, or -1 if it did
+   * not make the board
+   */
+  add(name, score, date = new Date()) {
+    if (!this.qualifies(score)) {
+      return -1;
+    }
+
+    const entry = {
+      name: this._cleanName(name),
+      score,
+      date: date.toISOString(),
+    };
+
+    // Ties keep the older entry ahead
+    let rank = 0;
+    while (rank < this.entries.length && this.entries[rank].score >= score) {
+      rank++;
+    }
+
+    this.entries.splice(rank, 0, entry);
+    this.entries.length = Math.min(this.entries.length, this.size);
+    this._save();
+
+    return rank;
+  }
+
+  /**
+   * Removes every entry
+   */
+  clear() {
+    this.entries = [];
+    this._save();
+  }
+
+  /**
+   * Reads the stored entries, dropping anything malformed
+   * @returns {Array} Valid entries, best first
+   * @private
+   */
+  _load() {
+    let stored;
+
+    try {
+      stored = JSON.parse(localStorage.getItem(this.storageKey));
+    } catch (error) {
+      console.warn('Could not read the leaderboard:', error);
+      return [];
+    }
+
+    if (!Array.isArray(stored)) {
+      return [];
+    }
+
+    const entries = stored.filter(
+      (entry) =>
+        entry &&
+        typeof entry.name === 'string' &&
+        Number.isFinite(entry.score) &&
+        typeof entry.date === 'string'
+    );
+
+    entries.sort((a, b) => b.score - a.score);
+    return entries.slice(0, this.size);
+  }
+
+  /**
+   * Writes the entries to localStorage
+   * @private
+   */
+  _save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+    } catch (error) {
+      console.warn('Could not save the leaderboard:', error);
+    }
+  }
+
+  /**
+   * Trims a player name to something that fits the results screen
+   * @private
+   */
+  _cleanName(name) {
+    const trimmed = String(name || '').trim().slice(0, 16);
+    return trimmed || 'Anonymous';
+  }
+}
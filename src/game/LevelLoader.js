@@ -0,0 +1,338 @@
+import { Simulation, DEFAULT_CONFIG } from './Simulation.js';
+import { resolveFrameSpec, findFrameSpecErrors } from './FrameSpecs.js';
+
+/**
+ * Current version of the level format
+ */
+export const LEVEL_SCHEMA_VERSION = 1;
+
+// Config keys a level may override, with their allowed minimum
+const LEVEL_CONFIG_KEYS = {
+  FRAME_THICKNESS: 1,
+  GAP: 0,
+  HANDLE_SIZE: 1,
+  DAMPING: 0,
+  SPRING_STRENGTH: 0,
+};
+
+// Per-frame settings a level may give, checked by findFrameSpecErrors
+const LEVEL_SPECS_KEY = 'FRAME_SPECS';
+
+// Tolerance in pixels when checking if a frame sits inside its target
+const TARGET_TOLERANCE = 0.5;
+
+/**
+ * Checks if a frame lies completely inside a target zone
+ * @param {Object} frame - Frame rectangle
+ * @param {Object} target - Target rectangle
+ * @returns {boolean} True if the frame is inside, within TARGET_TOLERANCE
+ */
+export function isFrameInTarget(frame, target) {
+  return (
+    frame.x >= target.x - TARGET_TOLERANCE &&
+    frame.y >= target.y - TARGET_TOLERANCE &&
+    frame.x + frame.width <= target.x + target.width + TARGET_TOLERANCE &&
+    frame.y + frame.height <= target.y + target.height + TARGET_TOLERANCE
+  );
+}
+
+/**
+ * Level loader for the puzzle mode
+ * Parses and validates levels in the versioned JSON format:
+ *
+ * {
+ *   "version": 1,
+ *   "name": "Corner",
+ *   "width": 400,
+ *   "height": 400,
+ *   "config": { "FRAME_THICKNESS": 20, "FRAME_SPECS": [...] },  // optional
+ *   "frames": [{ "x": 0, "y": 0, "width": 400, "height": 400 }, ...],  // optional
+ *   "targets": [{ "frame": 3, "x": 60, "y": 60, "width": 240, "height": 240 }]
+ * }
+ *
+ * Frames are listed outermost first with the handle last. Without frames the
+ * usual centered nest is generated from the config. A target frame index may
+ * be negative to count from the handle (-1 is the handle). The starting
+ * layout must not already meet every target
+ */
+export class LevelLoader {
+  /**
+   * Parses a list of levels
+   * @param {Array|string} data - Array of levels or its JSON string
+   * @returns {Array} Validated levels
+   * @throws {Error} If the data is not an array or any level is invalid
+   */
+  parseAll(data) {
+    const levels = typeof data === 'string' ? JSON.parse(data) : data;
+
+    if (!Array.isArray(levels) || levels.length === 0) {
+      throw new Error('Levels must be a non-empty array');
+    }
+
+    return levels.map((level, index) => this.parse(level, `levels[${index}]`));
+  }
+
+  /**
+   * Parses a single level
+   * @param {Object|string} data - Level object or its JSON string
+   * @param {string} [label='level'] - Name used in error messages
+   * @returns {Object} Validated level with resolved frames and targets
+   * @throws {Error} Listing every problem found in the level
+   */
+  parse(data, label = 'level') {
+    const level = typeof data === 'string' ? JSON.parse(data) : data;
+
+    if (!level || typeof level !== 'object' || Array.isArray(level)) {
+      throw new Error(`Invalid ${label}: must be an object`);
+    }
+
+    if (typeof level.name === 'string') {
+      label = `${label} "${level.name}"`;
+    }
+
+    if (level.version !== LEVEL_SCHEMA_VERSION) {
+      throw new Error(
+        `Invalid ${label}: unsupported version ${level.version}, expected ${LEVEL_SCHEMA_VERSION}`
+      );
+    }
+
+    const errors = [];
+    this._validateBasics(level, errors);
+    const config = this._validateConfig(level.config, errors);
+
+    if (errors.length === 0) {
+      const frames = this._resolveFrames(level, config, errors);
+      const targets = this._resolveTargets(level.targets, frames, errors);
+
+      if (
+        errors.length === 0 &&
+        targets.every((target) => isFrameInTarget(frames[target.frame], target))
+      ) {
+        errors.push('targets are already met by the starting layout');
+      }
+
+      if (errors.length === 0) {
+        return {
+          version: level.version,
+          name: level.name,
+          width: level.width,
+          height: level.height,
+          config,
+          frames,
+          targets,
+        };
+      }
+    }
+
+    throw new Error(`Invalid ${label}:\n - ${errors.join('\n - ')}`);
+  }
+
+  /**
+   * Validates name, size and the presence of targets
+   * @private
+   */
+  _validateBasics(level, errors) {
+    if (typeof level.name !== 'string' || level.name.trim() === '') {
+      errors.push('name must be a non-empty string');
+    }
+
+    for (const key of ['width', 'height']) {
+      if (!this._isPositiveNumber(level[key])) {
+        errors.push(`${key} must be a positive number`);
+      }
+    }
+
+    if (!Array.isArray(level.targets) || level.targets.length === 0) {
+      errors.push('targets must be a non-empty array');
+    }
+
+    if (level.frames !== undefined && !Array.isArray(level.frames)) {
+      errors.push('frames must be an array when given');
+    }
+  }
+
+  /**
+   * Validates config overrides
+   * @returns {Object} Level config with every overridable key set
+   * @private
+   */
+  _validateConfig(config, errors) {
+    if (config === undefined) {
+      config = {};
+    }
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      errors.push('config must be an object when given');
+      config = {};
+    }
+
+    for (const [key, value] of Object.entries(config)) {
+      if (key === LEVEL_SPECS_KEY) {
+        for (const error of findFrameSpecErrors(value)) {
+          errors.push(`config.${error}`);
+        }
+      } else if (!(key in LEVEL_CONFIG_KEYS)) {
+        errors.push(
+          `config.${key} is not supported, use one of ${[...Object.keys(LEVEL_CONFIG_KEYS), LEVEL_SPECS_KEY].join(', ')}`
+        );
+      } else if (
+        typeof value !== 'number' ||
+        !Number.isFinite(value) ||
+        value < LEVEL_CONFIG_KEYS[key]
+      ) {
+        errors.push(`config.${key} must be a number >= ${LEVEL_CONFIG_KEYS[key]}`);
+      }
+    }
+
+    // Resolve against the defaults so levels do not depend on prior tweaks
+    const resolved = {};
+    for (const key of [...Object.keys(LEVEL_CONFIG_KEYS), LEVEL_SPECS_KEY]) {
+      resolved[key] = key in config ? config[key] : DEFAULT_CONFIG[key];
+    }
+    // Levels are laid out as upright rectangles and solved with the
+    // default physics, whatever the free-play settings were
+    resolved.FRAME_SHAPE = DEFAULT_CONFIG.FRAME_SHAPE;
+    resolved.ROTATION_ENABLED = DEFAULT_CONFIG.ROTATION_ENABLED;
+    resolved.SOFT_BODY_ENABLED = DEFAULT_CONFIG.SOFT_BODY_ENABLED;
+    resolved.FLING_ENABLED = DEFAULT_CONFIG.FLING_ENABLED;
+    return resolved;
+  }
+
+  /**
+   * Validates the explicit frame layout or generates the default one
+   * @returns {Array} Frame rectangles, outermost first
+   * @private
+   */
+  _resolveFrames(level, config, errors) {
+    if (level.frames === undefined) {
+      const simulation = new Simulation(level.width, level.height, config);
+      return simulation.frames.map(({ x, y, width, height }) => ({
+        x,
+        y,
+        width,
+        height,
+      }));
+    }
+
+    const canvas = { x: 0, y: 0, width: level.width, height: level.height };
+    const frames = [];
+
+    level.frames.forEach((frame, i) => {
+      if (!this._isRect(frame)) {
+        errors.push(
+          `frames[${i}] must have numeric x and y and positive width and height`
+        );
+        frames.push(null);
+        return;
+      }
+
+      const rect = {
+        x: frame.x,
+        y: frame.y,
+        width: frame.width,
+        height: frame.height,
+      };
+
+      if (i === 0) {
+        if (!this._contains(canvas, rect, 0)) {
+          errors.push(`frames[0] must lie inside the ${level.width}x${level.height} canvas`);
+        }
+      } else if (frames[i - 1]) {
+        const { thickness } = resolveFrameSpec(config, i - 1);
+
+        if (!this._contains(frames[i - 1], rect, thickness)) {
+          errors.push(
+            `frames[${i}] must lie inside frames[${i - 1}] with a ${thickness}px border`
+          );
+        }
+      }
+
+      frames.push(rect);
+    });
+
+    if (frames.length < 2) {
+      errors.push('frames must contain at least one frame and the handle');
+    }
+
+    return frames;
+  }
+
+  /**
+   * Validates targets and resolves negative frame indices
+   * @returns {Array} Targets with absolute frame indices
+   * @private
+   */
+  _resolveTargets(targets, frames, errors) {
+    const count = frames.length;
+
+    return targets.map((target, i) => {
+      if (!this._isRect(target)) {
+        errors.push(
+          `targets[${i}] must have numeric x and y and positive width and height`
+        );
+        return null;
+      }
+
+      if (!Number.isInteger(target.frame) || target.frame >= count || target.frame < -count) {
+        errors.push(
+          `targets[${i}].frame must be an integer between ${-count} and ${count - 1}`
+        );
+        return null;
+      }
+
+      const frameIndex = target.frame < 0 ? count + target.frame : target.frame;
+      const frame = frames[frameIndex];
+
+      if (target.width < frame.width || target.height < frame.height) {
+        errors.push(
+          `targets[${i}] is ${target.width}x${target.height} but frame ${frameIndex} ` +
+            `is ${frame.width}x${frame.height}, it can never fit`
+        );
+      }
+
+      return {
+        frame: frameIndex,
+        x: target.x,
+        y: target.y,
+        width: target.width,
+        height: target.height,
+      };
+    });
+  }
+
+  /**
+   * Checks if an outer rectangle contains an inner one with a margin
+   * @private
+   */
+  _contains(outer, inner, margin) {
+    return (
+      inner.x >= outer.x + margin &&
+      inner.y >= outer.y + margin &&
+      inner.x + inner.width <= outer.x + outer.width - margin &&
+      inner.y + inner.height <= outer.y + outer.height - margin
+    );
+  }
+
+  /**
+   * Checks if a value is a rectangle with a positive size
+   * @private
+   */
+  _isRect(value) {
+    return (
+      value !== null &&
+      typeof value === 'object' &&
+      Number.isFinite(value.x) &&
+      Number.isFinite(value.y) &&
+      this._isPositiveNumber(value.width) &&
+      this._isPositiveNumber(value.height)
+    );
+  }
+
+  /**
+   * Checks if a value is a finite number greater than zero
+   * @private
+   */
+  _isPositiveNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * Value of the PARTICLES config key that turns impact particles off
+ */
+export const NO_PARTICLES = 'none';
+
+/**
+ * Impact particle styles selectable with the PARTICLES config key
+ *
+ * Ranges are [weakest, strongest] impact, values in between follow the
+ * impact speed:
+ *   shape    'spark' draws a streak along the velocity, 'puff' a disc
+ *   count    particles per impact
+ *   speed    launch speed in px per ms
+ *   size     streak width or disc radius in px
+ *   life     lifetime range in ms, picked at random
+ *   spread   launch angle around the edge normal in radians
+ *   gravity  downward acceleration in px per ms², negative rises
+ *   drag     velocity lost per ms, 0.002 halves it in about 350 ms
+ *   growth   radius gained per ms
+ *   trail    streak length in ms of travel
+ *   colors   colours picked at random, null uses the theme frame colour
+ */
+export const PARTICLE_STYLES = {
+  sparks: {
+    shape: 'spark',
+    count: [3, 14],
+    speed: [0.1, 0.45],
+    size: [1, 2],
+    life: [200, 450],
+    spread: Math.PI / 2.5,
+    gravity: 0.0008,
+    drag: 0.002,
+    growth: 0,
+    trail: 18,
+    colors: ['#fff59d', '#ffd54f', '#ffb300', '#ff8f00'],
+  },
+  dust: {
+    shape: 'puff',
+    count: [2, 9],
+    speed: [0.02, 0.1],
+    size: [1.5, 4],
+    life: [400, 900],
+    spread: Math.PI * 0.9,
+    gravity: -0.00004,
+    drag: 0.003,
+    growth: 0.006,
+    trail: 0,
+    colors: null,
+  },
+};
+
+/**
+ * Adds a custom particle style
+ * Missing fields are taken from the sparks style
+ * @param {string} name - Value to use for the PARTICLES config key
+ * @param {Object} style - Style fields as described above
+ */
+export function registerParticleStyle(name, style) {
+  if (name === NO_PARTICLES) {
+    throw new Error(`"${NO_PARTICLES}" is reserved for turning particles off`);
+  }
+  PARTICLE_STYLES[name] = { ...PARTICLE_STYLES.sparks, ...style };
+}
+
+/**
+ * Looks up the particle style selected in the config
+ * @param {string} name - Style name or 'none'
+ * @returns {Object|null} The style, null when particles are off
+ * @throws {Error} If the style name is unknown
+ */
+export function getParticleStyle(name) {
+  if (name === NO_PARTICLES) {
+    return null;
+  }
+
+  const style = PARTICLE_STYLES[name];
+  if (!style) {
+    throw new Error(
+      `Unknown particle style "${name}", use ${NO_PARTICLES} or one of ${Object.keys(PARTICLE_STYLES).join(', ')}`
+    );
+  }
+
+  return style;
+}
@@ -0,0 +1,213 @@
+// Direction particles leave a wall in, per side of the wall that was hit
+const SIDE_NORMALS = {
+  left: { x: 1, y: 0 },
+  right: { x: -1, y: 0 },
+  top: { x: 0, y: 1 },
+  bottom: { x: 0, y: -1 },
+};
+
+// Arc of a ring, in radians around the wall, that particles spawn along
+const RING_ARC = Math.PI / 4;
+
+// Longest time a single update advances particles, e.g. after a hidden tab
+const MAX_UPDATE_TIME = 100;
+
+/**
+ * Impact particles for the FramePusher game
+ * Purely visual: particles are advanced from the animation loop with real
+ * time, outside the simulation, so they never slow down or change the
+ * physics step
+ *
+ * Particle objects come from a fixed pool and are recycled. The first
+ * count particles are alive; a dying particle is swapped with the last
+ * live one. Impacts beyond maxParticles live particles are dropped
+ */
+export class ParticleSystem {
+  /**
+   * @param {Object|null} style - Particle style from ParticleStyles.js,
+   * null turns emission off
+   * @param {number} maxParticles - Most particles alive at once
+   */
+  constructor(style, maxParticles) {
+    this.style = null;
+    this.particles = [];
+    this.count = 0;
+    this.configure(style, maxParticles);
+  }
+
+  /**
+   * Changes the style of new particles and the particle cap
+   * Live particles keep their style; the newest are dropped when the cap
+   * shrinks below the live count
+   * @param {Object|null} style - Particle style, null turns emission off
+   * @param {number} maxParticles - Most particles alive at once
+   */
+  configure(style, maxParticles) {
+    this.style = style;
+    this.maxParticles = Math.max(0, Math.floor(maxParticles));
+
+    while (this.particles.length < this.maxParticles) {
+      this.particles.push(this._createParticle());
+    }
+
+    this.particles.length = this.maxParticles;
+    this.count = Math.min(this.count, this.maxParticles);
+  }
+
+  /**
+   * Spawns particles along the edge of a frame that hit a wall
+   * @param {Object} frame - The frame that moved into the wall
+   * @param {string} side - Side of the wall that was hit: left, right, top
+   * or bottom
+   * @param {number} intensity - Impact strength between 0 and 1
+   */
+  emitImpact(frame, side, intensity) {
+    const style = this.style;
+    const normal = SIDE_NORMALS[side];
+    if (!style || !normal) {
+      return;
+    }
+
+    const count = Math.round(this._lerp(style.count, intensity));
+    const speed = this._lerp(style.speed, intensity);
+    const size = this._lerp(style.size, intensity);
+    const baseAngle = Math.atan2(normal.y, normal.x);
+
+    for (let i = 0; i < count && this.count < this.maxParticles; i++) {
+      const particle = this.particles[this.count++];
+      const along = Math.random();
+
+      // Spread over the edge that touches the wall
+      if (frame.shape === 'ring') {
+        const radius = frame.width / 2;
+        const contactAngle = baseAngle + Math.PI + (along - 0.5) * RING_ARC;
+        particle.x = frame.x + radius + Math.cos(contactAngle) * radius;
+        particle.y = frame.y + radius + Math.sin(contactAngle) * radius;
+      } else if (normal.x !== 0) {
+        particle.x = side === 'left' ? frame.x : frame.x + frame.width;
+        particle.y = frame.y + frame.height * along;
+      } else {
+        particle.x = frame.x + frame.width * along;
+        particle.y = side === 'top' ? frame.y : frame.y + frame.height;
+      }
+
+      const angle = baseAngle + (Math.random() - 0.5) * style.spread;
+      const particleSpeed = speed * (0.4 + Math.random() * 0.6);
+      particle.vx = Math.cos(angle) * particleSpeed;
+      particle.vy = Math.sin(angle) * particleSpeed;
+
+      if (frame.angle) {
+        this._turnWithFrame(particle, frame);
+      }
+
+      particle.age = 0;
+      particle.life = style.life[0] + Math.random() * (style.life[1] - style.life[0]);
+      particle.size = size * (0.6 + Math.random() * 0.4);
+      particle.color = style.colors
+        ? style.colors[Math.floor(Math.random() * style.colors.length)]
+        : null;
+      particle.style = style;
+    }
+  }
+
+  /**
+   * Advances all live particles and recycles the expired ones
+   * @param {number} elapsed - Time since the last update in ms
+   */
+  update(elapsed) {
+    const dt = Math.min(elapsed, MAX_UPDATE_TIME);
+
+    for (let i = this.count - 1; i >= 0; i--) {
+      const particle = this.particles[i];
+      particle.age += dt;
+
+      if (particle.age >= particle.life) {
+        this._recycle(i);
+        continue;
+      }
+
+      const { drag, gravity, growth } = particle.style;
+      const friction = Math.exp(-drag * dt);
+
+      particle.vx *= friction;
+      particle.vy = particle.vy * friction + gravity * dt;
+      particle.x += particle.vx * dt;
+      particle.y += particle.vy * dt;
+      particle.size += growth * dt;
+    }
+  }
+
+  /**
+   * Checks whether any particle is alive
+   * @returns {boolean} True if there is something to draw
+   */
+  isActive() {
+    return this.count > 0;
+  }
+
+  /**
+   * Removes all live particles
+   */
+  clear() {
+    this.count = 0;
+  }
+
+  /**
+   * Creates an empty pool entry
+   * @private
+   */
+  _createParticle() {
+    return {
+      x: 0,
+      y: 0,
+      vx: 0,
+      vy: 0,
+      age: 0,
+      life: 0,
+      size: 0,
+      color: null,
+      style: null,
+    };
+  }
+
+  /**
+   * Turns the spawn point and direction of a particle around the centre
+   * of a turned frame
+   * @private
+   */
+  _turnWithFrame(particle, frame) {
+    const cos = Math.cos(frame.angle);
+    const sin = Math.sin(frame.angle);
+    const centerX = frame.x + frame.width / 2;
+    const centerY = frame.y + frame.height / 2;
+    const dx = particle.x - centerX;
+    const dy = particle.y - centerY;
+    const { vx, vy } = particle;
+
+    particle.x = centerX + dx * cos - dy * sin;
+    particle.y = centerY + dx * sin + dy * cos;
+    particle.vx = vx * cos - vy * sin;
+    particle.vy = vx * sin + vy * cos;
+  }
+
+  /**
+   * Frees a live particle by swapping it with the last live one
+   * @private
+   */
+  _recycle(index) {
+    const last = this.count - 1;
+    const particle = this.particles[index];
+
+    this.particles[index] = this.particles[last];
+    this.particles[last] = particle;
+    this.count = last;
+  }
+
+  /**
+   * Interpolates a [weakest, strongest] range
+   * @private
+   */
+  _lerp([min, max], t) {
+    return min + (max - min) * t;
+  }
+}
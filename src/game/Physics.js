@@ -1,64 +1,182 @@
+// Most collision records kept until takeCollisions reads them
+const MAX_COLLISIONS = 256;
+
 /**
  * Physics engine for the FramePusher game
  * Handles collision detection, dragging physics, and settling animations
  */
 export class Physics {
   constructor(config) {
-    this.FRAME_THICKNESS = config.FRAME_THICKNESS;
+    this.CONTACT_EPSILON = 0.5;
+    this.configure(config);
+
+    // Collision tracking between steps
+    this.collisions = [];
+    this.contacts = new Set();
+    this.currentContacts = new Set();
+  }
+
+  /**
+   * Takes over the physics settings of a configuration
+   * Contacts being tracked are kept, so tuning values while frames move
+   * does not replay collision sounds
+   * @param {Object} config - Game configuration
+   */
+  configure(config) {
     this.GAP = config.GAP;
     this.DAMPING = config.DAMPING;
     this.SPRING_STRENGTH = config.SPRING_STRENGTH;
+    this.SLEEP_VELOCITY = config.SLEEP_VELOCITY;
+    this.FLING_ENABLED = config.FLING_ENABLED;
+    this.RESTITUTION = config.RESTITUTION;
   }
 
   /**
    * Updates physics during dragging state
-   * Pushes parent frames based on child frame positions
+   * Around every held frame, parents are pushed outward and children are
+   * pushed inward so the nest stays intact. Pushes stop at other held
+   * frames, which never move
+   * @param {Array} frames - Array of frame objects
+   * @param {Array} heldIndices - Indices of the frames held by a pointer
+   */
+  updateDragPhysics(frames, heldIndices) {
+    this._beginContactPass();
+
+    const held = new Set(heldIndices);
+    for (const index of held) {
+      this._pushOutward(frames, index, held);
+      this._pushInward(frames, index, held);
+    }
+
+    this._endContactPass();
+  }
+
+  /**
+   * Clamps the position of a held frame so that moving it never requires
+   * moving another held frame
    * @param {Array} frames - Array of frame objects
-   * @param {number} numFrames - Total number of frames
+   * @param {number} index - Index of the frame being moved
+   * @param {Array} heldIndices - Indices of the frames held by a pointer
+   * @param {number} x - Requested x position
+   * @param {number} y - Requested y position
+   * @returns {Object} Object with the clamped x and y
    */
-  updateDragPhysics(frames, numFrames) {
-    // Loop from the second-to-last frame outwards using for loop
-    for (let i = numFrames - 2; i >= 0; i--) {
-      const child = frames[i + 1];
-      const parent = frames[i];
-      const parentInnerOffset = this.FRAME_THICKNESS;
+  clampToHeldFrames(frames, index, heldIndices, x, y) {
+    const frame = frames[index];
+    const { ancestor, descendant } = this._findHeldNeighbours(index, heldIndices);
+    let minX = -Infinity;
+    let maxX = Infinity;
+    let minY = -Infinity;
+    let maxY = Infinity;
 
-      // Calculate target positions for pushing logic
-      this._applyLeftPush(parent, child, parentInnerOffset);
-      this._applyRightPush(parent, child, parentInnerOffset);
-      this._applyTopPush(parent, child, parentInnerOffset);
-      this._applyBottomPush(parent, child, parentInnerOffset);
+    // Stay inside the nearest held ancestor, leaving room for the frames between
+    if (ancestor !== -1) {
+      const outer = frames[ancestor];
+      const inset = this._sumThickness(frames, ancestor, index);
+      minX = outer.x + inset;
+      maxX = outer.x + outer.width - inset - frame.width;
+      minY = outer.y + inset;
+      maxY = outer.y + outer.height - inset - frame.height;
     }
+
+    // Keep enclosing the nearest held descendant
+    if (descendant !== -1) {
+      const inner = frames[descendant];
+      const inset = this._sumThickness(frames, index, descendant);
+      minX = Math.max(minX, inner.x + inner.width + inset - frame.width);
+      maxX = Math.min(maxX, inner.x - inset);
+      minY = Math.max(minY, inner.y + inner.height + inset - frame.height);
+      maxY = Math.min(maxY, inner.y - inset);
+    }
+
+    return {
+      x: Math.max(minX, Math.min(x, maxX)),
+      y: Math.max(minY, Math.min(y, maxY)),
+    };
   }
 
   /**
    * Updates physics during settling state (spring-based animation)
+   * Advances the simulation by exactly one fixed timestep
    * @param {Array} frames - Array of frame objects
    * @param {number} canvasWidth - Canvas width for boundary calculations
    * @param {number} canvasHeight - Canvas height for boundary calculations
+   * @returns {boolean} True if every frame is asleep
    */
   updateSettlingPhysics(frames, canvasWidth, canvasHeight) {
-    // Apply velocity and damping to all frames
+    this._beginContactPass();
+
+    // Apply velocity and damping to all awake frames
     for (const frame of frames) {
-      frame.vx *= this.DAMPING;
-      frame.vy *= this.DAMPING;
-      frame.x += frame.vx;
-      frame.y += frame.vy;
+      if (!frame.sleeping) {
+        this._integrate(frame);
+      }
     }
 
     // Apply spring forces for collisions using for loop
     for (let i = frames.length - 1; i >= 0; i--) {
       const frame = frames[i];
       const parent = this._getParentFrame(frames, i, canvasWidth, canvasHeight);
-      const parentInnerOffset = i > 0 ? this.FRAME_THICKNESS : 0;
+      const overlap = this._applyContainment(frame, parent, i);
+
+      // Springs only approach the boundary, so tiny overlaps count as resting
+      if (overlap > this.CONTACT_EPSILON) {
+        frame.sleeping = false;
+        parent.sleeping = false;
+      } else if (this._isBelowSleepVelocity(frame)) {
+        this._stopFrame(frame);
+        frame.sleeping = true;
+      }
+    }
+
+    this._endContactPass();
+
+    return this.isSettled(frames);
+  }
+
+  /**
+   * Advances motion that goes on while frames are held, one fixed step
+   * Nothing moves on its own in this mode; the held frames and the frames
+   * they push follow the pointer
+   * @param {Array} frames - Array of frame objects
+   */
+  updateHeldPhysics(frames) {}
+
+  /**
+   * Returns the collisions recorded since the last call and clears them
+   * Each record holds the index of the frame that was hit (-1 for the
+   * canvas edge), the side of that frame and the impact speed in pixels
+   * per step. The records belong to whoever calls this; without a reader
+   * only the latest MAX_COLLISIONS are kept
+   * @returns {Array} Array of collision records
+   */
+  takeCollisions() {
+    const collisions = this.collisions;
+    this.collisions = [];
+    return collisions;
+  }
 
-      const boundaries = this._calculateBoundaries(
-        parent,
-        frame,
-        parentInnerOffset
-      );
+  /**
+   * Checks whether all frames have come to rest
+   * @param {Array} frames - Array of frame objects
+   * @returns {boolean} True if every frame is asleep
+   */
+  isSettled(frames) {
+    for (const frame of frames) {
+      if (!frame.sleeping) {
+        return false;
+      }
+    }
+    return true;
+  }
 
-      this._applySpringForces(frame, parent, boundaries, i > 0);
+  /**
+   * Wakes all frames so the settling step evaluates them again
+   * @param {Array} frames - Array of frame objects
+   */
+  wakeAll(frames) {
+    for (const frame of frames) {
+      frame.sleeping = false;
     }
   }
 
@@ -68,53 +186,314 @@ export class Physics {
    */
   stopAllMovement(frames) {
     for (const frame of frames) {
-      frame.vx = 0;
-      frame.vy = 0;
+      this._stopFrame(frame);
+    }
+  }
+
+  /**
+   * Damps the velocity of a frame and moves it by one step
+   * @param {Object} frame - Awake frame
+   * @private
+   */
+  _integrate(frame) {
+    frame.vx *= this.DAMPING;
+    frame.vy *= this.DAMPING;
+    frame.x += frame.vx;
+    frame.y += frame.vy;
+  }
+
+  /**
+   * Zeroes the velocity of a frame
+   * @param {Object} frame - Frame to stop
+   * @private
+   */
+  _stopFrame(frame) {
+    frame.vx = 0;
+    frame.vy = 0;
+  }
+
+  /**
+   * Finds the nearest held frames around a frame
+   * @param {number} index - Index of the frame being moved
+   * @param {Array} heldIndices - Indices of the frames held by a pointer
+   * @returns {Object} ancestor and descendant indices, -1 when there is none
+   * @private
+   */
+  _findHeldNeighbours(index, heldIndices) {
+    let ancestor = -1;
+    let descendant = -1;
+
+    for (const heldIndex of heldIndices) {
+      if (heldIndex < index && heldIndex > ancestor) {
+        ancestor = heldIndex;
+      }
+      if (heldIndex > index && (descendant === -1 || heldIndex < descendant)) {
+        descendant = heldIndex;
+      }
+    }
+
+    return { ancestor, descendant };
+  }
+
+  /**
+   * Adds up the border thickness of a run of frames
+   * @param {Array} frames - Array of frame objects
+   * @param {number} start - First frame index
+   * @param {number} end - Index after the last frame
+   * @returns {number} Total thickness in pixels
+   * @private
+   */
+  _sumThickness(frames, start, end) {
+    let thickness = 0;
+    for (let i = start; i < end; i++) {
+      thickness += frames[i].thickness;
+    }
+    return thickness;
+  }
+
+  /**
+   * Checks if a frame moves slowly enough to be put to sleep
+   * @private
+   */
+  _isBelowSleepVelocity(frame) {
+    return Math.hypot(frame.vx, frame.vy) < this.SLEEP_VELOCITY;
+  }
+
+  /**
+   * Pushes the parents of a frame outward until a held frame is reached
+   * @private
+   */
+  _pushOutward(frames, index, held) {
+    for (let i = index - 1; i >= 0 && !held.has(i); i--) {
+      this._pushParentOut(frames[i], frames[i + 1], i);
+    }
+  }
+
+  /**
+   * Pushes the children of a frame inward until a held frame is reached
+   * @private
+   */
+  _pushInward(frames, index, held) {
+    for (let i = index + 1; i < frames.length && !held.has(i); i++) {
+      this._pushChildIn(frames[i - 1], frames[i], i - 1);
+    }
+  }
+
+  /**
+   * Moves a parent just far enough to contain its child again
+   * @param {Object} parent - Frame to move
+   * @param {Object} child - Frame that has to stay inside
+   * @param {number} parentIndex - Index of the parent frame
+   * @returns {Object} Push depth per side of the parent
+   * @private
+   */
+  _pushParentOut(parent, child, parentIndex) {
+    const parentInnerOffset = parent.thickness;
+
+    // Calculate target positions for pushing logic
+    const pushes = {
+      left: this._applyLeftPush(parent, child, parentInnerOffset),
+      right: this._applyRightPush(parent, child, parentInnerOffset),
+      top: this._applyTopPush(parent, child, parentInnerOffset),
+      bottom: this._applyBottomPush(parent, child, parentInnerOffset),
+    };
+    this._trackPushes(parentIndex, pushes);
+    return pushes;
+  }
+
+  /**
+   * Moves a child just far enough to sit inside its parent again
+   * @param {Object} parent - Frame that has to contain the child
+   * @param {Object} child - Frame to move
+   * @param {number} parentIndex - Index of the parent frame
+   * @returns {Object} Push depth per side of the parent
+   * @private
+   */
+  _pushChildIn(parent, child, parentIndex) {
+    const parentInnerOffset = parent.thickness;
+
+    const pushes = {
+      left: this._applyInwardLeftPush(parent, child, parentInnerOffset),
+      right: this._applyInwardRightPush(parent, child, parentInnerOffset),
+      top: this._applyInwardTopPush(parent, child, parentInnerOffset),
+      bottom: this._applyInwardBottomPush(parent, child, parentInnerOffset),
+    };
+    this._trackPushes(parentIndex, pushes);
+    return pushes;
+  }
+
+  /**
+   * Tracks contacts for the push depths between a parent and its child
+   * A push depth of zero means the child rests against the wall
+   * @param {number} parentIndex - Index of the parent frame
+   * @param {Object} pushes - Push depth per side of the parent
+   * @private
+   */
+  _trackPushes(parentIndex, pushes) {
+    for (const side in pushes) {
+      if (pushes[side] > -this.CONTACT_EPSILON) {
+        this._trackContact(parentIndex, side, Math.max(0, pushes[side]));
+      }
+    }
+  }
+
+  /**
+   * Starts collecting the contacts of a physics step
+   * @private
+   */
+  _beginContactPass() {
+    this.currentContacts = new Set();
+  }
+
+  /**
+   * Finishes a physics step, remembering its contacts for the next one
+   * @private
+   */
+  _endContactPass() {
+    this.contacts = this.currentContacts;
+  }
+
+  /**
+   * Marks a wall as touched during the current step and records a
+   * collision when the contact was not present in the previous step
+   * @param {number} frameIndex - Index of the frame that was hit
+   * @param {string} side - Side of the frame: left, right, top or bottom
+   * @param {number} impactSpeed - Impact speed in pixels per step
+   * @private
+   */
+  _trackContact(frameIndex, side, impactSpeed) {
+    const key = this._getContactKey(frameIndex, side);
+    const isNewContact =
+      !this.contacts.has(key) && !this.currentContacts.has(key);
+    this.currentContacts.add(key);
+
+    if (isNewContact && impactSpeed > 0) {
+      if (this.collisions.length >= MAX_COLLISIONS) {
+        this.collisions.shift();
+      }
+      this.collisions.push({ frameIndex, side, impactSpeed });
     }
   }
 
+  /**
+   * Identifies a contact, so touching the same wall again in the next step
+   * is not counted as a new collision
+   * @private
+   */
+  _getContactKey(frameIndex, side) {
+    return `${frameIndex}:${side}`;
+  }
+
   /**
    * Applies left push logic during dragging
+   * @returns {number} Push depth, negative when the child is not touching
    * @private
    */
   _applyLeftPush(parent, child, parentInnerOffset) {
     const targetX = child.x - parentInnerOffset;
-    if (parent.x > targetX) {
+    const depth = parent.x - targetX;
+    if (depth > 0) {
       parent.x = targetX;
     }
+    return depth;
   }
 
   /**
    * Applies right push logic during dragging
+   * @returns {number} Push depth, negative when the child is not touching
    * @private
    */
   _applyRightPush(parent, child, parentInnerOffset) {
     const targetX = child.x + child.width - parent.width + parentInnerOffset;
-    if (parent.x < targetX) {
+    const depth = targetX - parent.x;
+    if (depth > 0) {
       parent.x = targetX;
     }
+    return depth;
   }
 
   /**
    * Applies top push logic during dragging
+   * @returns {number} Push depth, negative when the child is not touching
    * @private
    */
   _applyTopPush(parent, child, parentInnerOffset) {
     const targetY = child.y - parentInnerOffset;
-    if (parent.y > targetY) {
+    const depth = parent.y - targetY;
+    if (depth > 0) {
       parent.y = targetY;
     }
+    return depth;
   }
 
   /**
    * Applies bottom push logic during dragging
+   * @returns {number} Push depth, negative when the child is not touching
    * @private
    */
   _applyBottomPush(parent, child, parentInnerOffset) {
     const targetY = child.y + child.height - parent.height + parentInnerOffset;
-    if (parent.y < targetY) {
+    const depth = targetY - parent.y;
+    if (depth > 0) {
       parent.y = targetY;
     }
+    return depth;
+  }
+
+  /**
+   * Applies inward push from the parent's left wall during dragging
+   * @returns {number} Push depth, negative when the child is not touching
+   * @private
+   */
+  _applyInwardLeftPush(parent, child, parentInnerOffset) {
+    const targetX = parent.x + parentInnerOffset;
+    const depth = targetX - child.x;
+    if (depth > 0) {
+      child.x = targetX;
+    }
+    return depth;
+  }
+
+  /**
+   * Applies inward push from the parent's right wall during dragging
+   * @returns {number} Push depth, negative when the child is not touching
+   * @private
+   */
+  _applyInwardRightPush(parent, child, parentInnerOffset) {
+    const targetX = parent.x + parent.width - parentInnerOffset - child.width;
+    const depth = child.x - targetX;
+    if (depth > 0) {
+      child.x = targetX;
+    }
+    return depth;
+  }
+
+  /**
+   * Applies inward push from the parent's top wall during dragging
+   * @returns {number} Push depth, negative when the child is not touching
+   * @private
+   */
+  _applyInwardTopPush(parent, child, parentInnerOffset) {
+    const targetY = parent.y + parentInnerOffset;
+    const depth = targetY - child.y;
+    if (depth > 0) {
+      child.y = targetY;
+    }
+    return depth;
+  }
+
+  /**
+   * Applies inward push from the parent's bottom wall during dragging
+   * @returns {number} Push depth, negative when the child is not touching
+   * @private
+   */
+  _applyInwardBottomPush(parent, child, parentInnerOffset) {
+    const targetY = parent.y + parent.height - parentInnerOffset - child.height;
+    const depth = child.y - targetY;
+    if (depth > 0) {
+      child.y = targetY;
+    }
+    return depth;
   }
 
   /**
@@ -136,6 +515,59 @@ export class Physics {
     };
   }
 
+  /**
+   * Springs a frame back inside its parent, or the canvas for the outer frame
+   * @param {Object} frame - Frame to keep inside
+   * @param {Object} parent - Parent frame or canvas bounds
+   * @param {number} index - Index of the frame inside the frames array
+   * @returns {number} Deepest boundary overlap, 0 when there is none
+   * @private
+   */
+  _applyContainment(frame, parent, index) {
+    const parentInnerOffset = index > 0 ? parent.thickness : 0;
+    const boundaries = this._calculateBoundaries(
+      parent,
+      frame,
+      parentInnerOffset
+    );
+
+    return this._applySpringForces(frame, parent, boundaries, index);
+  }
+
+  /**
+   * Bounces a frame off a wall of its parent it is moving into
+   * Frames weigh the same for collisions, so with a RESTITUTION below 1 a
+   * hit passes most of the momentum on to the parent and from there on
+   * through the nest; the canvas never moves. The spring still resolves
+   * the overlap
+   * @param {Object} frame - Frame touching the wall
+   * @param {Object} parent - Parent frame or canvas bounds
+   * @param {number} nx - Wall normal x, pointing into the parent
+   * @param {number} ny - Wall normal y, pointing into the parent
+   * @param {boolean} hasParent - False for the canvas
+   * @private
+   */
+  _applyRestitution(frame, parent, nx, ny, hasParent) {
+    if (!this.FLING_ENABLED) {
+      return;
+    }
+
+    const approach = (frame.vx - parent.vx) * nx + (frame.vy - parent.vy) * ny;
+    if (approach >= 0) {
+      return;
+    }
+
+    // Impulse per unit mass; an immovable canvas takes none of it
+    const impulse = (-(1 + this.RESTITUTION) * approach) / (hasParent ? 2 : 1);
+    frame.vx += nx * impulse;
+    frame.vy += ny * impulse;
+
+    if (hasParent) {
+      parent.vx -= nx * impulse;
+      parent.vy -= ny * impulse;
+    }
+  }
+
   /**
    * Calculates boundary constraints for spring physics
    * @private
@@ -151,14 +583,24 @@ export class Physics {
 
   /**
    * Applies spring forces based on boundary overlaps
+   * @param {number} index - Index of the frame inside the frames array
+   * @returns {number} Deepest boundary overlap, 0 when there is none
    * @private
    */
-  _applySpringForces(frame, parent, boundaries, hasParent) {
+  _applySpringForces(frame, parent, boundaries, index) {
+    const hasParent = index > 0;
+    const parentIndex = index - 1;
+    const impactX = Math.abs(frame.vx - parent.vx);
+    const impactY = Math.abs(frame.vy - parent.vy);
     let overlap;
+    let maxOverlap = 0;
 
     // Left boundary spring force
     overlap = boundaries.minX - frame.x;
     if (overlap > 0) {
+      maxOverlap = Math.max(maxOverlap, overlap);
+      this._trackContact(parentIndex, 'left', impactX);
+      this._applyRestitution(frame, parent, 1, 0, hasParent);
       frame.vx += overlap * this.SPRING_STRENGTH;
       if (hasParent) {
         parent.vx -= overlap * this.SPRING_STRENGTH * 0.5;
@@ -168,6 +610,9 @@ export class Physics {
     // Right boundary spring force
     overlap = boundaries.maxX - frame.x;
     if (overlap < 0) {
+      maxOverlap = Math.max(maxOverlap, -overlap);
+      this._trackContact(parentIndex, 'right', impactX);
+      this._applyRestitution(frame, parent, -1, 0, hasParent);
       frame.vx += overlap * this.SPRING_STRENGTH;
       if (hasParent) {
         parent.vx -= overlap * this.SPRING_STRENGTH * 0.5;
@@ -177,6 +622,9 @@ export class Physics {
     // Top boundary spring force
     overlap = boundaries.minY - frame.y;
     if (overlap > 0) {
+      maxOverlap = Math.max(maxOverlap, overlap);
+      this._trackContact(parentIndex, 'top', impactY);
+      this._applyRestitution(frame, parent, 0, 1, hasParent);
       frame.vy += overlap * this.SPRING_STRENGTH;
       if (hasParent) {
         parent.vy -= overlap * this.SPRING_STRENGTH * 0.5;
@@ -186,11 +634,16 @@ export class Physics {
     // Bottom boundary spring force
     overlap = boundaries.maxY - frame.y;
     if (overlap < 0) {
+      maxOverlap = Math.max(maxOverlap, -overlap);
+      this._trackContact(parentIndex, 'bottom', impactY);
+      this._applyRestitution(frame, parent, 0, -1, hasParent);
       frame.vy += overlap * this.SPRING_STRENGTH;
       if (hasParent) {
         parent.vy -= overlap * this.SPRING_STRENGTH * 0.5;
       }
     }
+
+    return maxOverlap;
   }
 
 }
@@ -0,0 +1,107 @@
+/**
+ * Named configuration presets for the FramePusher game
+ * Presets are setups as built by createSetup, kept in localStorage by
+ * name. They are validated again when applied, like setups from a URL.
+ * Storage failures (private browsing, quota, malformed data) leave an
+ * in-memory store
+ */
+export class PresetStore {
+  constructor(storageKey = 'framepusher.presets') {
+    this.storageKey = storageKey;
+    this.presets = this._load();
+  }
+
+  /**
+   * Gets the preset names
+   * @returns {Array} Names in alphabetical order
+   */
+  getNames() {
+    return Object.keys(this.presets).sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Gets a preset
+   * @param {string} name - Preset name
+   * @returns {Object|null} The stored setup, null if there is none
+   */
+  get(name) {
+    return Object.hasOwn(this.presets, name) ? this.presets[name] : null;
+  }
+
+  /**
+   * Saves a preset, replacing one with the same name
+   * @param {string} name - Preset name
+   * @param {Object} setup - Setup to store
+   * @returns {string} The cleaned name the preset was saved under
+   */
+  save(name, setup) {
+    const cleanName = this._cleanName(name);
+    this.presets[cleanName] = setup;
+    this._save();
+    return cleanName;
+  }
+
+  /**
+   * Removes a preset
+   * @param {string} name - Preset name
+   * @returns {boolean} True if a preset was removed
+   */
+  remove(name) {
+    if (!Object.hasOwn(this.presets, name)) {
+      return false;
+    }
+
+    delete this.presets[name];
+    this._save();
+    return true;
+  }
+
+  /**
+   * Reads the stored presets, dropping anything malformed
+   * @returns {Object} Setups keyed by name
+   * @private
+   */
+  _load() {
+    let stored;
+
+    try {
+      stored = JSON.parse(localStorage.getItem(this.storageKey));
+    } catch (error) {
+      console.warn('Could not read the presets:', error);
+      return {};
+    }
+
+    const presets = {};
+    if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+      return presets;
+    }
+
+    for (const [name, setup] of Object.entries(stored)) {
+      if (setup && typeof setup === 'object' && !Array.isArray(setup)) {
+        presets[name] = setup;
+      }
+    }
+    return presets;
+  }
+
+  /**
+   * Writes the presets to localStorage
+   * @private
+   */
+  _save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.presets));
+    } catch (error) {
+      console.warn('Could not save the presets:', error);
+    }
+  }
+
+  /**
+   * Trims a preset name to something that fits the preset list
+   * @private
+   */
+  _cleanName(name) {
+    const trimmed = String(name || '').trim().slice(0, 32);
+    return trimmed || 'Untitled';
+  }
+}
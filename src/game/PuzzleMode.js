@@ -0,0 +1,158 @@
+import { LevelLoader, isFrameInTarget } from './LevelLoader.js';
+import builtInLevels from '../levels/puzzles.json';
+
+// Time the solved level stays on screen before the next one loads
+const LEVEL_ADVANCE_DELAY = 1500;
+
+/**
+ * Puzzle mode for the FramePusher game
+ * Each level asks for particular frames to be pushed into target zones.
+ * A level is solved once the nest comes to rest with every frame inside
+ * its target after at least one drag, then the next level is loaded
+ */
+export class PuzzleMode {
+  constructor(levels = builtInLevels) {
+    this.levels = new LevelLoader().parseAll(levels);
+    this.game = null;
+    this.levelIndex = 0;
+    this.solvedAt = null;
+    this.isFinished = false;
+    this.savedConfig = null;
+    this.hasDragged = false;
+    this.stopListening = null;
+
+    // The canvas size is dictated by the level, not the viewport
+    this.locksCanvasSize = true;
+  }
+
+  /**
+   * Starts the puzzle mode on a game
+   * @param {FramePusher} game - The game instance
+   */
+  attach(game) {
+    this.game = game;
+    this.savedConfig = { ...game.config };
+    this.stopListening = game.on('dragstart', () => {
+      this.hasDragged = true;
+    });
+    this.loadLevel(0);
+  }
+
+  /**
+   * Leaves the puzzle mode and restores the free-play setup
+   */
+  detach() {
+    const game = this.game;
+    this.game = null;
+    this.stopListening();
+    this.stopListening = null;
+
+    game.updateConfig(this.savedConfig);
+    game.fitToViewport();
+  }
+
+  /**
+   * Loads a level by index
+   * @param {number} index - Index of the level
+   */
+  loadLevel(index) {
+    const level = this.levels[index];
+
+    this.levelIndex = index;
+    this.solvedAt = null;
+    this.isFinished = false;
+
+    this.game.loadLayout(level);
+    // Set after loading, which may end a drag of the previous level
+    this.hasDragged = false;
+    this.game.announcer.announce(
+      `Level ${index + 1} of ${this.levels.length}: ${level.name}`,
+      true
+    );
+  }
+
+  /**
+   * Checks the win condition and advances to the next level
+   * @param {number} timestamp - Current frame timestamp in ms
+   */
+  update(timestamp) {
+    if (this.isFinished) {
+      return;
+    }
+
+    if (this.solvedAt !== null) {
+      if (timestamp - this.solvedAt >= LEVEL_ADVANCE_DELAY) {
+        this._advance();
+      }
+      return;
+    }
+
+    const simulation = this.game.simulation;
+    if (
+      this.hasDragged &&
+      !simulation.isDragging() &&
+      simulation.isSettled() &&
+      this._areTargetsReached()
+    ) {
+      this.solvedAt = timestamp;
+      this.game.announcer.announce('Level complete', true);
+    }
+  }
+
+  /**
+   * Draws the target zones and level messages
+   * @param {Renderer} renderer - The game renderer
+   */
+  draw(renderer) {
+    const level = this.levels[this.levelIndex];
+
+    for (const target of level.targets) {
+      renderer.drawTarget(target, this._isTargetReached(target));
+    }
+
+    if (this.isFinished) {
+      renderer.drawBanner('All puzzles solved!');
+    } else if (this.solvedAt !== null) {
+      renderer.drawBanner('Level complete!');
+    }
+  }
+
+  /**
+   * Gets the current level
+   * @returns {Object} The validated level
+   */
+  getLevel() {
+    return this.levels[this.levelIndex];
+  }
+
+  /**
+   * Loads the next level or finishes the puzzle run
+   * @private
+   */
+  _advance() {
+    if (this.levelIndex + 1 < this.levels.length) {
+      this.loadLevel(this.levelIndex + 1);
+      return;
+    }
+
+    this.isFinished = true;
+    this.game.announcer.announce('All puzzles solved', true);
+  }
+
+  /**
+   * Checks if every target holds its frame
+   * @private
+   */
+  _areTargetsReached() {
+    const level = this.levels[this.levelIndex];
+    return level.targets.every((target) => this._isTargetReached(target));
+  }
+
+  /**
+   * Checks if a frame lies completely inside its target
+   * @private
+   */
+  _isTargetReached(target) {
+    return isFrameInTarget(this.game.frames[target.frame], target);
+  }
+}
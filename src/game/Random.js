@@ -0,0 +1,68 @@
+/**
+ * Seeded pseudo random number generator (mulberry32)
+ * The same seed always produces the same sequence, which keeps generated
+ * layouts reproducible
+ */
+export class Random {
+  constructor(seed = 1) {
+    this.state = Random._toUint32(seed);
+  }
+
+  /**
+   * Gets the next number in the sequence
+   * @returns {number} Number in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    return Random._mix(this.state);
+  }
+
+  /**
+   * Gets a number in a range
+   * @param {number} min - Lower bound (inclusive)
+   * @param {number} max - Upper bound (exclusive)
+   * @returns {number} Number in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Hashes a seed and a list of integers to a number
+   * Unlike next, the result depends only on the inputs and not on how
+   * many numbers were drawn before, so a grid cell keeps its value when
+   * the grid grows or shrinks
+   * @param {number} seed - Seed value
+   * @param {...number} values - Integers such as grid coordinates
+   * @returns {number} Number in [0, 1)
+   */
+  static hash(seed, ...values) {
+    let h = Random._toUint32(seed);
+
+    for (const value of values) {
+      h = Math.imul(h ^ (value | 0), 0x9e3779b1) >>> 0;
+      h = (h ^ (h >>> 16)) >>> 0;
+    }
+
+    return Random._mix(h);
+  }
+
+  /**
+   * Scrambles a 32-bit state into a number in [0, 1)
+   * @private
+   */
+  static _mix(state) {
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Converts a seed to an unsigned 32-bit integer
+   * @private
+   */
+  static _toUint32(seed) {
+    return Math.floor(Number(seed) || 0) >>> 0;
+  }
+}
@@ -1,155 +1,420 @@
+import { resolveTheme, AUTO_THEME } from './Themes.js';
+import { createBackground } from './Backgrounds.js';
+
 /**
- * Renderer for the FramePusher game
- * Handles all canvas drawing operations including background and frames
+ * Base class of the FramePusher rendering backends
+ * Owns the theme and the background generator; backends draw the scene
+ *
+ * A backend implements:
+ *   resize(width, height)                         // size in CSS pixels
+ *   drawScene(frames, isDragging, selectedIndex, isHovered)  // returns true if redrawn
+ *   drawTarget(target, isReached)                 // mode overlays, drawn after
+ *   drawBanner(text)                              // drawScene in the same frame
+ *   drawHud(hud)
+ *   drawResults(results)
+ *   drawProgress(text, progress)                  // export progress indicator
+ *   drawParticles(particles)                      // impact particles
+ *
+ * and may override invalidate() if it skips unchanged frames. The element
+ * a backend draws into is exposed as element; input listens on it
  */
 export class Renderer {
-  constructor(canvas, config) {
-    this.canvas = canvas;
-    this.ctx = canvas.getContext('2d');
-    this.FRAME_THICKNESS = config.FRAME_THICKNESS;
-    this.backgroundDots = [];
+  constructor(element, config) {
+    this.element = element;
+
+    // Size in CSS pixels
+    this.width = 0;
+    this.height = 0;
+
+    // Frame-time counter text, null when hidden
+    this.statsText = null;
+
+    // The auto theme follows the system colour scheme while running
+    this.colorScheme = window.matchMedia
+      ? window.matchMedia('(prefers-color-scheme: dark)')
+      : null;
+    this._onColorSchemeChange = this._handleColorSchemeChange.bind(this);
+    if (this.colorScheme) {
+      this.colorScheme.addEventListener('change', this._onColorSchemeChange);
+    }
+
+    this.themeSetting = config.THEME;
+    this.theme = resolveTheme(config.THEME, this._prefersDark());
+
+    this.background = null;
+    this.backgroundSeed = null;
+    this.backgroundSettings = null;
+    this._createBackground(config);
+  }
+
+  /**
+   * Applies configuration changes without recreating the renderer
+   * The new theme and background are built before either is used, so a
+   * setting that fails leaves the renderer as it was
+   * @param {Object} config - Current game configuration
+   * @throws {Error} If the theme or background cannot be made
+   */
+  updateConfig(config) {
+    const isNewTheme = config.THEME !== this.themeSetting;
+    const isNewBackground =
+      this._getBackgroundSettings(config) !== this.backgroundSettings;
+
+    const theme = isNewTheme ? resolveTheme(config.THEME, this._prefersDark()) : null;
+    const background = isNewBackground ? createBackground(config) : null;
+
+    if (isNewTheme) {
+      this._useTheme(theme, config.THEME);
+    }
+
+    if (isNewBackground) {
+      this._useBackground(background, config);
+      this.generateBackground();
+    }
+  }
+
+  /**
+   * Switches the colour theme
+   * @param {string|Object} theme - Built-in theme name, 'auto' or a custom
+   * theme object
+   * @throws {Error} If the theme name is unknown
+   */
+  setTheme(theme) {
+    this._useTheme(resolveTheme(theme, this._prefersDark()), theme);
   }
 
   /**
-   * Generates the background dot pattern
-   * Creates a grid of colorful dots with random hues
+   * Switches the background generator
+   * @param {Object} config - Game configuration with BACKGROUND,
+   * BACKGROUND_SEED and BACKGROUND_IMAGE
+   * @throws {Error} If the background name is unknown
+   */
+  setBackground(config) {
+    this._createBackground(config);
+    this.generateBackground();
+  }
+
+  /**
+   * Lays out the background for the current size
+   * The layout is seeded, so regenerating it keeps the same pattern
    */
   generateBackground() {
-    this.backgroundDots = [];
-    const dotRadius = 4;
-    const dotSpacing = 20;
-
-    // Generate dots using nested for loops for precise control
-    for (let x = 0; x < this.canvas.width; x += dotSpacing) {
-      for (let y = 0; y < this.canvas.height; y += dotSpacing) {
-        const hue = Math.random() * 360;
-        
-        this.backgroundDots.push({
-          x: x,
-          y: y,
-          radius: dotRadius,
-          color: `hsl(${hue}, 100%, 70%)`,
-        });
-      }
+    this.background.generate(this.width, this.height, this.backgroundSeed);
+    this._handleBackgroundChange();
+  }
+
+  /**
+   * Forces the next drawScene to redraw everything
+   * Backends that skip unchanged frames override this
+   */
+  invalidate() {}
+
+  /**
+   * Sets the frame-time counter text shown in the bottom left corner
+   * @param {string|null} text - Counter text, null hides the counter
+   */
+  setStatsText(text) {
+    this.statsText = text;
+  }
+
+  /**
+   * Gets the current dimensions
+   * @returns {Object} Object with width and height properties in CSS pixels
+   */
+  getDimensions() {
+    return {
+      width: this.width,
+      height: this.height,
+    };
+  }
+
+  /**
+   * Removes the colour scheme listener
+   * Call this when destroying the game instance
+   */
+  destroy() {
+    if (this.colorScheme) {
+      this.colorScheme.removeEventListener('change', this._onColorSchemeChange);
     }
   }
 
   /**
-   * Draws the complete scene including background and frames
+   * Resizes the drawing surface
+   * @param {number} width - New width in CSS pixels
+   * @param {number} height - New height in CSS pixels
+   */
+  resize(width, height) {
+    this._notImplemented('resize');
+  }
+
+  /**
+   * Draws the scene including background and frames
    * @param {Array} frames - Array of frame objects to render
    * @param {boolean} isDragging - Current dragging state
+   * @param {number} [selectedIndex=-1] - Frame to outline as keyboard selection
+   * @param {boolean} [isHovered=false] - Whether the pointer is over the handle
+   * @returns {boolean} True if anything was redrawn
+   */
+  drawScene(frames, isDragging, selectedIndex = -1, isHovered = false) {
+    this._notImplemented('drawScene');
+  }
+
+  /**
+   * Draws a target zone a frame has to be pushed into
+   * @param {Object} target - Rectangle with x, y, width and height
+   * @param {boolean} isReached - Whether the frame already sits inside
+   */
+  drawTarget(target, isReached) {
+    this._notImplemented('drawTarget');
+  }
+
+  /**
+   * Draws a message banner across the middle
+   * @param {string} text - Message to show
+   */
+  drawBanner(text) {
+    this._notImplemented('drawBanner');
+  }
+
+  /**
+   * Draws the challenge HUD in the top left corner
+   * @param {Object} hud - Time left in ms, score, streak and multiplier
+   */
+  drawHud(hud) {
+    this._notImplemented('drawHud');
+  }
+
+  /**
+   * Draws the end-of-round results with the leaderboard
+   * @param {Object} results - Score, targetsReached, bestStreak, rank and
+   * leaderboard entries
+   */
+  drawResults(results) {
+    this._notImplemented('drawResults');
+  }
+
+  /**
+   * Draws the live impact particles
+   * @param {ParticleSystem} particles - Particle system to draw
+   */
+  drawParticles(particles) {
+    this._notImplemented('drawParticles');
+  }
+
+  /**
+   * Draws a progress bar at the top, e.g. while recording
+   * @param {string} text - Label above the bar
+   * @param {number} progress - Progress between 0 and 1
    */
-  drawScene(frames, isDragging) {
-    this._clearCanvas();
-    this._drawBackground();
-    this._drawFrames(frames, isDragging);
+  drawProgress(text, progress) {
+    this._notImplemented('drawProgress');
   }
 
   /**
-   * Clears the entire canvas
+   * Builds the HUD text lines
+   * @param {Object} hud - Time left in ms, score, streak and multiplier
+   * @returns {Object} lines to show and isUrgent for the last ten seconds
    * @private
    */
-  _clearCanvas() {
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  _getHudLines({ time, score, streak, multiplier }) {
+    const seconds = Math.ceil(time / 1000);
+
+    return {
+      lines: [
+        `Time  ${seconds}s`,
+        `Score ${score}`,
+        streak > 1 ? `Streak ${streak}  x${multiplier}` : `Streak ${streak}`,
+      ],
+      isUrgent: seconds <= 10,
+    };
   }
 
   /**
-   * Draws the background dot pattern
-   * Uses for...of loop for clean iteration
+   * Formats a leaderboard entry for the results screen
+   * @param {Object} entry - Entry with name, score and ISO date
+   * @param {number} index - Zero-based rank
+   * @returns {string} Text such as "1. Ada  1200  19/10/2026"
    * @private
    */
-  _drawBackground() {
-    for (const dot of this.backgroundDots) {
-      this.ctx.beginPath();
-      this.ctx.fillStyle = dot.color;
-      this.ctx.arc(dot.x, dot.y, dot.radius, 0, Math.PI * 2);
-      this.ctx.fill();
+  _formatEntry(entry, index) {
+    const date = new Date(entry.date).toLocaleDateString();
+    return `${index + 1}. ${entry.name}  ${entry.score}  ${date}`;
+  }
+
+  /**
+   * Gets the axis-aligned box around a frame, turned or not
+   * @param {Object} frame - Frame with position, size and angle
+   * @returns {Object} Rectangle with x, y, width and height
+   * @private
+   */
+  _getFrameBounds(frame) {
+    const { x, y, width, height } = frame;
+
+    // Soft borders bulge out by up to their largest offset
+    if (frame.mesh) {
+      const reach = frame.mesh.maxOffset;
+      return {
+        x: x - reach,
+        y: y - reach,
+        width: width + reach * 2,
+        height: height + reach * 2,
+      };
+    }
+
+    if (!frame.angle) {
+      return { x, y, width, height };
     }
+
+    const cos = Math.abs(Math.cos(frame.angle));
+    const sin = Math.abs(Math.sin(frame.angle));
+    const boundsWidth = width * cos + height * sin;
+    const boundsHeight = width * sin + height * cos;
+
+    return {
+      x: x + (width - boundsWidth) / 2,
+      y: y + (height - boundsHeight) / 2,
+      width: boundsWidth,
+      height: boundsHeight,
+    };
   }
 
   /**
-   * Draws all frames with proper styling and shadows
-   * Uses for loop for index-based rendering logic
-   * @param {Array} frames - Array of frame objects
-   * @param {boolean} isDragging - Current dragging state
+   * Gets a smooth closed curve through the soft border of a frame
+   * The curve runs through the midpoints between mesh points, with each
+   * point as the control of a quadratic segment, so corners come out round
+   * @param {Object} frame - Frame with a mesh
+   * @param {number} inset - Distance to move the curve inside the border,
+   * half the thickness to follow the centre line of a stroked border
+   * @returns {Object} Start point and quadratic segments with control cx, cy
+   * and end x, y, relative to the top left corner of the frame
    * @private
    */
-  _drawFrames(frames, isDragging) {
-    for (let i = 0; i < frames.length; i++) {
-      const frame = frames[i];
-      const isLastFrame = i === frames.length - 1;
+  _getMeshCurve(frame, inset) {
+    const positions = frame.mesh.points.map((point) => ({
+      x: point.x + point.nx * point.offset - Math.sign(point.nx) * inset,
+      y: point.y + point.ny * point.offset - Math.sign(point.ny) * inset,
+    }));
+    const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+    const segments = [];
 
-      this.ctx.save();
-      this.ctx.translate(frame.x, frame.y);
+    for (let i = 0; i < positions.length; i++) {
+      const control = positions[i];
+      const end = midpoint(control, positions[(i + 1) % positions.length]);
+      segments.push({ cx: control.x, cy: control.y, x: end.x, y: end.y });
+    }
 
-      if (isLastFrame) {
-        this._drawDraggableSquare(frame, isDragging);
-      } else {
-        this._drawFrameBorder(frame);
-      }
+    return {
+      start: midpoint(positions[positions.length - 1], positions[0]),
+      segments,
+    };
+  }
 
-      this.ctx.restore();
+  /**
+   * Gets the outer corner radius of a frame, at most half its shorter side
+   * Rings are drawn as rounded squares with the largest radius, a circle
+   * @param {Object} frame - Frame with its shape and radius setting
+   * @returns {number} Radius in pixels
+   * @private
+   */
+  _getCornerRadius(frame) {
+    if (frame.shape === 'ring') {
+      return Math.min(frame.width, frame.height) / 2;
     }
+
+    return Math.max(0, Math.min(frame.radius, frame.width / 2, frame.height / 2));
   }
 
   /**
-   * Draws a frame border (hollow rectangle with shadow)
-   * @param {Object} frame - Frame object with dimensions
+   * Gets the opacity of a handle with a custom colour
+   * The theme has no drag and hover shades for custom colours, so the
+   * handle fades a little instead
+   * @param {boolean} isDragging - Current dragging state
+   * @param {boolean} isHovered - Whether the pointer is over the handle
+   * @returns {number} Opacity between 0 and 1
    * @private
    */
-  _drawFrameBorder(frame) {
-    this.ctx.strokeStyle = '#ffffff';
-    this.ctx.lineWidth = this.FRAME_THICKNESS;
-    this.ctx.shadowColor = 'rgba(0,0,0,0.2)';
-    this.ctx.shadowBlur = 15;
-    this.ctx.shadowOffsetY = 5;
+  _getHandleOpacity(isDragging, isHovered) {
+    if (isDragging) {
+      return 0.75;
+    }
+    return isHovered ? 0.9 : 1;
+  }
 
-    const halfThickness = this.FRAME_THICKNESS / 2;
-    const adjustedWidth = frame.width - this.FRAME_THICKNESS;
-    const adjustedHeight = frame.height - this.FRAME_THICKNESS;
+  /**
+   * Called after the theme changed
+   * @private
+   */
+  _handleThemeChange() {
+    this.invalidate();
+  }
 
-    this.ctx.strokeRect(
-      halfThickness,
-      halfThickness,
-      adjustedWidth,
-      adjustedHeight
-    );
+  /**
+   * Called after the background layout or its content changed
+   * @private
+   */
+  _handleBackgroundChange() {
+    this.invalidate();
   }
 
   /**
-   * Draws the draggable square (solid rectangle with shadow)
-   * @param {Object} frame - Frame object with dimensions
-   * @param {boolean} isDragging - Current dragging state
+   * Switches to a resolved theme
    * @private
    */
-  _drawDraggableSquare(frame, isDragging) {
-    this.ctx.fillStyle = isDragging ? '#66bb6a' : '#43a047';
-    this.ctx.shadowColor = 'rgba(0,0,0,0.3)';
-    this.ctx.shadowBlur = 15;
-    this.ctx.shadowOffsetY = 5;
+  _useTheme(theme, setting) {
+    this.theme = theme;
+    this.themeSetting = setting;
+    this._handleThemeChange();
+  }
 
-    this.ctx.fillRect(0, 0, frame.width, frame.height);
+  /**
+   * Creates the background generator selected in the config
+   * @private
+   */
+  _createBackground(config) {
+    this._useBackground(createBackground(config), config);
   }
 
   /**
-   * Updates canvas size and regenerates background
-   * @param {number} width - New canvas width
-   * @param {number} height - New canvas height
+   * Switches to a background generator made from the config
+   * @private
    */
-  resize(width, height) {
-    this.canvas.width = width;
-    this.canvas.height = height;
-    this.generateBackground();
+  _useBackground(background, config) {
+    this.background = background;
+    this.background.onChange = () => this._handleBackgroundChange();
+    this.backgroundSeed = config.BACKGROUND_SEED;
+    this.backgroundSettings = this._getBackgroundSettings(config);
   }
 
   /**
-   * Gets the current canvas dimensions
-   * @returns {Object} Object with width and height properties
+   * Builds a key of the config values that shape the background
+   * @private
    */
-  getDimensions() {
-    return {
-      width: this.canvas.width,
-      height: this.canvas.height,
-    };
+  _getBackgroundSettings(config) {
+    return `${config.BACKGROUND}|${config.BACKGROUND_SEED}|${config.BACKGROUND_IMAGE}`;
+  }
+
+  /**
+   * Checks if the system prefers a dark colour scheme
+   * @private
+   */
+  _prefersDark() {
+    return this.colorScheme ? this.colorScheme.matches : false;
+  }
+
+  /**
+   * Re-resolves the auto theme when the system colour scheme changes
+   * @private
+   */
+  _handleColorSchemeChange() {
+    if (this.themeSetting === AUTO_THEME) {
+      this.setTheme(AUTO_THEME);
+    }
+  }
+
+  /**
+   * Reports a method a backend is missing
+   * @private
+   */
+  _notImplemented(method) {
+    throw new Error(`${this.constructor.name} does not implement ${method}`);
   }
 }
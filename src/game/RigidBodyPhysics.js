@@ -0,0 +1,483 @@
+import { Physics } from './Physics.js';
+
+// Position corrections per parent and child pair while dragging; each pass
+// resolves the deepest wall, rotation makes the corrections approximate
+const PUSH_PASSES = 4;
+
+// Alternating projections used to fit a frame between two held frames
+const CLAMP_PASSES = 4;
+
+/**
+ * Physics engine for the rigid-body mode
+ * Frames turn as well as move: each one has an angle, an angular velocity
+ * and a moment of inertia. Containment checks the corners of a child
+ * against the inner walls of its rotated parent, and every push acts at
+ * the corner that touches, so off-centre hits make frames spin. Rotation
+ * dies out through ANGULAR_DAMPING
+ *
+ * Pushes keep the translation of the default mode, where a push moves a
+ * frame by the full depth, and use the inertia per unit mass for the turn
+ */
+export class RigidBodyPhysics extends Physics {
+  /**
+   * Takes over the physics settings of a configuration
+   * @param {Object} config - Game configuration
+   */
+  configure(config) {
+    super.configure(config);
+    this.ANGULAR_DAMPING = config.ANGULAR_DAMPING;
+  }
+
+  /**
+   * Clamps the position of a held frame so that moving it never requires
+   * moving another held frame
+   * @param {Array} frames - Array of frame objects
+   * @param {number} index - Index of the frame being moved
+   * @param {Array} heldIndices - Indices of the frames held by a pointer
+   * @param {number} x - Requested x position
+   * @param {number} y - Requested y position
+   * @returns {Object} Object with the clamped x and y
+   */
+  clampToHeldFrames(frames, index, heldIndices, x, y) {
+    const frame = frames[index];
+    const { ancestor, descendant } = this._findHeldNeighbours(index, heldIndices);
+    let center = { x: x + frame.width / 2, y: y + frame.height / 2 };
+
+    for (let pass = 0; pass < CLAMP_PASSES; pass++) {
+      // Stay inside the nearest held ancestor, leaving room for the frames between
+      if (ancestor !== -1) {
+        const outer = frames[ancestor];
+        const inset = this._sumThickness(frames, ancestor, index);
+        const outerCenter = this._getCenter(outer);
+        const local = this._clampToBox(
+          this._toLocal(center, outerCenter, outer.angle),
+          outer,
+          frame,
+          inset
+        );
+        center = this._toWorld(local, outerCenter, outer.angle);
+      }
+
+      // Keep enclosing the nearest held descendant
+      if (descendant !== -1) {
+        const inner = frames[descendant];
+        const inset = this._sumThickness(frames, index, descendant);
+        const innerCenter = this._getCenter(inner);
+        const local = this._clampToBox(
+          this._toLocal(innerCenter, center, frame.angle),
+          frame,
+          inner,
+          inset
+        );
+        const offset = this._rotate(local, frame.angle);
+        center = { x: innerCenter.x - offset.x, y: innerCenter.y - offset.y };
+      }
+
+      if (ancestor === -1 || descendant === -1) {
+        break;
+      }
+    }
+
+    return {
+      x: center.x - frame.width / 2,
+      y: center.y - frame.height / 2,
+    };
+  }
+
+  /**
+   * Damps and applies both the linear and the angular velocity
+   * @param {Object} frame - Awake frame
+   * @private
+   */
+  _integrate(frame) {
+    super._integrate(frame);
+    frame.va *= this.ANGULAR_DAMPING;
+    frame.angle += frame.va;
+  }
+
+  /**
+   * Zeroes the linear and angular velocity of a frame
+   * @param {Object} frame - Frame to stop
+   * @private
+   */
+  _stopFrame(frame) {
+    super._stopFrame(frame);
+    frame.va = 0;
+  }
+
+  /**
+   * Checks the speed of the frame and of its corners turning
+   * @private
+   */
+  _isBelowSleepVelocity(frame) {
+    const cornerSpeed = Math.abs(frame.va) * Math.hypot(frame.width, frame.height) / 2;
+    return super._isBelowSleepVelocity(frame) && cornerSpeed < this.SLEEP_VELOCITY;
+  }
+
+  /**
+   * Moves and turns a parent just far enough to contain its child again
+   * @param {Object} parent - Frame to move
+   * @param {Object} child - Frame that has to stay inside
+   * @param {number} parentIndex - Index of the parent frame
+   * @private
+   */
+  _pushParentOut(parent, child, parentIndex) {
+    this._trackPushes(parentIndex, this._resolvePushes(parent, child, parent, -1));
+  }
+
+  /**
+   * Moves and turns a child just far enough to sit inside its parent again
+   * @param {Object} parent - Frame that has to contain the child
+   * @param {Object} child - Frame to move
+   * @param {number} parentIndex - Index of the parent frame
+   * @private
+   */
+  _pushChildIn(parent, child, parentIndex) {
+    this._trackPushes(parentIndex, this._resolvePushes(parent, child, child, 1));
+  }
+
+  /**
+   * Corrects the position of one frame of a pair until the child corners
+   * are back inside the parent walls
+   * @param {Object} parent - Parent frame
+   * @param {Object} child - Child frame
+   * @param {Object} moved - The frame to correct, parent or child
+   * @param {number} direction - 1 to move along the wall normals, -1 against
+   * @returns {Object} Deepest push per side of the parent, before correction
+   * @private
+   */
+  _resolvePushes(parent, child, moved, direction) {
+    const pushes = {};
+
+    for (let pass = 0; pass < PUSH_PASSES; pass++) {
+      const contacts = this._findContacts(parent, child, parent.thickness);
+
+      if (pass === 0) {
+        for (const contact of contacts) {
+          pushes[contact.side] = Math.max(pushes[contact.side] ?? -Infinity, contact.depth);
+        }
+      }
+
+      const wall = this._findDeepestWall(contacts);
+      if (!wall) {
+        break;
+      }
+
+      this._displaceAt(
+        moved,
+        wall.point,
+        wall.nx * direction,
+        wall.ny * direction,
+        wall.depth
+      );
+    }
+
+    return pushes;
+  }
+
+  /**
+   * Merges the penetrating corners at the deepest wall into one contact
+   * Corners on the same wall are averaged by depth, so a flat push does
+   * not turn the frame
+   * @param {Array} contacts - Contacts from _findContacts
+   * @returns {Object|null} Contact point, wall normal and depth, or null
+   * if nothing penetrates
+   * @private
+   */
+  _findDeepestWall(contacts) {
+    let deepest = null;
+    for (const contact of contacts) {
+      if (contact.depth > 0 && (!deepest || contact.depth > deepest.depth)) {
+        deepest = contact;
+      }
+    }
+
+    if (!deepest) {
+      return null;
+    }
+
+    let weight = 0;
+    let x = 0;
+    let y = 0;
+    for (const contact of contacts) {
+      if (contact.side === deepest.side && contact.depth > 0) {
+        weight += contact.depth;
+        x += contact.point.x * contact.depth;
+        y += contact.point.y * contact.depth;
+      }
+    }
+
+    return {
+      point: { x: x / weight, y: y / weight },
+      nx: deepest.nx,
+      ny: deepest.ny,
+      depth: deepest.depth,
+    };
+  }
+
+  /**
+   * Moves a frame so that one of its points travels a distance along a
+   * normal, shared between translation and rotation by the inertia
+   * @param {Object} frame - Frame to move
+   * @param {Object} point - Point on the frame in world coordinates
+   * @param {number} nx - Normal x
+   * @param {number} ny - Normal y
+   * @param {number} distance - Distance the point has to travel
+   * @private
+   */
+  _displaceAt(frame, point, nx, ny, distance) {
+    const center = this._getCenter(frame);
+    const arm = this._cross(point.x - center.x, point.y - center.y, nx, ny);
+    const gyration = this._getGyration(frame);
+    const share = distance / (1 + (arm * arm) / gyration);
+
+    frame.x += nx * share;
+    frame.y += ny * share;
+    frame.angle += (arm * share) / gyration;
+  }
+
+  /**
+   * Springs a frame back inside its parent, or the canvas for the outer
+   * frame, with a force at every corner that reaches through a wall
+   * @param {Object} frame - Frame to keep inside
+   * @param {Object} parent - Parent frame or canvas bounds
+   * @param {number} index - Index of the frame inside the frames array
+   * @returns {number} Deepest corner overlap, 0 when there is none
+   * @private
+   */
+  _applyContainment(frame, parent, index) {
+    const hasParent = index > 0;
+    const inset = hasParent ? parent.thickness : 0;
+    const contacts = this._findContacts(parent, frame, inset).filter(
+      (contact) => contact.depth > 0
+    );
+
+    // Corners on one wall share its force, so a flat contact pushes like
+    // in the default mode
+    const cornersPerSide = {};
+    for (const contact of contacts) {
+      cornersPerSide[contact.side] = (cornersPerSide[contact.side] || 0) + 1;
+    }
+
+    const frameCenter = this._getCenter(frame);
+    const parentCenter = this._getCenter(parent);
+    let maxOverlap = 0;
+
+    for (const { side, depth, point, nx, ny } of contacts) {
+      maxOverlap = Math.max(maxOverlap, depth);
+
+      const frameArm = { x: point.x - frameCenter.x, y: point.y - frameCenter.y };
+      const parentArm = { x: point.x - parentCenter.x, y: point.y - parentCenter.y };
+      const relativeX =
+        frame.vx - frame.va * frameArm.y - (parent.vx - (parent.va || 0) * parentArm.y);
+      const relativeY =
+        frame.vy + frame.va * frameArm.x - (parent.vy + (parent.va || 0) * parentArm.x);
+      this._trackContact(index - 1, side, Math.abs(relativeX * nx + relativeY * ny));
+      this._applyCornerRestitution(frame, parent, frameArm, parentArm, nx, ny, hasParent);
+
+      const force = (depth * this.SPRING_STRENGTH) / cornersPerSide[side];
+      frame.vx += nx * force;
+      frame.vy += ny * force;
+      frame.va += this._cross(frameArm.x, frameArm.y, nx, ny) * force / this._getGyration(frame);
+
+      if (hasParent) {
+        parent.vx -= nx * force * 0.5;
+        parent.vy -= ny * force * 0.5;
+        parent.va -=
+          this._cross(parentArm.x, parentArm.y, nx, ny) * force * 0.5 /
+          this._getGyration(parent);
+      }
+    }
+
+    return maxOverlap;
+  }
+
+  /**
+   * Bounces a corner off the wall it is moving into
+   * Like _applyRestitution, with the impulse shared between moving and
+   * turning both frames
+   * @param {Object} frame - Frame touching the wall
+   * @param {Object} parent - Parent frame or canvas bounds
+   * @param {Object} frameArm - Contact point relative to the frame centre
+   * @param {Object} parentArm - Contact point relative to the parent centre
+   * @param {number} nx - Wall normal x, pointing into the parent
+   * @param {number} ny - Wall normal y, pointing into the parent
+   * @param {boolean} hasParent - False for the canvas
+   * @private
+   */
+  _applyCornerRestitution(frame, parent, frameArm, parentArm, nx, ny, hasParent) {
+    if (!this.FLING_ENABLED) {
+      return;
+    }
+
+    const parentSpin = hasParent ? parent.va : 0;
+    const approach =
+      (frame.vx - frame.va * frameArm.y - (parent.vx - parentSpin * parentArm.y)) * nx +
+      (frame.vy + frame.va * frameArm.x - (parent.vy + parentSpin * parentArm.x)) * ny;
+    if (approach >= 0) {
+      return;
+    }
+
+    const frameTurn = this._cross(frameArm.x, frameArm.y, nx, ny);
+    const parentTurn = this._cross(parentArm.x, parentArm.y, nx, ny);
+    let resistance = 1 + (frameTurn * frameTurn) / this._getGyration(frame);
+    if (hasParent) {
+      resistance += 1 + (parentTurn * parentTurn) / this._getGyration(parent);
+    }
+
+    const impulse = (-(1 + this.RESTITUTION) * approach) / resistance;
+    frame.vx += nx * impulse;
+    frame.vy += ny * impulse;
+    frame.va += (frameTurn * impulse) / this._getGyration(frame);
+
+    if (hasParent) {
+      parent.vx -= nx * impulse;
+      parent.vy -= ny * impulse;
+      parent.va -= (parentTurn * impulse) / this._getGyration(parent);
+    }
+  }
+
+  /**
+   * Checks the corners of a child against the inner walls of its parent
+   * @param {Object} parent - Parent frame or canvas bounds
+   * @param {Object} child - Child frame
+   * @param {number} inset - Thickness of the parent walls
+   * @returns {Array} Contacts with the side of the parent, the depth the
+   * corner reaches through that wall (negative when it is clear), the
+   * corner point and the wall normal pointing into the parent. Corners
+   * further than CONTACT_EPSILON from a wall are left out
+   * @private
+   */
+  _findContacts(parent, child, inset) {
+    const parentAngle = parent.angle || 0;
+    const parentCenter = this._getCenter(parent);
+    const axisX = this._rotate({ x: 1, y: 0 }, parentAngle);
+    const axisY = this._rotate({ x: 0, y: 1 }, parentAngle);
+    const halfWidth = parent.width / 2 - inset;
+    const halfHeight = parent.height / 2 - inset;
+    const contacts = [];
+
+    for (const point of this._getCorners(child)) {
+      const local = this._toLocal(point, parentCenter, parentAngle);
+      const walls = [
+        { side: 'left', depth: -halfWidth - local.x, nx: axisX.x, ny: axisX.y },
+        { side: 'right', depth: local.x - halfWidth, nx: -axisX.x, ny: -axisX.y },
+        { side: 'top', depth: -halfHeight - local.y, nx: axisY.x, ny: axisY.y },
+        { side: 'bottom', depth: local.y - halfHeight, nx: -axisY.x, ny: -axisY.y },
+      ];
+
+      for (const wall of walls) {
+        if (wall.depth > -this.CONTACT_EPSILON) {
+          contacts.push({ ...wall, point });
+        }
+      }
+    }
+
+    return contacts;
+  }
+
+  /**
+   * Clamps a centre, given in the local axes of a container, so that a
+   * frame inside it stays clear of its walls
+   * @param {Object} local - Centre of the inner frame relative to the
+   * container centre, in container axes
+   * @param {Object} container - Outer frame
+   * @param {Object} frame - Inner frame
+   * @param {number} inset - Wall thickness to leave free
+   * @returns {Object} Clamped local position
+   * @private
+   */
+  _clampToBox(local, container, frame, inset) {
+    const turn = (frame.angle || 0) - (container.angle || 0);
+    const cos = Math.abs(Math.cos(turn));
+    const sin = Math.abs(Math.sin(turn));
+    const reachX = Math.max(
+      0,
+      container.width / 2 - inset - (cos * frame.width + sin * frame.height) / 2
+    );
+    const reachY = Math.max(
+      0,
+      container.height / 2 - inset - (sin * frame.width + cos * frame.height) / 2
+    );
+
+    return {
+      x: Math.max(-reachX, Math.min(local.x, reachX)),
+      y: Math.max(-reachY, Math.min(local.y, reachY)),
+    };
+  }
+
+  /**
+   * Gets the corners of a frame in world coordinates
+   * @private
+   */
+  _getCorners(frame) {
+    const center = this._getCenter(frame);
+    const halfWidth = frame.width / 2;
+    const halfHeight = frame.height / 2;
+
+    return [
+      { x: -halfWidth, y: -halfHeight },
+      { x: halfWidth, y: -halfHeight },
+      { x: halfWidth, y: halfHeight },
+      { x: -halfWidth, y: halfHeight },
+    ].map((corner) => this._toWorld(corner, center, frame.angle));
+  }
+
+  /**
+   * Gets the moment of inertia per unit mass, the squared radius of
+   * gyration, of a frame
+   * @private
+   */
+  _getGyration(frame) {
+    return frame.inertia / frame.mass;
+  }
+
+  /**
+   * Gets the centre of a frame
+   * @private
+   */
+  _getCenter(frame) {
+    return {
+      x: frame.x + frame.width / 2,
+      y: frame.y + frame.height / 2,
+    };
+  }
+
+  /**
+   * Converts a world point to the rotated axes around a centre
+   * @private
+   */
+  _toLocal(point, center, angle = 0) {
+    return this._rotate({ x: point.x - center.x, y: point.y - center.y }, -angle);
+  }
+
+  /**
+   * Converts a point in the rotated axes around a centre to world space
+   * @private
+   */
+  _toWorld(local, center, angle = 0) {
+    const offset = this._rotate(local, angle);
+    return { x: center.x + offset.x, y: center.y + offset.y };
+  }
+
+  /**
+   * Rotates a vector by an angle in radians
+   * @private
+   */
+  _rotate(vector, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return {
+      x: vector.x * cos - vector.y * sin,
+      y: vector.x * sin + vector.y * cos,
+    };
+  }
+
+  /**
+   * Gets the z component of the cross product of two 2D vectors
+   * @private
+   */
+  _cross(ax, ay, bx, by) {
+    return ax * by - ay * bx;
+  }
+}
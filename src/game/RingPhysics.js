@@ -0,0 +1,237 @@
+import { Physics } from './Physics.js';
+
+// Alternating projections used to fit a frame between two held rings
+const CLAMP_PASSES = 4;
+
+/**
+ * Physics engine for ring mode
+ * Frames are circles whose diameter is the frame width. A child is
+ * contained while its centre stays within the parent radius minus the
+ * parent thickness minus the child radius of the parent centre. Pushes and
+ * springs act along the contact normal, the line through both centres.
+ * The outermost ring is still kept inside the rectangular canvas
+ */
+export class RingPhysics extends Physics {
+  /**
+   * Clamps the centre of a held ring so that moving it never requires
+   * moving another held ring
+   * @param {Array} frames - Array of frame objects
+   * @param {number} index - Index of the frame being moved
+   * @param {Array} heldIndices - Indices of the frames held by a pointer
+   * @param {number} x - Requested x position
+   * @param {number} y - Requested y position
+   * @returns {Object} Object with the clamped x and y
+   */
+  clampToHeldFrames(frames, index, heldIndices, x, y) {
+    const frame = frames[index];
+    const { ancestor, descendant } = this._findHeldNeighbours(index, heldIndices);
+    const radius = frame.width / 2;
+    const discs = [];
+
+    // Stay inside the nearest held ancestor, leaving room for the rings between
+    if (ancestor !== -1) {
+      discs.push({
+        ...this._getCenter(frames[ancestor]),
+        radius: this._sumPlay(frames, ancestor, index),
+      });
+    }
+
+    // Keep enclosing the nearest held descendant
+    if (descendant !== -1) {
+      discs.push({
+        ...this._getCenter(frames[descendant]),
+        radius: this._sumPlay(frames, index, descendant),
+      });
+    }
+
+    let center = { x: x + radius, y: y + radius };
+    for (let pass = 0; pass < CLAMP_PASSES && discs.length > 0; pass++) {
+      for (const disc of discs) {
+        center = this._projectToDisc(center, disc);
+      }
+    }
+
+    return {
+      x: center.x - radius,
+      y: center.y - radius,
+    };
+  }
+
+  /**
+   * Moves a parent ring along the contact normal just far enough to contain
+   * its child again
+   * @param {Object} parent - Frame to move
+   * @param {Object} child - Frame that has to stay inside
+   * @param {number} parentIndex - Index of the parent frame
+   * @private
+   */
+  _pushParentOut(parent, child, parentIndex) {
+    const contact = this._measure(parent, child);
+    const depth = contact.distance - contact.maxDistance;
+
+    if (depth > 0) {
+      parent.x += contact.nx * depth;
+      parent.y += contact.ny * depth;
+    }
+    this._trackRingContact(parentIndex, contact, depth);
+  }
+
+  /**
+   * Moves a child ring towards the parent centre just far enough to sit
+   * inside it again
+   * @param {Object} parent - Frame that has to contain the child
+   * @param {Object} child - Frame to move
+   * @param {number} parentIndex - Index of the parent frame
+   * @private
+   */
+  _pushChildIn(parent, child, parentIndex) {
+    const contact = this._measure(parent, child);
+    const depth = contact.distance - contact.maxDistance;
+
+    if (depth > 0) {
+      child.x -= contact.nx * depth;
+      child.y -= contact.ny * depth;
+    }
+    this._trackRingContact(parentIndex, contact, depth);
+  }
+
+  /**
+   * Springs a ring back inside its parent along the contact normal
+   * The outermost ring uses the rectangular canvas containment
+   * @param {Object} frame - Frame to keep inside
+   * @param {Object} parent - Parent frame or canvas bounds
+   * @param {number} index - Index of the frame inside the frames array
+   * @returns {number} Boundary overlap, 0 when there is none
+   * @private
+   */
+  _applyContainment(frame, parent, index) {
+    if (index === 0) {
+      return super._applyContainment(frame, parent, index);
+    }
+
+    const contact = this._measure(parent, frame);
+    const overlap = contact.distance - contact.maxDistance;
+    if (overlap <= 0) {
+      return 0;
+    }
+
+    const { nx, ny } = contact;
+    const impact = Math.abs((frame.vx - parent.vx) * nx + (frame.vy - parent.vy) * ny);
+    this._trackContact(index - 1, this._getSide(nx, ny), impact);
+    this._applyRestitution(frame, parent, -nx, -ny, true);
+
+    const force = overlap * this.SPRING_STRENGTH;
+    frame.vx -= nx * force;
+    frame.vy -= ny * force;
+    parent.vx += nx * force * 0.5;
+    parent.vy += ny * force * 0.5;
+
+    return overlap;
+  }
+
+  /**
+   * A ring touches its parent at one point, wherever that is, so sliding
+   * around the parent wall stays one contact
+   * @private
+   */
+  _getContactKey(frameIndex, side) {
+    return `${frameIndex}:ring`;
+  }
+
+  /**
+   * Tracks the contact between a ring and its child during dragging
+   * @param {number} parentIndex - Index of the parent frame
+   * @param {Object} contact - Measurement from _measure
+   * @param {number} depth - Push depth, negative when not touching
+   * @private
+   */
+  _trackRingContact(parentIndex, contact, depth) {
+    if (depth > -this.CONTACT_EPSILON) {
+      this._trackContact(parentIndex, this._getSide(contact.nx, contact.ny), Math.max(0, depth));
+    }
+  }
+
+  /**
+   * Measures how far a child ring sits from the centre of its parent
+   * @param {Object} parent - Parent frame
+   * @param {Object} child - Child frame
+   * @returns {Object} Unit normal from the parent centre towards the child
+   * centre (nx, ny), the centre distance and the largest distance that keeps
+   * the child inside
+   * @private
+   */
+  _measure(parent, child) {
+    const parentCenter = this._getCenter(parent);
+    const childCenter = this._getCenter(child);
+    const dx = childCenter.x - parentCenter.x;
+    const dy = childCenter.y - parentCenter.y;
+    const distance = Math.hypot(dx, dy);
+
+    return {
+      nx: distance > 0 ? dx / distance : 0,
+      ny: distance > 0 ? dy / distance : 0,
+      distance,
+      maxDistance: parent.width / 2 - parent.thickness - child.width / 2,
+    };
+  }
+
+  /**
+   * Adds up how far the centres of a run of rings can drift apart
+   * @param {Array} frames - Array of frame objects
+   * @param {number} outer - Index of the outer ring
+   * @param {number} inner - Index of the inner ring
+   * @returns {number} Largest distance between the two centres
+   * @private
+   */
+  _sumPlay(frames, outer, inner) {
+    let play = 0;
+    for (let i = outer + 1; i <= inner; i++) {
+      const parent = frames[i - 1];
+      play += Math.max(0, parent.width / 2 - parent.thickness - frames[i].width / 2);
+    }
+    return play;
+  }
+
+  /**
+   * Moves a point onto a disc if it lies outside
+   * @private
+   */
+  _projectToDisc(point, disc) {
+    const dx = point.x - disc.x;
+    const dy = point.y - disc.y;
+    const distance = Math.hypot(dx, dy);
+
+    if (distance <= disc.radius) {
+      return point;
+    }
+
+    const scale = disc.radius / distance;
+    return {
+      x: disc.x + dx * scale,
+      y: disc.y + dy * scale,
+    };
+  }
+
+  /**
+   * Gets the centre of a frame
+   * @private
+   */
+  _getCenter(frame) {
+    return {
+      x: frame.x + frame.width / 2,
+      y: frame.y + frame.height / 2,
+    };
+  }
+
+  /**
+   * Names the side of the parent wall a normal points at, so collision
+   * records read the same as in rectangle mode
+   * @private
+   */
+  _getSide(nx, ny) {
+    if (Math.abs(nx) >= Math.abs(ny)) {
+      return nx < 0 ? 'left' : 'right';
+    }
+    return ny < 0 ? 'top' : 'bottom';
+  }
+}
@@ -0,0 +1,160 @@
+import { CanvasRenderer } from './CanvasRenderer.js';
+import { SvgRenderer } from './SvgRenderer.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Still image export for the FramePusher game
+ * The scene is drawn by a renderer of its own through drawScene, so exports
+ * look the same whichever backend is on screen and leave out the keyboard
+ * selection, hover state and frame-time counter. Mode overlays are kept
+ */
+export class SceneExporter {
+  constructor(game) {
+    this.game = game;
+  }
+
+  /**
+   * Renders the current scene to a PNG image
+   * @param {number} [scale] - Pixels per CSS pixel, at most the device
+   * pixel ratio
+   * @returns {Promise<Blob>} The PNG file
+   */
+  async exportPng(scale = window.devicePixelRatio || 1) {
+    const renderer = this.createCanvasRenderer(scale);
+
+    try {
+      await this._waitForBackground(renderer);
+      this.drawScene(renderer);
+
+      return await new Promise((resolve, reject) => {
+        renderer.canvas.toBlob((blob) => {
+          if (blob) {
+            resolve(blob);
+          } else {
+            reject(new Error('Could not encode the scene as PNG'));
+          }
+        }, 'image/png');
+      });
+    } finally {
+      renderer.destroy();
+    }
+  }
+
+  /**
+   * Renders the current scene to a standalone SVG document
+   * The background pattern is embedded as an image, so the file needs
+   * nothing else to display
+   * @returns {Promise<Blob>} The SVG file
+   */
+  async exportSvg() {
+    // The svg backend takes the place of the canvas it is given; a detached
+    // canvas keeps the page untouched
+    const renderer = new SvgRenderer(document.createElement('canvas'), this.game.config);
+
+    try {
+      renderer.resize(this.game.simulation.width, this.game.simulation.height);
+      await this._waitForBackground(renderer);
+      this.drawScene(renderer);
+
+      const svg = renderer.svg;
+      svg.removeAttribute('id');
+      svg.removeAttribute('class');
+      svg.setAttribute('xmlns', SVG_NS);
+
+      const markup =
+        '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        new XMLSerializer().serializeToString(svg);
+      return new Blob([markup], { type: 'image/svg+xml' });
+    } finally {
+      renderer.destroy();
+    }
+  }
+
+  /**
+   * Creates an offscreen canvas renderer of the game size
+   * @param {number} scale - Pixels per CSS pixel, at most the device pixel
+   * ratio
+   * @returns {CanvasRenderer} Renderer drawing into a detached canvas;
+   * destroy it when done
+   */
+  createCanvasRenderer(scale) {
+    const renderer = new CanvasRenderer(document.createElement('canvas'), {
+      ...this.game.config,
+      MAX_PIXEL_RATIO: scale,
+    });
+
+    renderer.resize(this.game.simulation.width, this.game.simulation.height);
+    return renderer;
+  }
+
+  /**
+   * Draws the current scene, particles and mode overlays with a renderer
+   * @param {Renderer} renderer - Renderer to draw with
+   */
+  drawScene(renderer) {
+    const { frames, mode, particles, simulation } = this.game;
+
+    renderer.invalidate();
+    renderer.drawScene(frames, simulation.isFrameHeld(frames.length - 1));
+
+    if (particles.isActive()) {
+      renderer.drawParticles(particles);
+    }
+
+    if (mode) {
+      mode.draw(renderer);
+    }
+  }
+
+  /**
+   * Saves a file through the browser download
+   * @param {Blob} blob - File content
+   * @param {string} filename - Suggested file name
+   */
+  download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Revoking right away cancels the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Builds a timestamped file name
+   * @param {string} extension - File extension without the dot
+   * @returns {string} Name such as "framepusher-2026-10-19T14-03-12.png"
+   */
+  getFilename(extension) {
+    const time = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    return `framepusher-${time}.${extension}`;
+  }
+
+  /**
+   * Waits until an image background has loaded
+   * Other backgrounds are drawn right away
+   * @private
+   */
+  _waitForBackground(renderer) {
+    const { background } = renderer;
+
+    if (!background.image || background.isLoaded) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      const onChange = background.onChange;
+      background.onChange = () => {
+        onChange();
+        resolve();
+      };
+      background.image.addEventListener('error', resolve, { once: true });
+    });
+  }
+}
@@ -0,0 +1,249 @@
+import { GifEncoder } from './GifEncoder.js';
+
+// Longest recording of a live session in ms
+const MAX_LIVE_DURATION = 30000;
+
+// GIF frames are taken at most every 50 ms (20 fps) and scaled down so the
+// longer side fits GIF_MAX_SIZE, which keeps encoding and file size small
+const GIF_FRAME_INTERVAL = 50;
+const GIF_MAX_SIZE = 480;
+
+// WebM container types, most efficient first
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const WEBM_FRAME_RATE = 60;
+
+/**
+ * Animated recording of the FramePusher scene to GIF or WebM
+ * Every animation frame the game hands the capture the timestamp and it
+ * draws the scene through the SceneExporter into an offscreen canvas of
+ * its own. GIF frames are encoded as they arrive; WebM is recorded from
+ * the canvas stream with MediaRecorder
+ *
+ * A live capture ends after MAX_LIVE_DURATION. A replay capture ends once
+ * the replay played every event and the frames came to rest, or when the
+ * replay is stopped
+ */
+export class SessionCapture {
+  /**
+   * @param {SceneExporter} exporter - Exporter of the game to record
+   * @param {string} format - 'gif' or 'webm'
+   * @param {InputReplay|null} [replay] - Replay to record until it ends
+   * @throws {Error} If the format cannot be recorded in this browser
+   */
+  constructor(exporter, format, replay = null) {
+    if (!SessionCapture.isSupported(format)) {
+      throw new Error(`Cannot record "${format}" in this browser`);
+    }
+
+    this.exporter = exporter;
+    this.game = exporter.game;
+    this.format = format;
+    this.replay = replay;
+
+    this.startTime = null;
+    this.elapsed = 0;
+    this.isStopped = false;
+
+    const { width, height } = this.game.simulation;
+    const scale = format === 'gif'
+      ? Math.min(1, GIF_MAX_SIZE / Math.max(width, height))
+      : 1;
+    this.renderer = exporter.createCanvasRenderer(scale);
+
+    if (format === 'gif') {
+      this._startGif();
+    } else {
+      this._startWebm();
+    }
+  }
+
+  /**
+   * Checks whether a format can be recorded
+   * GIF is encoded in script and always works; WebM needs MediaRecorder
+   * and canvas streams
+   * @param {string} format - 'gif' or 'webm'
+   * @returns {boolean} True if the format can be recorded
+   */
+  static isSupported(format) {
+    if (format === 'gif') {
+      return true;
+    }
+
+    if (format === 'webm') {
+      return (
+        typeof MediaRecorder !== 'undefined' &&
+        typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+        WEBM_TYPES.some((type) => MediaRecorder.isTypeSupported(type))
+      );
+    }
+
+    return false;
+  }
+
+  /**
+   * Records the scene of the current animation frame
+   * @param {number} timestamp - Frame timestamp in ms
+   */
+  captureFrame(timestamp) {
+    if (this.isStopped) {
+      return;
+    }
+
+    if (this.startTime === null) {
+      this.startTime = timestamp;
+    }
+    this.elapsed = timestamp - this.startTime;
+
+    if (this.format === 'gif') {
+      this._captureGifFrame(timestamp);
+    } else {
+      // The stream picks up every redraw of the canvas
+      this.exporter.drawScene(this.renderer);
+    }
+  }
+
+  /**
+   * Checks whether the recording reached its end
+   * @returns {boolean} True if the capture should be stopped
+   */
+  isComplete() {
+    if (this.replay) {
+      return (
+        this.game.replay !== this.replay ||
+        (this.replay.isFinished() && this.game.simulation.isSettled())
+      );
+    }
+
+    return this.elapsed >= MAX_LIVE_DURATION;
+  }
+
+  /**
+   * Gets how far the recording is
+   * @returns {number} Progress between 0 and 1
+   */
+  getProgress() {
+    if (this.replay) {
+      return this.replay.getProgress();
+    }
+
+    return Math.min(1, this.elapsed / MAX_LIVE_DURATION);
+  }
+
+  /**
+   * Gets the progress label
+   * @returns {string} Text such as "Recording GIF 4s"
+   */
+  getLabel() {
+    const seconds = Math.floor(this.elapsed / 1000);
+    return `Recording ${this.format.toUpperCase()} ${seconds}s`;
+  }
+
+  /**
+   * Ends the recording
+   * @returns {Promise<Blob>} The GIF or WebM file
+   */
+  async stop() {
+    if (this.isStopped) {
+      throw new Error('The capture was already stopped');
+    }
+    this.isStopped = true;
+
+    try {
+      return this.format === 'gif'
+        ? this._finishGif()
+        : await this._finishWebm();
+    } finally {
+      this.renderer.destroy();
+    }
+  }
+
+  /**
+   * Sets up the GIF encoder for the offscreen canvas size
+   * @private
+   */
+  _startGif() {
+    const { canvas } = this.renderer;
+    this.encoder = new GifEncoder(canvas.width, canvas.height);
+
+    // A frame is encoded once the next one arrives, as that decides how
+    // long it is shown
+    this.pendingPixels = null;
+    this.lastFrameTime = null;
+  }
+
+  /**
+   * Takes a GIF frame when the frame interval has passed
+   * @private
+   */
+  _captureGifFrame(timestamp) {
+    if (this.lastFrameTime !== null && timestamp - this.lastFrameTime < GIF_FRAME_INTERVAL) {
+      return;
+    }
+
+    this.exporter.drawScene(this.renderer);
+
+    const { canvas, ctx } = this.renderer;
+    const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+
+    if (this.pendingPixels) {
+      this.encoder.addFrame(this.pendingPixels, timestamp - this.lastFrameTime);
+    }
+
+    this.pendingPixels = pixels;
+    this.lastFrameTime = timestamp;
+  }
+
+  /**
+   * Encodes the last frame and builds the GIF file
+   * @private
+   */
+  _finishGif() {
+    if (this.pendingPixels) {
+      this.encoder.addFrame(this.pendingPixels, GIF_FRAME_INTERVAL);
+      this.pendingPixels = null;
+    }
+
+    if (this.encoder.frameCount === 0) {
+      throw new Error('No frames were recorded');
+    }
+
+    return new Blob([this.encoder.finish()], { type: 'image/gif' });
+  }
+
+  /**
+   * Starts recording the offscreen canvas stream
+   * @private
+   */
+  _startWebm() {
+    const mimeType = WEBM_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+
+    this.stream = this.renderer.canvas.captureStream(WEBM_FRAME_RATE);
+    this.chunks = [];
+    this.mediaRecorder = new MediaRecorder(this.stream, { mimeType });
+    this.mediaRecorder.addEventListener('dataavailable', (event) => {
+      if (event.data.size > 0) {
+        this.chunks.push(event.data);
+      }
+    });
+
+    // Hand over data every second instead of holding it all until stop
+    this.mediaRecorder.start(1000);
+  }
+
+  /**
+   * Stops the media recorder and joins the recorded data
+   * @private
+   */
+  _finishWebm() {
+    return new Promise((resolve) => {
+      this.mediaRecorder.addEventListener('stop', () => {
+        for (const track of this.stream.getTracks()) {
+          track.stop();
+        }
+        resolve(new Blob(this.chunks, { type: this.mediaRecorder.mimeType || 'video/webm' }));
+      }, { once: true });
+
+      this.mediaRecorder.stop();
+    });
+  }
+}
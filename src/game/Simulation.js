@@ -0,0 +1,751 @@
+import { Physics } from './Physics.js';
+import { RingPhysics } from './RingPhysics.js';
+import { RigidBodyPhysics } from './RigidBodyPhysics.js';
+import { SoftBodyPhysics } from './SoftBodyPhysics.js';
+import { resolveFrameSpec, findFrameSpecErrors } from './FrameSpecs.js';
+
+/**
+ * Physics engine per value of the FRAME_SHAPE config key
+ */
+export const FRAME_SHAPES = {
+  rect: Physics,
+  ring: RingPhysics,
+};
+
+/**
+ * Default game configuration
+ */
+export const DEFAULT_CONFIG = {
+  FRAME_THICKNESS: 20,
+  GAP: 10,
+  FRAME_RADIUS: 0, // corner radius of frames and the handle
+  FRAME_SPECS: [], // per-frame thickness, gap, color, radius and label, see FrameSpecs.js
+  FRAME_SHAPE: 'rect', // 'rect' for nested rectangles, 'ring' for nested circles
+  HANDLE_SIZE: 40,
+  DAMPING: 0.9,
+  SPRING_STRENGTH: 0.2,
+  ROTATION_ENABLED: false, // let rectangles turn when pushed off-centre
+  ANGULAR_DAMPING: 0.9, // angular velocity kept per step in rotation mode
+  SOFT_BODY_ENABLED: false, // give rectangles spring-mass borders that dent and wobble
+  SOFTNESS: 0.5, // share of a push depth that dents the touching edges per step
+  SETTLING_ENABLED: true,
+  FLING_ENABLED: true, // released frames keep their drag velocity and bounce
+  RESTITUTION: 0.5, // share of the impact speed kept when bouncing off a wall
+  FLING_WINDOW: 80, // ms of drag movement the release velocity is measured over
+  MAX_FLING_SPEED: 40, // fastest release velocity in px per step
+  TIMESTEP: 1000 / 60, // fixed physics step in ms
+  MAX_STEPS_PER_FRAME: 5,
+  SLEEP_VELOCITY: 0.05,
+  IMPACT_SPEED_MIN: 0.5, // slower impacts stay silent
+  IMPACT_SPEED_MAX: 20, // impacts at or above this speed play at full volume
+  SOUND_MIN_INTERVAL: 60, // minimum ms between two collision sounds
+  THEME: 'auto', // renderer theme, see Themes.js
+  BACKGROUND: 'dots', // background generator, see Backgrounds.js
+  BACKGROUND_SEED: 1, // seed for reproducible background layouts
+  BACKGROUND_IMAGE: '', // image URL for the image background
+  SHOW_FRAME_TIME: false, // draw the frame-time counter
+  MAX_PIXEL_RATIO: 2, // upper bound on the canvas backing store scale
+  PARTICLES: 'sparks', // impact particle style, see ParticleStyles.js
+  MAX_PARTICLES: 300, // most impact particles alive at once
+  NUM_FRAMES: 0, // will be calculated
+};
+
+/**
+ * Headless simulation core for the FramePusher game
+ * Owns the frames, the physics engine and the configuration without
+ * touching the DOM, so it runs unchanged in the browser and in Node
+ */
+export class Simulation {
+  constructor(width, height, config = {}) {
+    this.width = width;
+    this.height = height;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this._validateConfig(this.config);
+
+    // Simulation state
+    this.frames = [];
+    this.heldFrames = new Set();
+    this.accumulator = 0;
+
+    // Simulation time in ms, advanced in fixed steps, and the recent
+    // timed positions of every held frame for its release velocity
+    this.time = 0;
+    this.dragTracks = new Map();
+
+    this.physics = this._createPhysics();
+    this.createFrames();
+  }
+
+  /**
+   * Advances the simulation by the given amount of time
+   * Settling is integrated in fixed timesteps so the result does not
+   * depend on how often step is called
+   * @param {number} dt - Elapsed time in ms
+   * @returns {boolean} True if every frame is at rest
+   */
+  step(dt) {
+    // Held frames follow the pointer, only the clock runs for their
+    // release velocity and soft borders keep wobbling
+    if (this.isDragging()) {
+      this._advanceTime(dt, () => {
+        this.physics.updateHeldPhysics(this.frames);
+        return false;
+      });
+      return this.physics.isSettled(this.frames);
+    }
+
+    if (!this.config.SETTLING_ENABLED || this.physics.isSettled(this.frames)) {
+      this.accumulator = 0;
+      return this.physics.isSettled(this.frames);
+    }
+
+    return this._advanceTime(dt, () => {
+      const isSettled = this.physics.updateSettlingPhysics(
+        this.frames,
+        this.width,
+        this.height
+      );
+
+      if (isSettled) {
+        this.accumulator = 0;
+      }
+      return isSettled;
+    });
+  }
+
+  /**
+   * Runs fixed timesteps for the elapsed time and advances the clock
+   * @param {number} dt - Elapsed time in ms
+   * @param {Function} onStep - Called once per step, returns true to stop
+   * @returns {boolean} True if onStep stopped the stepping
+   * @private
+   */
+  _advanceTime(dt, onStep) {
+    const maxElapsed = this.config.TIMESTEP * this.config.MAX_STEPS_PER_FRAME;
+    this.accumulator += Math.min(dt, maxElapsed);
+
+    while (this.accumulator >= this.config.TIMESTEP) {
+      this.accumulator -= this.config.TIMESTEP;
+      this.time += this.config.TIMESTEP;
+
+      if (onStep()) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Moves a frame and pushes its parents and children out of the way
+   * The position is clamped to the simulation bounds and to the room left
+   * by the other held frames
+   * @param {number} index - Index of the frame to move
+   * @param {number} x - New frame x position
+   * @param {number} y - New frame y position
+   * @param {number} [time=this.time] - Time of the move in ms
+   */
+  setFramePosition(index, x, y, time = this.time) {
+    const frame = this.frames[index];
+    const maxX = this.width - frame.width;
+    const maxY = this.height - frame.height;
+    const heldIndices = [...this.heldFrames];
+
+    const clamped = this.physics.clampToHeldFrames(
+      this.frames,
+      index,
+      heldIndices,
+      Math.max(0, Math.min(x, maxX)),
+      Math.max(0, Math.min(y, maxY))
+    );
+
+    frame.x = clamped.x;
+    frame.y = clamped.y;
+
+    if (!this.heldFrames.has(index)) {
+      heldIndices.push(index);
+    }
+    this.physics.updateDragPhysics(this.frames, heldIndices);
+
+    if (this.dragTracks.has(index)) {
+      this._trackDrag(index, time);
+    }
+  }
+
+  /**
+   * Moves the handle frame and pushes its parents out of the way
+   * @param {number} x - New handle x position
+   * @param {number} y - New handle y position
+   * @param {number} [time=this.time] - Time of the move in ms
+   */
+  setHandlePosition(x, y, time = this.time) {
+    this.setFramePosition(this.config.NUM_FRAMES - 1, x, y, time);
+  }
+
+  /**
+   * Starts holding a frame
+   * The first grab stops all movement
+   * @param {number} index - Index of the frame to hold
+   * @param {number} [time=this.time] - Time of the grab in ms
+   */
+  grabFrame(index, time = this.time) {
+    if (this.heldFrames.size === 0) {
+      this.accumulator = 0;
+      this.physics.stopAllMovement(this.frames);
+    }
+    this.heldFrames.add(index);
+    this.dragTracks.set(index, []);
+    this._trackDrag(index, time);
+  }
+
+  /**
+   * Stops holding a frame
+   * Once no frame is held the nest settles. With FLING_ENABLED the frame
+   * released last keeps the velocity it was dragged with
+   * @param {number} index - Index of the frame to release
+   * @param {boolean} [isThrown=true] - False drops the frame in place
+   * @param {number} [time=this.time] - Time of the release in ms
+   */
+  releaseFrame(index, isThrown = true, time = this.time) {
+    if (!this.heldFrames.delete(index)) {
+      return;
+    }
+
+    const velocity = this.getReleaseVelocity(index, time);
+    this.dragTracks.delete(index);
+
+    if (this.heldFrames.size === 0) {
+      this.accumulator = 0;
+      this.physics.wakeAll(this.frames);
+
+      if (this.config.FLING_ENABLED && isThrown) {
+        this.frames[index].vx = velocity.x;
+        this.frames[index].vy = velocity.y;
+      }
+    }
+  }
+
+  /**
+   * Measures how fast a held frame moved over the FLING_WINDOW ms before
+   * the given time, capped at MAX_FLING_SPEED
+   * Drags are timed with the times passed to grabFrame and
+   * setFramePosition, the simulation clock unless given, so input timed
+   * by its own timestamps throws the same however the steps fell
+   * @param {number} index - Index of a held frame
+   * @param {number} [time=this.time] - Time of the release in ms
+   * @returns {Object} Velocity x and y in px per step, zero if the frame
+   * rested or is not held
+   */
+  getReleaseVelocity(index, time = this.time) {
+    const track = this.dragTracks.get(index) || [];
+    const frame = this.frames[index];
+    const oldest = track.find(
+      (sample) => sample.time >= time - this.config.FLING_WINDOW
+    );
+
+    if (!oldest || oldest.time >= time) {
+      return { x: 0, y: 0 };
+    }
+
+    const steps = (time - oldest.time) / this.config.TIMESTEP;
+    let x = (frame.x - oldest.x) / steps;
+    let y = (frame.y - oldest.y) / steps;
+
+    const speed = Math.hypot(x, y);
+    if (speed > this.config.MAX_FLING_SPEED) {
+      x *= this.config.MAX_FLING_SPEED / speed;
+      y *= this.config.MAX_FLING_SPEED / speed;
+    }
+
+    return { x, y };
+  }
+
+  /**
+   * Sets whether the handle is held
+   * @param {boolean} isDragging - The desired dragging state
+   * @param {number} [time=this.time] - Time of the grab or release in ms
+   */
+  setDragging(isDragging, time = this.time) {
+    const handleIndex = this.config.NUM_FRAMES - 1;
+
+    if (isDragging) {
+      this.grabFrame(handleIndex, time);
+    } else {
+      this.releaseFrame(handleIndex, true, time);
+    }
+  }
+
+  /**
+   * Adds the current position of a held frame to its drag track and drops
+   * positions older than FLING_WINDOW
+   * @private
+   */
+  _trackDrag(index, time) {
+    const track = this.dragTracks.get(index);
+    const frame = this.frames[index];
+
+    track.push({ time, x: frame.x, y: frame.y });
+    while (track[0].time < time - this.config.FLING_WINDOW) {
+      track.shift();
+    }
+  }
+
+  /**
+   * Checks whether any frame is held
+   * @returns {boolean} True if at least one frame is held
+   */
+  isDragging() {
+    return this.heldFrames.size > 0;
+  }
+
+  /**
+   * Checks whether a frame is held
+   * @param {number} index - Index of the frame
+   * @returns {boolean} True if the frame is held
+   */
+  isFrameHeld(index) {
+    return this.heldFrames.has(index);
+  }
+
+  /**
+   * Gets the handle frame (the innermost, draggable frame)
+   * @returns {Object} The handle frame
+   */
+  getHandle() {
+    return this.frames[this.config.NUM_FRAMES - 1];
+  }
+
+  /**
+   * Returns the collisions recorded since the last call and clears them
+   * The browser shell reads them every animation frame. Headless callers
+   * that ignore collisions need not call this, unread records are capped
+   * @returns {Array} Array of collision records
+   */
+  takeCollisions() {
+    return this.physics.takeCollisions();
+  }
+
+  /**
+   * Checks whether all frames have come to rest
+   * @returns {boolean} True if every frame is asleep
+   */
+  isSettled() {
+    return this.physics.isSettled(this.frames);
+  }
+
+  /**
+   * Adds up the kinetic energy of all frames, moving and turning
+   * Masses are border areas in px², so the value is only meaningful
+   * relative to itself, e.g. to watch the nest come to rest
+   * @returns {number} Total kinetic energy
+   */
+  getKineticEnergy() {
+    let energy = 0;
+    for (const frame of this.frames) {
+      energy +=
+        (frame.mass * (frame.vx ** 2 + frame.vy ** 2) +
+          frame.inertia * frame.va ** 2) /
+        2;
+    }
+    return energy;
+  }
+
+  /**
+   * Updates the simulation configuration
+   * @param {Object} newConfig - New configuration values
+   */
+  updateConfig(newConfig) {
+    const config = { ...this.config, ...newConfig };
+    this._validateConfig(config);
+
+    const isNewShape = config.FRAME_SHAPE !== this.config.FRAME_SHAPE;
+    this.config = config;
+
+    // Tuning keeps the engine; switching modes needs another one
+    if (this.physics.constructor === this._getPhysicsClass()) {
+      this.physics.configure(config);
+    } else {
+      this.physics = this._createPhysics();
+    }
+
+    // Rectangles and rings are laid out differently, so start over
+    if (isNewShape) {
+      this.createFrames();
+      return;
+    }
+
+    // Without rotation the physics expects upright frames
+    if (!config.ROTATION_ENABLED) {
+      for (const frame of this.frames) {
+        frame.angle = 0;
+        frame.va = 0;
+      }
+    }
+
+    this._applyFrameSpecs();
+    this._updateMeshes();
+
+    // Let the new physics settings act on the current frame positions
+    this.physics.wakeAll(this.frames);
+  }
+
+  /**
+   * Resizes the simulation bounds and recreates the frames
+   * @param {number} width - New width
+   * @param {number} height - New height
+   */
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.createFrames();
+  }
+
+  /**
+   * Calculates how many frames fit in the simulation bounds
+   * based on the thickness and gap of each frame and the handle size
+   * The shorter side limits the nesting depth
+   * @returns {number} Number of frames including the handle
+   */
+  calculateNumFrames() {
+    return this._layoutFrames().length + 1; // include the handle frame
+  }
+
+  /**
+   * Creates the nested frame structure centered in the bounds
+   * Frames follow the aspect ratio of the bounds, the handle stays square.
+   * Rings are sized by the shorter side
+   */
+  createFrames() {
+    this.frames = [];
+    this.heldFrames.clear();
+    this.dragTracks.clear();
+    this.accumulator = 0;
+
+    const sizes = this._layoutFrames();
+    sizes.push({
+      width: this.config.HANDLE_SIZE,
+      height: this.config.HANDLE_SIZE,
+    });
+    this.config.NUM_FRAMES = sizes.length;
+
+    for (let i = 0; i < sizes.length; i++) {
+      const { width, height } = sizes[i];
+
+      this.frames.push(
+        this._createFrame(i, {
+          x: (this.width - width) / 2,
+          y: (this.height - height) / 2,
+          width,
+          height,
+        })
+      );
+    }
+    this._updateMassProperties();
+    this._updateMeshes();
+  }
+
+  /**
+   * Recreates the frames for the current thickness, gap and handle size
+   * but keeps them where they were
+   * Every frame keeps its centre, moved just far enough to sit inside its
+   * parent; the handle stays the handle even if the number of frames
+   * changed. New frames are centred on the handle. The frames then settle,
+   * so the nest springs apart where it got tight
+   */
+  relayoutFrames() {
+    const previous = this.frames;
+    const previousHandle = previous[previous.length - 1];
+    this.createFrames();
+
+    const handleIndex = this.frames.length - 1;
+    for (let i = 0; i < this.frames.length; i++) {
+      const frame = this.frames[i];
+      const old = i === handleIndex
+        ? previousHandle
+        : i < previous.length - 1 ? previous[i] : null;
+      const center = this._getCenter(old || previousHandle);
+      const parent = i > 0
+        ? this.frames[i - 1]
+        : { x: 0, y: 0, width: this.width, height: this.height, thickness: 0 };
+      const minX = parent.x + parent.thickness;
+      const minY = parent.y + parent.thickness;
+      const maxX = parent.x + parent.width - parent.thickness - frame.width;
+      const maxY = parent.y + parent.height - parent.thickness - frame.height;
+
+      frame.x = Math.max(minX, Math.min(center.x - frame.width / 2, maxX));
+      frame.y = Math.max(minY, Math.min(center.y - frame.height / 2, maxY));
+      if (old && this.config.ROTATION_ENABLED) {
+        frame.angle = old.angle;
+      }
+    }
+
+    this.physics.wakeAll(this.frames);
+  }
+
+  /**
+   * Gets the centre of a frame
+   * @private
+   */
+  _getCenter(frame) {
+    return {
+      x: frame.x + frame.width / 2,
+      y: frame.y + frame.height / 2,
+    };
+  }
+
+  /**
+   * Sizes the hollow frames from the outside in
+   * Each frame shrinks the next by its own thickness and gap on every
+   * side, until the handle would no longer fit inside
+   * @returns {Array} Width and height of each hollow frame, outermost first
+   * @private
+   */
+  _layoutFrames() {
+    const sizes = [];
+    const isRing = this.config.FRAME_SHAPE === 'ring';
+    let width = isRing ? Math.min(this.width, this.height) : this.width;
+    let height = isRing ? width : this.height;
+
+    for (let i = 0; ; i++) {
+      const { thickness, gap } = resolveFrameSpec(this.config, i);
+      const stepDown = (thickness + gap) * 2;
+
+      if (stepDown <= 0 || Math.min(width, height) - stepDown < this.config.HANDLE_SIZE) {
+        return sizes;
+      }
+
+      sizes.push({ width, height });
+      width -= stepDown;
+      height -= stepDown;
+    }
+  }
+
+  /**
+   * Creates a frame at rest with the settings of its index
+   * @param {number} index - Frame index, 0 is the outermost frame
+   * @param {Object} rect - Position and size
+   * @returns {Object} Frame object
+   * @private
+   */
+  _createFrame(index, { x, y, width, height }) {
+    const { thickness, color, radius, label } = resolveFrameSpec(this.config, index);
+
+    return {
+      x,
+      y,
+      vx: 0,
+      vy: 0,
+      angle: 0, // radians around the centre, only turns in rotation mode
+      va: 0, // angular velocity in radians per step
+      width,
+      height,
+      mass: 0, // set by _updateMassProperties
+      inertia: 0,
+      sleeping: true,
+      thickness,
+      color,
+      radius,
+      label,
+      shape: this.config.FRAME_SHAPE,
+      mesh: null, // soft border, set by _updateMeshes in soft mode
+    };
+  }
+
+  /**
+   * Copies the current frame settings onto the existing frames
+   * Positions are kept; frames that no longer fit spring into place once
+   * the physics wakes them
+   * @private
+   */
+  _applyFrameSpecs() {
+    for (let i = 0; i < this.frames.length; i++) {
+      const { thickness, color, radius, label } = resolveFrameSpec(this.config, i);
+      Object.assign(this.frames[i], { thickness, color, radius, label });
+    }
+    this._updateMassProperties();
+  }
+
+  /**
+   * Sets the mass and moment of inertia of every frame from its area
+   * Hollow frames only weigh their border; the handle is solid
+   * @private
+   */
+  _updateMassProperties() {
+    for (let i = 0; i < this.frames.length; i++) {
+      const frame = this.frames[i];
+      const { width, height } = frame;
+      const isHandle = i === this.frames.length - 1;
+      const inset = isHandle ? 0 : Math.min(frame.thickness, width / 2, height / 2);
+      const innerWidth = isHandle ? 0 : width - inset * 2;
+      const innerHeight = isHandle ? 0 : height - inset * 2;
+      const outerArea = width * height;
+      const innerArea = innerWidth * innerHeight;
+
+      // Inner rectangle subtracted from the outer one, unit density
+      frame.mass = outerArea - innerArea;
+      frame.inertia =
+        (outerArea * (width ** 2 + height ** 2) -
+          innerArea * (innerWidth ** 2 + innerHeight ** 2)) /
+        12;
+    }
+  }
+
+  /**
+   * Gives every frame a soft border mesh in soft mode and removes the
+   * meshes otherwise
+   * Existing meshes keep their motion and only take on new limits
+   * @private
+   */
+  _updateMeshes() {
+    const isSoft = this.physics instanceof SoftBodyPhysics;
+
+    for (let i = 0; i < this.frames.length; i++) {
+      const frame = this.frames[i];
+
+      if (!isSoft) {
+        frame.mesh = null;
+      } else if (frame.mesh) {
+        SoftBodyPhysics.updateMeshLimits(frame, frame.mesh);
+      } else {
+        frame.mesh = SoftBodyPhysics.createMesh(frame, i === this.frames.length - 1);
+      }
+    }
+  }
+
+  /**
+   * Creates the physics engine for the configured frame shape
+   * @private
+   */
+  _createPhysics() {
+    const Engine = this._getPhysicsClass();
+    return new Engine(this.config);
+  }
+
+  /**
+   * Picks the physics engine class for the configured shape and modes
+   * @private
+   */
+  _getPhysicsClass() {
+    const isRect = this.config.FRAME_SHAPE === 'rect';
+
+    // Rings look the same at any angle, so only rectangles turn
+    if (this.config.ROTATION_ENABLED && isRect) {
+      return RigidBodyPhysics;
+    }
+
+    // Turning frames stay rigid, so soft borders need upright rectangles
+    if (this.config.SOFT_BODY_ENABLED && isRect) {
+      return SoftBodyPhysics;
+    }
+
+    return FRAME_SHAPES[this.config.FRAME_SHAPE];
+  }
+
+  /**
+   * Checks configuration values the simulation cannot work with
+   * @throws {Error} If FRAME_SHAPE, FRAME_SPECS or RESTITUTION is invalid
+   * @private
+   */
+  _validateConfig(config) {
+    const errors = findFrameSpecErrors(config.FRAME_SPECS);
+
+    if (!(config.RESTITUTION >= 0 && config.RESTITUTION <= 1)) {
+      errors.push('RESTITUTION must be between 0 and 1');
+    }
+
+    if (!Object.hasOwn(FRAME_SHAPES, config.FRAME_SHAPE)) {
+      errors.push(
+        `FRAME_SHAPE must be one of ${Object.keys(FRAME_SHAPES).join(', ')}`
+      );
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid configuration: ${errors.join('; ')}`);
+    }
+  }
+
+  /**
+   * Replaces the generated frames with an explicit layout
+   * @param {Array} rects - Frame rectangles with x, y, width and height,
+   * outermost first and the handle last
+   */
+  loadFrames(rects) {
+    this.frames = rects.map((rect, i) => this._createFrame(i, rect));
+    this._updateMassProperties();
+
+    this.config.NUM_FRAMES = this.frames.length;
+    this.heldFrames.clear();
+    this.dragTracks.clear();
+    this.accumulator = 0;
+    this.physics = this._createPhysics();
+    this._updateMeshes();
+  }
+
+  /**
+   * Captures the motion state of every frame in a compact form
+   * @returns {Array} One [x, y, vx, vy, sleeping, angle, va] tuple per frame
+   */
+  snapshotFrames() {
+    return this.frames.map((frame) => [
+      frame.x,
+      frame.y,
+      frame.vx,
+      frame.vy,
+      frame.sleeping ? 1 : 0,
+      frame.angle,
+      frame.va,
+    ]);
+  }
+
+  /**
+   * Restores frames in place from a snapshot and resets stepping state
+   * Frame objects keep their identity so references stay valid
+   * @param {Array} snapshot - Tuples as returned by snapshotFrames; tuples
+   * without angle and va, from logs before rotation mode, restore upright
+   */
+  restoreFrames(snapshot) {
+    if (snapshot.length !== this.frames.length) {
+      throw new Error(
+        `Snapshot has ${snapshot.length} frames, simulation has ${this.frames.length}`
+      );
+    }
+
+    for (let i = 0; i < snapshot.length; i++) {
+      const [x, y, vx, vy, sleeping, angle = 0, va = 0] = snapshot[i];
+      Object.assign(this.frames[i], {
+        x,
+        y,
+        vx,
+        vy,
+        sleeping: sleeping === 1,
+        angle,
+        va,
+      });
+    }
+
+    this.heldFrames.clear();
+    this.dragTracks.clear();
+    this.time = 0;
+    this.accumulator = 0;
+    this.physics = this._createPhysics();
+
+    // Snapshots do not hold soft borders, so they restore flat
+    for (const frame of this.frames) {
+      frame.mesh = null;
+    }
+    this._updateMeshes();
+  }
+
+  /**
+   * Gets the current simulation state
+   * @returns {Object} Object containing frames and configuration
+   */
+  getState() {
+    return {
+      frames: this.frames.map((frame) => ({ ...frame })),
+      config: { ...this.config },
+      isDragging: this.isDragging(),
+      isSettled: this.isSettled(),
+    };
+  }
+}
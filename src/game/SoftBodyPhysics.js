@@ -0,0 +1,305 @@
+import { Physics } from './Physics.js';
+
+// Distance in px between neighbouring mesh points along an edge
+const MESH_SPACING = 24;
+// Edge points past the end of a pushing frame still take a share of the
+// dent, fading out over this many px
+const DENT_SPREAD = 48;
+// Points closer to their rest position than this many px count as flat
+const REST_OFFSET = 0.05;
+// Motion below this many px per step snaps a point back to rest
+const SNAP_OFFSET = 0.001;
+
+/**
+ * Physics engine for soft frames
+ * Frames move like in rectangle mode, but the border of every frame is a
+ * closed ring of point masses around its outer rectangle. Each point only
+ * moves along its outward normal: SPRING_STRENGTH pulls it back to its rest
+ * position and towards its neighbours, and DAMPING bleeds off its velocity.
+ * Pushes and overlaps kick the points of the touching edges, so a hard push
+ * dents the parent wall outward and the child side inward, and both wobble
+ * back once the push is gone. The mesh is only skin deep: containment still
+ * uses the rectangles
+ */
+export class SoftBodyPhysics extends Physics {
+  /**
+   * Takes over the physics settings of a configuration
+   * @param {Object} config - Game configuration
+   */
+  configure(config) {
+    super.configure(config);
+    this.SOFTNESS = config.SOFTNESS;
+  }
+
+  /**
+   * Creates the flat mesh of a frame
+   * Points run clockwise from the top-left corner. Corner points bulge
+   * diagonally and belong to no side, so they only follow their neighbours
+   * @param {Object} frame - Frame to create the mesh for
+   * @param {boolean} isSolid - True for the handle, which has no hole
+   * @returns {Object} Mesh with the points, the largest offset and a
+   * revision that changes whenever a point moves
+   */
+  static createMesh(frame, isSolid) {
+    const { width, height } = frame;
+    const columns = Math.max(1, Math.round(width / MESH_SPACING));
+    const rows = Math.max(1, Math.round(height / MESH_SPACING));
+    const points = [];
+
+    const addEdge = (count, side, nx, ny, corner, getPosition) => {
+      for (let i = 0; i < count; i++) {
+        const { x, y } = getPosition(i / count);
+        const normal = i === 0 ? corner : { nx, ny };
+        points.push({
+          x,
+          y,
+          nx: normal.nx,
+          ny: normal.ny,
+          side: i === 0 ? null : side,
+          offset: 0, // px along the normal, positive bulges outward
+          velocity: 0, // px per step along the normal
+        });
+      }
+    };
+
+    addEdge(columns, 'top', 0, -1, { nx: -Math.SQRT1_2, ny: -Math.SQRT1_2 }, (t) => ({
+      x: width * t,
+      y: 0,
+    }));
+    addEdge(rows, 'right', 1, 0, { nx: Math.SQRT1_2, ny: -Math.SQRT1_2 }, (t) => ({
+      x: width,
+      y: height * t,
+    }));
+    addEdge(columns, 'bottom', 0, 1, { nx: Math.SQRT1_2, ny: Math.SQRT1_2 }, (t) => ({
+      x: width * (1 - t),
+      y: height,
+    }));
+    addEdge(rows, 'left', -1, 0, { nx: -Math.SQRT1_2, ny: Math.SQRT1_2 }, (t) => ({
+      x: 0,
+      y: height * (1 - t),
+    }));
+
+    const mesh = { points, isSolid, maxOffset: 0, revision: 0 };
+    SoftBodyPhysics.updateMeshLimits(frame, mesh);
+    return mesh;
+  }
+
+  /**
+   * Sets how far the points of a mesh may leave their rest position
+   * Hollow frames dent by at most their border thickness, the handle by a
+   * quarter of its size
+   * @param {Object} frame - Frame the mesh belongs to
+   * @param {Object} mesh - Mesh of the frame
+   */
+  static updateMeshLimits(frame, mesh) {
+    mesh.maxOffset = mesh.isSolid
+      ? Math.min(frame.width, frame.height) / 4
+      : Math.max(4, frame.thickness);
+  }
+
+  /**
+   * Lets the meshes of all frames wobble while frames are held
+   * @param {Array} frames - Array of frame objects
+   */
+  updateHeldPhysics(frames) {
+    for (const frame of frames) {
+      this._stepMesh(frame);
+    }
+  }
+
+  /**
+   * Dents the parent wall and the child side a parent is pushed by
+   * @private
+   */
+  _pushParentOut(parent, child, parentIndex) {
+    const pushes = super._pushParentOut(parent, child, parentIndex);
+    this._dent(parent, child, pushes);
+    return pushes;
+  }
+
+  /**
+   * Dents the parent wall and the child side a child is pushed by
+   * @private
+   */
+  _pushChildIn(parent, child, parentIndex) {
+    const pushes = super._pushChildIn(parent, child, parentIndex);
+    this._dent(parent, child, pushes);
+    return pushes;
+  }
+
+  /**
+   * Applies the rectangle springs and dents the walls that overlap
+   * @private
+   */
+  _applySpringForces(frame, parent, boundaries, index) {
+    const overlaps = {
+      left: boundaries.minX - frame.x,
+      right: frame.x - boundaries.maxX,
+      top: boundaries.minY - frame.y,
+      bottom: frame.y - boundaries.maxY,
+    };
+
+    const maxOverlap = super._applySpringForces(frame, parent, boundaries, index);
+    this._dent(parent, frame, overlaps);
+    return maxOverlap;
+  }
+
+  /**
+   * Moves a frame by one step and lets its mesh wobble
+   * @private
+   */
+  _integrate(frame) {
+    super._integrate(frame);
+    this._stepMesh(frame);
+  }
+
+  /**
+   * Stops a frame and its mesh
+   * Points that are as good as flat snap back to rest
+   * @private
+   */
+  _stopFrame(frame) {
+    super._stopFrame(frame);
+
+    if (frame.mesh) {
+      for (const point of frame.mesh.points) {
+        point.velocity = 0;
+        if (Math.abs(point.offset) < REST_OFFSET) {
+          point.offset = 0;
+        }
+      }
+      frame.mesh.revision++;
+    }
+  }
+
+  /**
+   * A frame only sleeps once its mesh has flattened out as well
+   * @private
+   */
+  _isBelowSleepVelocity(frame) {
+    if (!super._isBelowSleepVelocity(frame)) {
+      return false;
+    }
+
+    if (frame.mesh) {
+      for (const point of frame.mesh.points) {
+        if (
+          Math.abs(point.velocity) >= this.SLEEP_VELOCITY ||
+          Math.abs(point.offset) >= REST_OFFSET
+        ) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Advances the mesh of a frame by one step
+   * All forces are computed before any point moves, so the result does
+   * not depend on the order of the points
+   * @param {Object} frame - Frame whose mesh to advance
+   * @private
+   */
+  _stepMesh(frame) {
+    const mesh = frame.mesh;
+    if (!mesh) {
+      return;
+    }
+
+    const { points, maxOffset } = mesh;
+    const count = points.length;
+
+    // Spring to the rest position plus one spring to each neighbour
+    for (let i = 0; i < count; i++) {
+      const point = points[i];
+      const previous = points[(i + count - 1) % count];
+      const next = points[(i + 1) % count];
+      const force =
+        this.SPRING_STRENGTH * (previous.offset + next.offset - 3 * point.offset);
+      point.velocity = (point.velocity + force) * this.DAMPING;
+    }
+
+    let isMoving = false;
+    for (const point of points) {
+      if (point.offset === 0 && point.velocity === 0) {
+        continue;
+      }
+
+      const offset = point.offset + point.velocity;
+      point.offset = Math.max(-maxOffset, Math.min(offset, maxOffset));
+
+      // A point that hits its limit stops there instead of storing the kick
+      if (point.offset !== offset) {
+        point.velocity = 0;
+      }
+
+      if (Math.abs(point.offset) < SNAP_OFFSET && Math.abs(point.velocity) < SNAP_OFFSET) {
+        point.offset = 0;
+        point.velocity = 0;
+      }
+      isMoving = true;
+    }
+
+    if (isMoving) {
+      mesh.revision++;
+    }
+  }
+
+  /**
+   * Kicks the touching edges of a parent and its child
+   * The parent wall bulges outward and the child side gives way inward,
+   * both over the span of the child
+   * @param {Object} parent - Parent frame or canvas bounds
+   * @param {Object} child - Frame inside the parent
+   * @param {Object} depths - Push or overlap depth per side
+   * @private
+   */
+  _dent(parent, child, depths) {
+    for (const side of ['left', 'right', 'top', 'bottom']) {
+      const depth = depths[side];
+      if (!(depth > 0)) {
+        continue;
+      }
+
+      const kick = depth * this.SOFTNESS;
+      const isHorizontal = side === 'top' || side === 'bottom';
+      const start = isHorizontal ? child.x : child.y;
+      const end = start + (isHorizontal ? child.width : child.height);
+
+      this._kickEdge(parent, side, start, end, kick);
+      this._kickEdge(child, side, start, end, -kick);
+    }
+  }
+
+  /**
+   * Adds velocity to the points of one side of a frame
+   * Points between start and end take the full kick, points outside a
+   * share that fades over DENT_SPREAD
+   * @param {Object} frame - Frame to kick, ignored without a mesh
+   * @param {string} side - Side of the frame
+   * @param {number} start - Start of the pushed span in world coordinates
+   * @param {number} end - End of the pushed span in world coordinates
+   * @param {number} kick - Velocity in px per step, positive bulges outward
+   * @private
+   */
+  _kickEdge(frame, side, start, end, kick) {
+    if (!frame.mesh) {
+      return;
+    }
+
+    const isHorizontal = side === 'top' || side === 'bottom';
+    const origin = isHorizontal ? frame.x : frame.y;
+
+    for (const point of frame.mesh.points) {
+      if (point.side !== side) {
+        continue;
+      }
+
+      const along = origin + (isHorizontal ? point.x : point.y);
+      const outside = Math.max(start - along, along - end, 0);
+      point.velocity += kick * Math.max(0, 1 - outside / DENT_SPREAD);
+    }
+    frame.sleeping = false;
+  }
+}
@@ -0,0 +1,756 @@
+import { Renderer } from './Renderer.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Approximate glyph width of the 12px monospace counter font
+const STATS_CHAR_WIDTH = 7.2;
+const STATS_PADDING = 6;
+const STATS_HEIGHT = 22;
+
+// Gives every instance its own filter ids
+let instanceCount = 0;
+
+/**
+ * SVG rendering backend for the FramePusher game
+ * Draws the same scene as the canvas backend into DOM elements that can be
+ * inspected and styled with CSS. Elements are created once and updated in
+ * place; an attribute is only written when its value changes
+ *
+ * The svg element takes the place of the canvas in the page and hands it
+ * back on destroy. Elements carry fp-* classes, e.g. fp-frame and fp-handle,
+ * and CSS rules on them override the theme colours
+ */
+export class SvgRenderer extends Renderer {
+  constructor(canvas, config) {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    super(svg, config);
+
+    this.canvas = canvas;
+    this.svg = svg;
+    this.idPrefix = `fp${++instanceCount}`;
+    this.isSceneChanged = false;
+    this.isSoftScene = false; // frame elements are paths for soft borders
+    this.maxPixelRatio = config.MAX_PIXEL_RATIO; // caps the background image
+
+    // Last written attribute values per element
+    this.attributeCache = new WeakMap();
+
+    this._buildDocument();
+
+    // The svg stands in for the canvas, keeping its id, classes and size
+    svg.id = canvas.id;
+    svg.setAttribute('class', canvas.getAttribute('class') || '');
+    canvas.replaceWith(svg);
+    this.resize(canvas.width, canvas.height);
+  }
+
+  /**
+   * Applies configuration changes without recreating the renderer
+   * @param {Object} config - Current game configuration
+   */
+  updateConfig(config) {
+    super.updateConfig(config);
+
+    if (config.MAX_PIXEL_RATIO !== this.maxPixelRatio) {
+      this.maxPixelRatio = config.MAX_PIXEL_RATIO;
+      this._renderBackgroundImage();
+    }
+  }
+
+  /**
+   * Puts the canvas back in place of the svg
+   * Call this when destroying the game instance
+   */
+  destroy() {
+    super.destroy();
+
+    if (this.svg.parentNode) {
+      this.svg.replaceWith(this.canvas);
+    }
+  }
+
+  /**
+   * Resizes the svg and relays out the background
+   * @param {number} width - New width in CSS pixels
+   * @param {number} height - New height in CSS pixels
+   */
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+
+    this._set(this.svg, {
+      width,
+      height,
+      viewBox: `0 0 ${width} ${height}`,
+    });
+
+    // Shadow filters cover the whole drawing
+    const region = { x: 0, y: 0, width, height };
+    this._set(this.frameShadow, region);
+    this._set(this.handleShadow, region);
+    this._set(this.backgroundFill, region);
+    this._set(this.backgroundImage, region);
+
+    this.generateBackground();
+  }
+
+  /**
+   * Updates the scene elements to the current frames
+   * @param {Array} frames - Array of frame objects to render
+   * @param {boolean} isDragging - Current dragging state
+   * @param {number} [selectedIndex=-1] - Frame to outline as keyboard selection
+   * @param {boolean} [isHovered=false] - Whether the pointer is over the handle
+   * @returns {boolean} True if any element changed
+   */
+  drawScene(frames, isDragging, selectedIndex = -1, isHovered = false) {
+    this.isSceneChanged = false;
+    this._beginOverlays();
+
+    this._syncFrameElements(frames.length, frames.some((frame) => frame.mesh));
+
+    for (let i = 0; i < frames.length; i++) {
+      const isHandle = i === frames.length - 1;
+
+      if (isHandle) {
+        this._updateHandle(this.frameElements[i], frames[i], isDragging, isHovered);
+      } else {
+        this._updateFrame(this.frameElements[i], frames[i]);
+      }
+      this._updateLabel(this.labelElements[i], frames[i], isHandle);
+    }
+
+    this._updateSelection(
+      selectedIndex >= 0 && selectedIndex < frames.length
+        ? frames[selectedIndex]
+        : null
+    );
+    this._updateStats();
+
+    return this.isSceneChanged;
+  }
+
+  /**
+   * Draws a target zone a frame has to be pushed into
+   * @param {Object} target - Rectangle with x, y, width and height
+   * @param {boolean} isReached - Whether the frame already sits inside
+   */
+  drawTarget(target, isReached) {
+    this._set(this._takeOverlay('rect', 'fp-target'), {
+      x: target.x,
+      y: target.y,
+      width: target.width,
+      height: target.height,
+      fill: isReached ? 'rgba(102, 187, 106, 0.25)' : 'rgba(255, 235, 59, 0.15)',
+      stroke: isReached ? '#66bb6a' : '#ffeb3b',
+      'stroke-width': 2,
+      'stroke-dasharray': '10 6',
+    });
+  }
+
+  /**
+   * Draws a message banner across the middle
+   * @param {string} text - Message to show
+   */
+  drawBanner(text) {
+    const bannerHeight = 60;
+
+    this._set(this._takeOverlay('rect', 'fp-banner'), {
+      x: 0,
+      y: (this.height - bannerHeight) / 2,
+      width: this.width,
+      height: bannerHeight,
+      fill: 'rgba(0, 0, 0, 0.6)',
+    });
+    this._drawText(text, this.width / 2, this.height / 2, {
+      'font-size': 24,
+      'font-weight': 'bold',
+      'text-anchor': 'middle',
+      'dominant-baseline': 'middle',
+    });
+  }
+
+  /**
+   * Draws the challenge HUD in the top left corner
+   * @param {Object} hud - Time left in ms, score, streak and multiplier
+   */
+  drawHud(hud) {
+    const { lines, isUrgent } = this._getHudLines(hud);
+
+    this._set(this._takeOverlay('rect', 'fp-hud'), {
+      x: 10,
+      y: 10,
+      width: 170,
+      height: lines.length * 24 + 12,
+      fill: 'rgba(0, 0, 0, 0.5)',
+    });
+
+    for (let i = 0; i < lines.length; i++) {
+      this._drawText(lines[i], 20, 18 + i * 24, {
+        'font-size': 18,
+        'font-weight': 'bold',
+        'dominant-baseline': 'hanging',
+        fill: i === 0 && isUrgent ? '#ff5252' : '#ffffff',
+      });
+    }
+  }
+
+  /**
+   * Draws the end-of-round results with the leaderboard
+   * @param {Object} results - Score, targetsReached, bestStreak, rank and
+   * leaderboard entries
+   */
+  drawResults({ score, targetsReached, bestStreak, rank, entries }) {
+    const centerX = this.width / 2;
+    const centered = { 'text-anchor': 'middle', 'dominant-baseline': 'hanging' };
+    let y = Math.max(20, this.height / 2 - 60 - entries.length * 12);
+
+    this._set(this._takeOverlay('rect', 'fp-results'), {
+      x: 0,
+      y: 0,
+      width: this.width,
+      height: this.height,
+      fill: 'rgba(0, 0, 0, 0.75)',
+    });
+
+    this._drawText(`${score} points`, centerX, y, {
+      ...centered,
+      'font-size': 32,
+      'font-weight': 'bold',
+    });
+    y += 44;
+
+    this._drawText(
+      `${targetsReached} targets, best streak ${bestStreak}`,
+      centerX,
+      y,
+      { ...centered, 'font-size': 18 }
+    );
+    y += 40;
+
+    for (let i = 0; i < entries.length; i++) {
+      this._drawText(this._formatEntry(entries[i], i), centerX, y, {
+        ...centered,
+        'font-size': 16,
+        fill: i === rank ? '#ffeb3b' : '#ffffff',
+      });
+      y += 24;
+    }
+
+    this._drawText('Press Enter or click to play again', centerX, y + 16, {
+      ...centered,
+      'font-size': 16,
+      'font-style': 'italic',
+    });
+  }
+
+  /**
+   * Draws the live impact particles
+   * @param {ParticleSystem} particles - Particle system to draw
+   */
+  drawParticles(particles) {
+    for (let i = 0; i < particles.count; i++) {
+      const particle = particles.particles[i];
+      const color = particle.color || this.theme.frame.stroke;
+      const opacity = 1 - particle.age / particle.life;
+
+      if (particle.style.shape === 'spark') {
+        const { trail } = particle.style;
+        this._set(this._takeOverlay('line', 'fp-particle'), {
+          x1: particle.x,
+          y1: particle.y,
+          x2: particle.x - particle.vx * trail,
+          y2: particle.y - particle.vy * trail,
+          stroke: color,
+          'stroke-width': particle.size,
+          'stroke-linecap': 'round',
+          opacity,
+        });
+      } else {
+        this._set(this._takeOverlay('circle', 'fp-particle'), {
+          cx: particle.x,
+          cy: particle.y,
+          r: particle.size,
+          fill: color,
+          opacity,
+        });
+      }
+    }
+  }
+
+  /**
+   * Draws a progress bar at the top, e.g. while recording
+   * @param {string} text - Label above the bar
+   * @param {number} progress - Progress between 0 and 1
+   */
+  drawProgress(text, progress) {
+    const width = Math.min(240, this.width - 20);
+    const x = (this.width - width) / 2;
+    const barWidth = width - 16;
+
+    this._set(this._takeOverlay('rect', 'fp-progress'), {
+      x,
+      y: 10,
+      width,
+      height: 40,
+      fill: 'rgba(0, 0, 0, 0.6)',
+    });
+    this._set(this._takeOverlay('rect', 'fp-progress-track'), {
+      x: x + 8,
+      y: 38,
+      width: barWidth,
+      height: 4,
+      fill: 'rgba(255, 255, 255, 0.25)',
+    });
+    this._set(this._takeOverlay('rect', 'fp-progress-bar'), {
+      x: x + 8,
+      y: 38,
+      width: barWidth * Math.min(1, progress),
+      height: 4,
+      fill: '#ff5252',
+    });
+    this._drawText(text, this.width / 2, 24, {
+      'font-size': 14,
+      'font-weight': 'bold',
+      'text-anchor': 'middle',
+      'dominant-baseline': 'middle',
+    });
+  }
+
+  /**
+   * Updates the shadow filters and background for the new theme
+   * @private
+   */
+  _handleThemeChange() {
+    this._updateShadowFilter(this.frameShadow, this.theme.frameShadow);
+    this._updateShadowFilter(this.handleShadow, this.theme.handleShadow);
+    this._renderBackgroundImage();
+  }
+
+  /**
+   * Re-renders the background image after the pattern changed
+   * @private
+   */
+  _handleBackgroundChange() {
+    this._renderBackgroundImage();
+  }
+
+  /**
+   * Creates the static element structure
+   * @private
+   */
+  _buildDocument() {
+    const defs = this._create('defs', this.svg);
+    this.frameShadow = this._createShadowFilter(defs, 'frame-shadow');
+    this.handleShadow = this._createShadowFilter(defs, 'handle-shadow');
+    this._updateShadowFilter(this.frameShadow, this.theme.frameShadow);
+    this._updateShadowFilter(this.handleShadow, this.theme.handleShadow);
+
+    this.backgroundFill = this._create('rect', this.svg, 'fp-background-fill');
+    this.backgroundImage = this._create('image', this.svg, 'fp-background');
+    this.frameGroup = this._create('g', this.svg, 'fp-frames');
+    this.labelGroup = this._create('g', this.svg, 'fp-labels');
+    this.selection = this._create('rect', this.svg, 'fp-selection');
+    this.overlayGroup = this._create('g', this.svg, 'fp-overlay');
+    this.statsGroup = this._create('g', this.svg, 'fp-stats');
+    this.statsBox = this._create('rect', this.statsGroup);
+    this.statsLabel = this._create('text', this.statsGroup);
+
+    this._set(this.backgroundImage, { preserveAspectRatio: 'none' });
+    this._set(this.selection, {
+      fill: 'none',
+      'stroke-width': 2,
+      'stroke-dasharray': '6 4',
+    });
+    this._set(this.statsBox, { fill: 'rgba(0, 0, 0, 0.6)' });
+    this._set(this.statsLabel, {
+      fill: '#ffffff',
+      'font-family': 'monospace',
+      'font-size': 12,
+      'dominant-baseline': 'middle',
+    });
+
+    this._set(this.labelGroup, {
+      'font-family': 'Arial, sans-serif',
+      'font-weight': 'bold',
+      'text-anchor': 'middle',
+      'dominant-baseline': 'middle',
+    });
+
+    this.frameElements = [];
+    this.labelElements = [];
+    this.overlayElements = [];
+    this.overlayCount = 0;
+  }
+
+  /**
+   * Creates a drop shadow filter
+   * @private
+   */
+  _createShadowFilter(defs, name) {
+    const filter = this._create('filter', defs);
+    filter.id = `${this.idPrefix}-${name}`;
+    this._set(filter, { filterUnits: 'userSpaceOnUse' });
+    this._create('feDropShadow', filter);
+    return filter;
+  }
+
+  /**
+   * Copies a theme shadow into a filter
+   * Canvas shadowBlur is about twice the Gaussian standard deviation
+   * @private
+   */
+  _updateShadowFilter(filter, shadow) {
+    this._set(filter.firstChild, {
+      dx: 0,
+      dy: shadow.offsetY,
+      stdDeviation: shadow.blur / 2,
+      'flood-color': shadow.color,
+    });
+  }
+
+  /**
+   * Renders the background pattern into an image element
+   * The generators draw with the canvas API, so the pattern is painted
+   * offscreen once and shown as a single image
+   * @private
+   */
+  _renderBackgroundImage() {
+    this._set(this.backgroundFill, {
+      fill: this.theme.background.fill || 'none',
+    });
+
+    if (this.width <= 0 || this.height <= 0) {
+      return;
+    }
+
+    const ratio = Math.min(window.devicePixelRatio || 1, this.maxPixelRatio);
+    const layer = document.createElement('canvas');
+    layer.width = Math.round(this.width * ratio);
+    layer.height = Math.round(this.height * ratio);
+
+    const layerCtx = layer.getContext('2d');
+    layerCtx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    this.background.draw(layerCtx, this.theme);
+
+    try {
+      this._set(this.backgroundImage, { href: layer.toDataURL() });
+    } catch (error) {
+      // Cross-origin images taint the layer
+      console.warn('Could not render the background to SVG:', error);
+    }
+  }
+
+  /**
+   * Recreates the frame elements when the number of frames changed or
+   * soft borders were turned on or off; soft borders are paths, the rest
+   * rectangles
+   * This only happens on structural changes; moving frames reuses them
+   * @private
+   */
+  _syncFrameElements(count, isSoft) {
+    if (this.frameElements.length === count && this.isSoftScene === isSoft) {
+      return;
+    }
+
+    for (const element of [...this.frameElements, ...this.labelElements]) {
+      element.remove();
+    }
+
+    this.frameElements = [];
+    this.labelElements = [];
+    this.isSoftScene = isSoft;
+    for (let i = 0; i < count; i++) {
+      const className = i === count - 1 ? 'fp-handle' : 'fp-frame';
+      const tag = isSoft ? 'path' : 'rect';
+      this.frameElements.push(this._create(tag, this.frameGroup, className));
+      this.labelElements.push(this._create('text', this.labelGroup, 'fp-label'));
+    }
+    this.isSceneChanged = true;
+  }
+
+  /**
+   * Updates a frame border element
+   * The stroke is centred on the rectangle, so it is inset by half the
+   * frame's thickness like the canvas border
+   * @private
+   */
+  _updateFrame(element, frame) {
+    const half = frame.thickness / 2;
+    const radius = Math.max(0, this._getCornerRadius(frame) - half);
+    const shape = frame.mesh
+      ? { d: this._getMeshPathData(frame, half) }
+      : {
+          x: frame.x + half,
+          y: frame.y + half,
+          width: Math.max(0, frame.width - frame.thickness),
+          height: Math.max(0, frame.height - frame.thickness),
+          rx: radius,
+          ry: radius,
+        };
+
+    this._set(element, {
+      ...shape,
+      fill: this.theme.frame.fill || 'none',
+      stroke: frame.color || this.theme.frame.stroke,
+      'stroke-width': frame.thickness,
+      transform: this._getTransform(frame),
+      filter: `url(#${this.frameShadow.id})`,
+    });
+  }
+
+  /**
+   * Updates the label of a frame, centred on its top border or, for the
+   * handle, in its middle
+   * @private
+   */
+  _updateLabel(element, frame, isHandle) {
+    if (!frame.label) {
+      this._set(element, { display: 'none' });
+      return;
+    }
+
+    const size = isHandle ? frame.height / 2 : frame.thickness;
+    this._set(element, {
+      display: 'inline',
+      x: frame.x + frame.width / 2,
+      y: isHandle ? frame.y + frame.height / 2 : frame.y + frame.thickness / 2,
+      fill: this.theme.background.fill || '#000000',
+      'font-size': Math.max(8, Math.min(16, size * 0.7)),
+      transform: this._getTransform(frame),
+    });
+
+    if (element.textContent !== frame.label) {
+      element.textContent = frame.label;
+    }
+  }
+
+  /**
+   * Updates the handle element
+   * @private
+   */
+  _updateHandle(element, frame, isDragging, isHovered) {
+    const { handle } = this.theme;
+    const radius = this._getCornerRadius(frame);
+    let fill = handle.idle;
+    let opacity = 1;
+
+    if (frame.color) {
+      fill = frame.color;
+      opacity = this._getHandleOpacity(isDragging, isHovered);
+    } else if (isDragging) {
+      fill = handle.drag;
+    } else if (isHovered) {
+      fill = handle.hover;
+    }
+
+    const shape = frame.mesh
+      ? { d: this._getMeshPathData(frame, 0) }
+      : {
+          x: frame.x,
+          y: frame.y,
+          width: frame.width,
+          height: frame.height,
+          rx: radius,
+          ry: radius,
+        };
+
+    this._set(element, {
+      ...shape,
+      fill,
+      'fill-opacity': opacity,
+      transform: this._getTransform(frame),
+      filter: `url(#${this.handleShadow.id})`,
+      'data-state': isDragging ? 'drag' : isHovered ? 'hover' : 'idle',
+    });
+  }
+
+  /**
+   * Shows the keyboard selection outline around a frame, or hides it
+   * @private
+   */
+  _updateSelection(frame) {
+    if (!frame) {
+      this._set(this.selection, { display: 'none' });
+      return;
+    }
+
+    const margin = 3;
+    this._set(this.selection, {
+      display: 'inline',
+      x: frame.x - margin,
+      y: frame.y - margin,
+      width: frame.width + margin * 2,
+      height: frame.height + margin * 2,
+      rx: this._getCornerRadius(frame) + margin,
+      ry: this._getCornerRadius(frame) + margin,
+      stroke: this.theme.selection,
+      transform: this._getTransform(frame),
+    });
+  }
+
+  /**
+   * Builds the path data of a soft border in scene coordinates
+   * @param {Object} frame - Frame with a mesh
+   * @param {number} inset - Distance to move the path inside the frame
+   * @private
+   */
+  _getMeshPathData(frame, inset) {
+    const { start, segments } = this._getMeshCurve(frame, inset);
+    const round = (value) => Math.round(value * 100) / 100;
+    const toScene = (x, y) => `${round(frame.x + x)} ${round(frame.y + y)}`;
+    const commands = [`M ${toScene(start.x, start.y)}`];
+
+    for (const { cx, cy, x, y } of segments) {
+      commands.push(`Q ${toScene(cx, cy)} ${toScene(x, y)}`);
+    }
+    commands.push('Z');
+
+    return commands.join(' ');
+  }
+
+  /**
+   * Builds the transform that turns a frame element around the frame centre
+   * @private
+   */
+  _getTransform(frame) {
+    if (!frame.angle) {
+      return '';
+    }
+
+    const degrees = (frame.angle * 180) / Math.PI;
+    const centerX = frame.x + frame.width / 2;
+    const centerY = frame.y + frame.height / 2;
+    return `rotate(${degrees} ${centerX} ${centerY})`;
+  }
+
+  /**
+   * Shows the frame-time counter, or hides it
+   * @private
+   */
+  _updateStats() {
+    if (!this.statsText) {
+      this._set(this.statsGroup, { display: 'none' });
+      return;
+    }
+
+    const y = this.height - STATS_HEIGHT;
+    this._set(this.statsGroup, { display: 'inline' });
+    this._set(this.statsBox, {
+      x: 0,
+      y,
+      width: this.statsText.length * STATS_CHAR_WIDTH + STATS_PADDING * 2,
+      height: STATS_HEIGHT,
+    });
+    this._set(this.statsLabel, { x: STATS_PADDING, y: y + STATS_HEIGHT / 2 });
+
+    if (this.statsLabel.textContent !== this.statsText) {
+      this.statsLabel.textContent = this.statsText;
+    }
+  }
+
+  /**
+   * Starts a new round of overlay drawing
+   * Overlay elements are reused in drawing order. Whatever the mode did not
+   * draw again this frame is hidden once the current task is done, which
+   * is after the mode has drawn and before the browser paints
+   * @private
+   */
+  _beginOverlays() {
+    this.overlayCount = 0;
+
+    queueMicrotask(() => {
+      for (let i = this.overlayCount; i < this.overlayElements.length; i++) {
+        this._set(this.overlayElements[i], { display: 'none' });
+      }
+    });
+  }
+
+  /**
+   * Gets the next overlay element, reusing the one drawn in this slot
+   * last frame when it has the same kind
+   * @private
+   */
+  _takeOverlay(tag, className) {
+    const index = this.overlayCount++;
+    let element = this.overlayElements[index];
+
+    if (!element || element.tagName !== tag || element.getAttribute('class') !== className) {
+      const replacement = document.createElementNS(SVG_NS, tag);
+      replacement.setAttribute('class', className);
+
+      if (element) {
+        element.replaceWith(replacement);
+      } else {
+        this.overlayGroup.appendChild(replacement);
+      }
+
+      element = replacement;
+      this.overlayElements[index] = element;
+    }
+
+    this._set(element, { display: 'inline' });
+    return element;
+  }
+
+  /**
+   * Draws an overlay text
+   * @private
+   */
+  _drawText(text, x, y, attributes) {
+    const element = this._takeOverlay('text', 'fp-text');
+
+    this._set(element, {
+      x,
+      y,
+      fill: '#ffffff',
+      'font-family': 'Arial, sans-serif',
+      'font-size': 16,
+      'font-weight': 'normal',
+      'font-style': 'normal',
+      'text-anchor': 'start',
+      'dominant-baseline': 'auto',
+      ...attributes,
+    });
+
+    if (element.textContent !== text) {
+      element.textContent = text;
+    }
+  }
+
+  /**
+   * Creates an svg element
+   * @private
+   */
+  _create(tag, parent, className) {
+    const element = document.createElementNS(SVG_NS, tag);
+
+    if (className) {
+      element.setAttribute('class', className);
+    }
+
+    parent.appendChild(element);
+    return element;
+  }
+
+  /**
+   * Writes the attributes whose values changed
+   * @private
+   */
+  _set(element, attributes) {
+    let cache = this.attributeCache.get(element);
+    if (!cache) {
+      cache = {};
+      this.attributeCache.set(element, cache);
+    }
+
+    for (const [name, value] of Object.entries(attributes)) {
+      const text = String(value);
+
+      if (cache[name] !== text) {
+        cache[name] = text;
+        element.setAttribute(name, text);
+        this.isSceneChanged = true;
+      }
+    }
+  }
+}
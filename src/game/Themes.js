@@ -0,0 +1,133 @@
+/**
+ * Theme that follows the system colour scheme: dark when the user
+ * prefers a dark scheme, classic otherwise
+ */
+export const AUTO_THEME = 'auto';
+
+/**
+ * Built-in renderer themes
+ *
+ * Theme format:
+ * {
+ *   name,                                   // display name
+ *   frame: { stroke, fill },                // fill may be null for hollow frames
+ *   handle: { idle, drag, hover },
+ *   frameShadow: { color, blur, offsetY },
+ *   handleShadow: { color, blur, offsetY },
+ *   background: { fill, hueMin, hueMax, saturation, lightness },
+ *   selection,                              // keyboard selection outline
+ * }
+ *
+ * Background dots take a random hue between hueMin and hueMax
+ */
+export const THEMES = {
+  classic: {
+    name: 'Classic',
+    frame: { stroke: '#ffffff', fill: null },
+    handle: { idle: '#43a047', drag: '#66bb6a', hover: '#4caf50' },
+    frameShadow: { color: 'rgba(0,0,0,0.2)', blur: 15, offsetY: 5 },
+    handleShadow: { color: 'rgba(0,0,0,0.3)', blur: 15, offsetY: 5 },
+    background: {
+      fill: '#333333',
+      hueMin: 0,
+      hueMax: 360,
+      saturation: 100,
+      lightness: 70,
+    },
+    selection: '#ffeb3b',
+  },
+  dark: {
+    name: 'Dark',
+    frame: { stroke: '#b0bec5', fill: 'rgba(255,255,255,0.03)' },
+    handle: { idle: '#26a69a', drag: '#4db6ac', hover: '#2bbbad' },
+    frameShadow: { color: 'rgba(0,0,0,0.6)', blur: 18, offsetY: 6 },
+    handleShadow: { color: 'rgba(0,0,0,0.7)', blur: 18, offsetY: 6 },
+    background: {
+      fill: '#121212',
+      hueMin: 0,
+      hueMax: 360,
+      saturation: 45,
+      lightness: 30,
+    },
+    selection: '#ffd54f',
+  },
+  light: {
+    name: 'Light',
+    frame: { stroke: '#37474f', fill: null },
+    handle: { idle: '#1e88e5', drag: '#42a5f5', hover: '#2196f3' },
+    frameShadow: { color: 'rgba(0,0,0,0.15)', blur: 12, offsetY: 4 },
+    handleShadow: { color: 'rgba(0,0,0,0.2)', blur: 12, offsetY: 4 },
+    background: {
+      fill: '#f5f5f5',
+      hueMin: 0,
+      hueMax: 360,
+      saturation: 70,
+      lightness: 85,
+    },
+    selection: '#f57c00',
+  },
+  neon: {
+    name: 'Neon',
+    frame: { stroke: '#00e5ff', fill: null },
+    handle: { idle: '#ff4081', drag: '#ff80ab', hover: '#ff5c8d' },
+    frameShadow: { color: 'rgba(0,229,255,0.6)', blur: 20, offsetY: 0 },
+    handleShadow: { color: 'rgba(255,64,129,0.7)', blur: 24, offsetY: 0 },
+    background: {
+      fill: '#0a0a1a',
+      hueMin: 260,
+      hueMax: 340,
+      saturation: 100,
+      lightness: 55,
+    },
+    selection: '#eeff41',
+  },
+};
+
+/**
+ * Resolves a theme setting to a complete theme object
+ * @param {string|Object} theme - Built-in theme name, 'auto', or a custom
+ * theme object; missing parts of a custom theme are taken from classic
+ * @param {boolean} [prefersDark=false] - Whether the system prefers a dark
+ * colour scheme, used by 'auto'
+ * @returns {Object} Complete theme
+ * @throws {Error} If the theme name is unknown
+ */
+export function resolveTheme(theme, prefersDark = false) {
+  if (theme === AUTO_THEME) {
+    return prefersDark ? THEMES.dark : THEMES.classic;
+  }
+
+  if (typeof theme === 'string') {
+    if (!(theme in THEMES)) {
+      throw new Error(
+        `Unknown theme "${theme}", use ${AUTO_THEME} or one of ${Object.keys(THEMES).join(', ')}`
+      );
+    }
+    return THEMES[theme];
+  }
+
+  if (!theme || typeof theme !== 'object') {
+    throw new Error('Theme must be a theme name or a theme object');
+  }
+
+  const resolved = { ...THEMES.classic, ...theme };
+  for (const key of ['frame', 'handle', 'frameShadow', 'handleShadow', 'background']) {
+    resolved[key] = { ...THEMES.classic[key], ...theme[key] };
+  }
+  return resolved;
+}
+
+/**
+ * Picks a colour from a theme's background palette
+ * @param {Object} theme - Resolved theme
+ * @param {number} shade - Position in the palette between 0 and 1
+ * @param {number} [lightnessShift=0] - Added to the palette lightness
+ * @returns {string} CSS hsl colour
+ */
+export function paletteColor(theme, shade, lightnessShift = 0) {
+  const { hueMin, hueMax, saturation, lightness } = theme.background;
+  const hue = hueMin + shade * (hueMax - hueMin);
+  const light = Math.max(0, Math.min(100, lightness + lightnessShift));
+
+  return `hsl(${hue}, ${saturation}%, ${light}%)`;
+}
@@ -1,4 +1,51 @@
 import { Pane } from "tweakpane";
+import { THEMES, AUTO_THEME } from "./Themes.js";
+import { BACKGROUNDS } from "./Backgrounds.js";
+import { SessionCapture } from "./SessionCapture.js";
+import { PARTICLE_STYLES, NO_PARTICLES } from "./ParticleStyles.js";
+import { PresetStore } from "./PresetStore.js";
+import { encodeSetupHash } from "./ConfigSharing.js";
+import { DEFAULT_CONFIG } from "./Simulation.js";
+
+/**
+ * Panel parameters and the config key each one controls
+ * FRAME_SPECS is edited as JSON text and NUM_FRAMES is a monitor
+ */
+const CONFIG_PARAMS = {
+  frameThickness: "FRAME_THICKNESS",
+  gap: "GAP",
+  handleSize: "HANDLE_SIZE",
+  frameRadius: "FRAME_RADIUS",
+  frameShape: "FRAME_SHAPE",
+  damping: "DAMPING",
+  springStrength: "SPRING_STRENGTH",
+  settlingEnabled: "SETTLING_ENABLED",
+  sleepVelocity: "SLEEP_VELOCITY",
+  rotationEnabled: "ROTATION_ENABLED",
+  angularDamping: "ANGULAR_DAMPING",
+  softBodyEnabled: "SOFT_BODY_ENABLED",
+  softness: "SOFTNESS",
+  flingEnabled: "FLING_ENABLED",
+  restitution: "RESTITUTION",
+  flingWindow: "FLING_WINDOW",
+  maxFlingSpeed: "MAX_FLING_SPEED",
+  timestep: "TIMESTEP",
+  maxStepsPerFrame: "MAX_STEPS_PER_FRAME",
+  theme: "THEME",
+  background: "BACKGROUND",
+  backgroundSeed: "BACKGROUND_SEED",
+  backgroundImage: "BACKGROUND_IMAGE",
+  particles: "PARTICLES",
+  maxParticles: "MAX_PARTICLES",
+  showFrameTime: "SHOW_FRAME_TIME",
+  maxPixelRatio: "MAX_PIXEL_RATIO",
+  impactSpeedMin: "IMPACT_SPEED_MIN",
+  impactSpeedMax: "IMPACT_SPEED_MAX",
+  soundMinInterval: "SOUND_MIN_INTERVAL",
+};
+
+// Time scale the slow-motion button switches to
+const SLOW_MOTION_SCALE = 0.25;
 
 /**
  * Performance-focused Tweakpane configuration for FramePusher
@@ -18,20 +65,192 @@ export class TweakpaneConfig {
 
     // Configuration parameters
     this.params = {
-      frameThickness: game.config.FRAME_THICKNESS,
-      gap: game.config.GAP,
+      ...this._readConfigParams(),
+      timeScale: game.timeScale,
+      replaySpeed: 1,
+      replayPosition: 0,
+      presetName: "",
+      includeFrames: false,
     };
 
+    // Last recorded input log
+    this.lastLog = null;
+
+    // Saved presets and the one picked in the preset list
+    this.presets = new PresetStore();
+    this.presetList = null;
+
     this._setupControls();
   }
 
   /**
-   * Sets up essential Tweakpane controls
+   * Updates the controls after the configuration changed elsewhere,
+   * e.g. from a link or a preset
+   */
+  syncFromConfig() {
+    Object.assign(this.params, this._readConfigParams());
+    this.pane.refresh();
+  }
+
+  /**
+   * Reads the control values from the game configuration
+   * @returns {Object} Parameters bound to the controls
+   * @private
+   */
+  _readConfigParams() {
+    const { config } = this.game;
+    const params = { frameSpecs: JSON.stringify(config.FRAME_SPECS) };
+
+    for (const [param, key] of Object.entries(CONFIG_PARAMS)) {
+      params[param] = config[key];
+    }
+    return params;
+  }
+
+  /**
+   * Sets up the developer panel: live monitors, simulation controls and a
+   * control for every config key, grouped in folders
    * @private
    */
   _setupControls() {
-    // Frame thickness
+    this._setupMonitors();
+    this._setupSimulationControls();
+    this._setupLayoutControls();
+    this._setupPhysicsControls();
+    this._setupLookControls();
+    this._setupSoundControls();
+    this._setupSessionControls();
+    this._setupExportControls();
+    this._setupPresetControls();
+
+    this.pane
+      .addButton({ title: "Fullscreen" })
+      .on("click", () => this.game.toggleFullscreen());
+
+    // Reset button
+    this.pane.addBlade({
+      view: "separator",
+    });
+
     this.pane
+      .addBlade({
+        view: "button",
+        title: "Reset",
+      })
+      .on("click", () => this._resetToDefaults());
+  }
+
+  /**
+   * Adds a control that writes straight to one config key
+   * A value the game rejects, e.g. the image background without an image
+   * URL, is reported and the control shows the current value again
+   * @param {Object} folder - Pane or folder to add the control to
+   * @param {string} param - Name in this.params, see CONFIG_PARAMS
+   * @param {Object} options - Tweakpane binding options
+   * @private
+   */
+  _bindConfig(folder, param, options) {
+    const key = CONFIG_PARAMS[param];
+
+    folder
+      .addBinding(this.params, param, options)
+      .on("change", (ev) => {
+        if (ev.value === this.game.config[key]) {
+          return;
+        }
+
+        try {
+          this.game.updateConfig({ [key]: ev.value });
+        } catch (error) {
+          console.warn(`Invalid ${key}:`, error);
+          this.syncFromConfig();
+        }
+      });
+  }
+
+  /**
+   * Sets up read-only monitors, polled by Tweakpane
+   * @private
+   */
+  _setupMonitors() {
+    const folder = this.pane.addFolder({ title: "Monitors" });
+    const game = this.game;
+
+    // Getters so every poll reads the live game
+    const monitors = {
+      get fps() {
+        return game.getStats().fps;
+      },
+      get frames() {
+        return game.getStats().frameCount;
+      },
+      get handle() {
+        const { x, y } = game.getStats().handle;
+        return `${x.toFixed(1)}, ${y.toFixed(1)}`;
+      },
+      get energy() {
+        return game.getStats().kineticEnergy;
+      },
+    };
+
+    folder.addBinding(monitors, "fps", {
+      label: "FPS",
+      readonly: true,
+      format: (value) => value.toFixed(0),
+    });
+    folder.addBinding(monitors, "frames", {
+      label: "Frames",
+      readonly: true,
+      format: (value) => value.toFixed(0),
+    });
+    folder.addBinding(monitors, "handle", { label: "Handle", readonly: true });
+    folder.addBinding(monitors, "energy", {
+      label: "Kinetic energy",
+      readonly: true,
+      format: (value) => value.toFixed(1),
+    });
+  }
+
+  /**
+   * Sets up pause, single-step and slow-motion controls
+   * @private
+   */
+  _setupSimulationControls() {
+    const folder = this.pane.addFolder({ title: "Simulation" });
+
+    folder.addButton({ title: "Pause / resume" }).on("click", () => {
+      this.game.setPaused(!this.game.isPaused);
+    });
+
+    folder
+      .addButton({ title: "Step" })
+      .on("click", () => this.game.stepOnce());
+
+    folder.addButton({ title: "Slow motion" }).on("click", () => {
+      this.params.timeScale = this.params.timeScale < 1 ? 1 : SLOW_MOTION_SCALE;
+      this.pane.refresh();
+    });
+
+    folder
+      .addBinding(this.params, "timeScale", {
+        label: "Time scale",
+        min: 0.05,
+        max: 2,
+        step: 0.05,
+      })
+      .on("change", (ev) => this.game.setTimeScale(ev.value));
+  }
+
+  /**
+   * Sets up the frame layout controls
+   * Thickness, gap, handle size and frame specs change how many frames
+   * fit, so they rebuild the nest around the current positions
+   * @private
+   */
+  _setupLayoutControls() {
+    const folder = this.pane.addFolder({ title: "Layout" });
+
+    folder
       .addBinding(this.params, "frameThickness", {
         label: "Thickness",
         min: 5,
@@ -42,8 +261,7 @@ export class TweakpaneConfig {
         this._debouncedUpdate("FRAME_THICKNESS", ev.value, true)
       );
 
-    // Gap between frames
-    this.pane
+    folder
       .addBinding(this.params, "gap", {
         label: "Gap",
         min: 0,
@@ -52,19 +270,543 @@ export class TweakpaneConfig {
       })
       .on("change", (ev) => this._debouncedUpdate("GAP", ev.value, true));
 
-    
+    folder
+      .addBinding(this.params, "handleSize", {
+        label: "Handle size",
+        min: 10,
+        max: 120,
+        step: 1,
+      })
+      .on("change", (ev) =>
+        this._debouncedUpdate("HANDLE_SIZE", ev.value, true)
+      );
 
-    // Reset button
-    this.pane.addBlade({
-      view: "separator",
+    // Corner radius, applied to the existing frames
+    this._bindConfig(folder, "frameRadius", {
+      label: "Corner radius",
+      min: 0,
+      max: 40,
+      step: 1,
     });
 
-    this.pane
-      .addBlade({
-        view: "button",
-        title: "Reset",
+    // Frame shape, recreates the frames
+    this._bindConfig(folder, "frameShape", {
+      label: "Shape",
+      options: { Rectangles: "rect", Rings: "ring" },
+    });
+
+    // Per-frame settings as JSON, see FrameSpecs.js
+    folder
+      .addBinding(this.params, "frameSpecs", { label: "Frame specs" })
+      .on("change", (ev) => {
+        if (ev.value === JSON.stringify(this.game.config.FRAME_SPECS)) {
+          return;
+        }
+
+        try {
+          this._updateConfig("FRAME_SPECS", JSON.parse(ev.value), true);
+        } catch (error) {
+          console.warn("Invalid frame specs:", error);
+        }
+      });
+  }
+
+  /**
+   * Sets up the physics controls
+   * @private
+   */
+  _setupPhysicsControls() {
+    const folder = this.pane.addFolder({ title: "Physics", expanded: false });
+
+    this._bindConfig(folder, "damping", {
+      label: "Damping",
+      min: 0.5,
+      max: 0.99,
+      step: 0.01,
+    });
+    this._bindConfig(folder, "springStrength", {
+      label: "Spring",
+      min: 0.01,
+      max: 0.8,
+      step: 0.01,
+    });
+    this._bindConfig(folder, "settlingEnabled", { label: "Settling" });
+    this._bindConfig(folder, "sleepVelocity", {
+      label: "Sleep speed",
+      min: 0.005,
+      max: 1,
+      step: 0.005,
+    });
+
+    // Rigid-body rotation of rectangles
+    this._bindConfig(folder, "rotationEnabled", { label: "Rotation" });
+    this._bindConfig(folder, "angularDamping", {
+      label: "Spin damping",
+      min: 0.5,
+      max: 0.99,
+      step: 0.01,
+    });
+
+    // Spring-mass borders that dent and wobble
+    this._bindConfig(folder, "softBodyEnabled", { label: "Soft frames" });
+    this._bindConfig(folder, "softness", {
+      label: "Softness",
+      min: 0,
+      max: 1,
+      step: 0.05,
+    });
+
+    // Throwing frames and how much they bounce
+    this._bindConfig(folder, "flingEnabled", { label: "Fling" });
+    this._bindConfig(folder, "restitution", {
+      label: "Bounce",
+      min: 0,
+      max: 1,
+      step: 0.05,
+    });
+    this._bindConfig(folder, "flingWindow", {
+      label: "Fling window",
+      min: 20,
+      max: 300,
+      step: 10,
+    });
+    this._bindConfig(folder, "maxFlingSpeed", {
+      label: "Max fling speed",
+      min: 5,
+      max: 100,
+      step: 1,
+    });
+
+    // Fixed-step integration
+    this._bindConfig(folder, "timestep", {
+      label: "Timestep (ms)",
+      min: 4,
+      max: 50,
+      step: 0.5,
+    });
+    this._bindConfig(folder, "maxStepsPerFrame", {
+      label: "Max steps",
+      min: 1,
+      max: 20,
+      step: 1,
+    });
+  }
+
+  /**
+   * Sets up theme, background, particle and display controls
+   * @private
+   */
+  _setupLookControls() {
+    const folder = this.pane.addFolder({ title: "Look", expanded: false });
+
+    // Colour theme, applied without recreating frames
+    this._bindConfig(folder, "theme", {
+      label: "Theme",
+      options: this._getThemeOptions(),
+    });
+
+    // Background generator, its seed and the image for the image background
+    this._bindConfig(folder, "background", {
+      label: "Background",
+      options: this._getBackgroundOptions(),
+    });
+    this._bindConfig(folder, "backgroundSeed", {
+      label: "Seed",
+      min: 1,
+      max: 9999,
+      step: 1,
+    });
+    this._bindConfig(folder, "backgroundImage", { label: "Image URL" });
+
+    // Impact particles
+    this._bindConfig(folder, "particles", {
+      label: "Particles",
+      options: this._getParticleOptions(),
+    });
+    this._bindConfig(folder, "maxParticles", {
+      label: "Max particles",
+      min: 0,
+      max: 1000,
+      step: 10,
+    });
+
+    // Frame-time counter in the bottom left corner of the canvas
+    this._bindConfig(folder, "showFrameTime", { label: "Frame time" });
+    this._bindConfig(folder, "maxPixelRatio", {
+      label: "Max pixel ratio",
+      min: 0.5,
+      max: 4,
+      step: 0.25,
+    });
+  }
+
+  /**
+   * Sets up the collision sound controls
+   * @private
+   */
+  _setupSoundControls() {
+    const folder = this.pane.addFolder({ title: "Sound", expanded: false });
+
+    this._bindConfig(folder, "impactSpeedMin", {
+      label: "Quietest impact",
+      min: 0,
+      max: 10,
+      step: 0.1,
+    });
+    this._bindConfig(folder, "impactSpeedMax", {
+      label: "Loudest impact",
+      min: 1,
+      max: 60,
+      step: 1,
+    });
+    this._bindConfig(folder, "soundMinInterval", {
+      label: "Min interval (ms)",
+      min: 0,
+      max: 500,
+      step: 10,
+    });
+  }
+
+  /**
+   * Builds the theme dropdown options
+   * @returns {Object} Theme names keyed by display name
+   * @private
+   */
+  _getThemeOptions() {
+    const options = { "Auto (system)": AUTO_THEME };
+
+    for (const [key, theme] of Object.entries(THEMES)) {
+      options[theme.name] = key;
+    }
+
+    return options;
+  }
+
+  /**
+   * Builds the background dropdown options
+   * The image background only applies once an image URL is set
+   * @returns {Object} Background names keyed by themselves
+   * @private
+   */
+  _getBackgroundOptions() {
+    const options = {};
+
+    for (const name of Object.keys(BACKGROUNDS)) {
+      options[name] = name;
+    }
+
+    return options;
+  }
+
+  /**
+   * Builds the particle style dropdown options
+   * @returns {Object} Style names keyed by themselves, plus "none"
+   * @private
+   */
+  _getParticleOptions() {
+    const options = { [NO_PARTICLES]: NO_PARTICLES };
+
+    for (const name of Object.keys(PARTICLE_STYLES)) {
+      options[name] = name;
+    }
+
+    return options;
+  }
+
+  /**
+   * Sets up record and replay controls for drag sessions
+   * @private
+   */
+  _setupSessionControls() {
+    const folder = this.pane.addFolder({
+      title: "Session",
+      expanded: false,
+    });
+
+    folder
+      .addButton({ title: "Record" })
+      .on("click", () => this.game.startRecording());
+
+    folder.addButton({ title: "Stop recording" }).on("click", () => {
+      const log = this.game.stopRecording();
+      if (log) {
+        this.lastLog = log;
+      }
+    });
+
+    folder.addButton({ title: "Download log" }).on("click", () => {
+      if (this.lastLog) {
+        const blob = new Blob([JSON.stringify(this.lastLog)], {
+          type: "application/json",
+        });
+        this.game.exporter.download(blob, this.game.exporter.getFilename("json"));
+      }
+    });
+
+    folder.addButton({ title: "Load log" }).on("click", () => {
+      this._pickJsonFile((text) => {
+        this.lastLog = JSON.parse(text);
+        this._startReplay();
+      });
+    });
+
+    folder
+      .addButton({ title: "Replay last" })
+      .on("click", () => this._startReplay());
+
+    folder.addButton({ title: "Pause / resume" }).on("click", () => {
+      const replay = this.game.replay;
+      if (replay) {
+        replay.isPaused ? replay.play() : replay.pause();
+      }
+    });
+
+    folder.addButton({ title: "Stop replay" }).on("click", () => {
+      this.game.stopReplay();
+    });
+
+    folder
+      .addBinding(this.params, "replaySpeed", {
+        label: "Speed",
+        min: 0.25,
+        max: 4,
+        step: 0.25,
       })
-      .on("click", () => this._resetToDefaults());
+      .on("change", (ev) => {
+        if (this.game.replay) {
+          this.game.replay.setSpeed(ev.value);
+        }
+      });
+
+    folder
+      .addBinding(this.params, "replayPosition", {
+        label: "Position",
+        min: 0,
+        max: 1,
+        step: 0.01,
+      })
+      .on("change", (ev) => {
+        const replay = this.game.replay;
+        if (replay) {
+          replay.seek(ev.value * replay.duration);
+        }
+      });
+  }
+
+  /**
+   * Replays the last input log, logging a log that cannot be played
+   * @private
+   */
+  _startReplay() {
+    if (!this.lastLog) {
+      return;
+    }
+
+    try {
+      const replay = this.game.startReplay(this.lastLog);
+      replay.setSpeed(this.params.replaySpeed);
+      this.params.replayPosition = 0;
+      this.pane.refresh();
+    } catch (error) {
+      console.warn("Could not replay the input log:", error);
+    }
+  }
+
+  /**
+   * Sets up image export and animated recording controls
+   * Replays are recorded from the last recorded input log
+   * @private
+   */
+  _setupExportControls() {
+    const folder = this.pane.addFolder({
+      title: "Export",
+      expanded: false,
+    });
+
+    folder
+      .addButton({ title: "Save PNG" })
+      .on("click", () => this._runExport(() => this.game.exportPng()));
+
+    folder
+      .addButton({ title: "Save SVG" })
+      .on("click", () => this._runExport(() => this.game.exportSvg()));
+
+    for (const format of ["gif", "webm"]) {
+      const name = format.toUpperCase();
+      const disabled = !SessionCapture.isSupported(format);
+
+      folder
+        .addButton({ title: `Record ${name}`, disabled })
+        .on("click", () =>
+          this._runExport(() => this.game.startCapture(format))
+        );
+
+      folder
+        .addButton({ title: `Replay to ${name}`, disabled })
+        .on("click", () => {
+          if (this.lastLog) {
+            this._runExport(() => this.game.startCapture(format, this.lastLog));
+          }
+        });
+    }
+
+    folder
+      .addButton({ title: "Stop and save" })
+      .on("click", () => this._runExport(() => this.game.stopCapture()));
+  }
+
+  /**
+   * Sets up shareable links, saved presets and JSON import and export
+   * @private
+   */
+  _setupPresetControls() {
+    const folder = this.pane.addFolder({
+      title: "Presets",
+      expanded: false,
+    });
+
+    // Frame positions are optional, the config alone fits any screen
+    folder.addBinding(this.params, "includeFrames", { label: "Positions" });
+
+    folder
+      .addButton({ title: "Copy link" })
+      .on("click", () => this._copyShareLink());
+
+    folder.addBinding(this.params, "presetName", { label: "Name" });
+
+    folder.addButton({ title: "Save preset" }).on("click", () => {
+      const name = this.presets.save(
+        this.params.presetName,
+        this.game.getSetup(this.params.includeFrames)
+      );
+      this._refreshPresetList(name);
+    });
+
+    const options = this._getPresetOptions();
+    this.presetList = folder.addBlade({
+      view: "list",
+      label: "Preset",
+      options,
+      value: options[0].value,
+    });
+
+    folder.addButton({ title: "Load preset" }).on("click", () => {
+      const setup = this.presets.get(this.presetList.value);
+      if (setup) {
+        this._applySetup(setup);
+      }
+    });
+
+    folder.addButton({ title: "Delete preset" }).on("click", () => {
+      this.presets.remove(this.presetList.value);
+      this._refreshPresetList("");
+    });
+
+    folder.addButton({ title: "Export JSON" }).on("click", () => {
+      const setup = this.game.getSetup(this.params.includeFrames);
+      const blob = new Blob([JSON.stringify(setup, null, 2)], {
+        type: "application/json",
+      });
+      this.game.exporter.download(blob, this.game.exporter.getFilename("json"));
+    });
+
+    folder
+      .addButton({ title: "Import JSON" })
+      .on("click", () => this._importSetupFile());
+  }
+
+  /**
+   * Builds the preset list options
+   * @returns {Array} Preset names as list items, or a placeholder
+   * @private
+   */
+  _getPresetOptions() {
+    const names = this.presets.getNames();
+
+    if (names.length === 0) {
+      return [{ text: "(none)", value: "" }];
+    }
+    return names.map((name) => ({ text: name, value: name }));
+  }
+
+  /**
+   * Rebuilds the preset list after a preset was saved or deleted
+   * @param {string} selected - Name to select, "" for the first preset
+   * @private
+   */
+  _refreshPresetList(selected) {
+    const options = this._getPresetOptions();
+    this.presetList.options = options;
+    this.presetList.value = selected || options[0].value;
+  }
+
+  /**
+   * Puts a link to the current setup in the address bar and copies it
+   * @private
+   */
+  _copyShareLink() {
+    const hash = encodeSetupHash(this.game.getSetup(this.params.includeFrames));
+    history.replaceState(null, "", hash);
+
+    navigator.clipboard
+      .writeText(window.location.href)
+      .catch((error) => console.warn("Could not copy the link:", error));
+  }
+
+  /**
+   * Lets the user pick a setup file and applies it
+   * @private
+   */
+  _importSetupFile() {
+    this._pickJsonFile((text) => this._applySetup(text));
+  }
+
+  /**
+   * Lets the user pick a JSON file and passes on its text
+   * @param {Function} onText - Called with the file contents
+   * @private
+   */
+  _pickJsonFile(onText) {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "application/json,.json";
+
+    input.addEventListener("change", () => {
+      const [file] = input.files;
+      if (file) {
+        file
+          .text()
+          .then(onText)
+          .catch((error) => console.warn("Import failed:", error));
+      }
+    });
+    input.click();
+  }
+
+  /**
+   * Applies a setup, logging whatever had to be dropped or clamped
+   * @param {Object|string} setup - Setup object or its JSON string
+   * @private
+   */
+  _applySetup(setup) {
+    try {
+      for (const warning of this.game.applySetup(setup)) {
+        console.warn("Setup:", warning);
+      }
+    } catch (error) {
+      console.warn("Could not apply the setup:", error);
+    }
+  }
+
+  /**
+   * Runs an export action, logging failures instead of throwing
+   * @param {Function} action - Export to run, may return a promise
+   * @private
+   */
+  _runExport(action) {
+    Promise.resolve()
+      .then(action)
+      .catch((error) => console.warn("Export failed:", error));
   }
 
   /**
@@ -80,6 +822,11 @@ export class TweakpaneConfig {
       clearTimeout(this.updateTimeout);
     }
 
+    // Controls refreshed from the config report values it already has
+    if (this.game.config[key] === value) {
+      return;
+    }
+
     // Debounce the update
     this.updateTimeout = setTimeout(() => {
       this._updateConfig(key, value, requiresRecreation);
@@ -97,10 +844,9 @@ export class TweakpaneConfig {
     // Update game configuration
     this.game.updateConfig({ [key]: value });
 
-    // Only recreate frames if necessary (structural changes)
+    // Only rebuild the nest if necessary (structural changes)
     if (requiresRecreation) {
-      this.game._createFrames();
-      this.game._initializeEventHandler();
+      this.game.relayout();
     }
   }
 
@@ -109,28 +855,24 @@ export class TweakpaneConfig {
    * @private
    */
   _resetToDefaults() {
-    const defaults = {
-      frameThickness: 20,
-      gap: 10,
-      damping: 0.9,
-      springStrength: 0.2,
-    };
-
-    // Update parameters
-    Object.assign(this.params, defaults);
+    const defaults = {};
+    for (const [key, value] of Object.entries(DEFAULT_CONFIG)) {
+      if (key !== "NUM_FRAMES") {
+        defaults[key] = value;
+      }
+    }
 
     // Batch update configuration
-    this.game.updateConfig({
-      FRAME_THICKNESS: defaults.frameThickness,
-      GAP: defaults.gap,
-    });
+    this.game.updateConfig(defaults);
+    this.game.setPaused(false);
+    this.params.timeScale = 1;
 
-    // Recreate frames with new settings
-    this.game._createFrames();
-    //this.game._initializeEventHandler();
+    // Resizing to the same size recreates a centred nest
+    const { width, height } = this.game.simulation;
+    this.game.resize(width, height);
 
     // Refresh pane to show updated values
-    this.pane.refresh();
+    this.syncFromConfig();
   }
 
   /**
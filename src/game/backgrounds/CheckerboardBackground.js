@@ -0,0 +1,61 @@
+import { Random } from '../Random.js';
+import { paletteColor } from '../Themes.js';
+
+/**
+ * Checkerboard of two seeded palette colours with a slight per-cell
+ * variation
+ */
+export class CheckerboardBackground {
+  constructor({ cellSize = 40, variation = 6 } = {}) {
+    this.cellSize = cellSize;
+    this.variation = variation;
+    this.cells = [];
+    this.baseShade = 0;
+    this.coloredTheme = null;
+    this.onChange = null;
+  }
+
+  /**
+   * Lays out the cells for a canvas size
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {number} seed - Layout seed
+   */
+  generate(width, height, seed) {
+    this.cells = [];
+    this.coloredTheme = null;
+    this.baseShade = new Random(seed).next();
+
+    for (let i = 0; i * this.cellSize < width; i++) {
+      for (let j = 0; j * this.cellSize < height; j++) {
+        this.cells.push({
+          x: i * this.cellSize,
+          y: j * this.cellSize,
+          isDark: (i + j) % 2 === 1,
+          jitter: Random.hash(seed, i, j) * 2 - 1,
+          color: null,
+        });
+      }
+    }
+  }
+
+  /**
+   * Draws the cells
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   * @param {Object} theme - Resolved theme
+   */
+  draw(ctx, theme) {
+    if (this.coloredTheme !== theme) {
+      for (const cell of this.cells) {
+        const shift = (cell.isDark ? -20 : 0) + cell.jitter * this.variation;
+        cell.color = paletteColor(theme, this.baseShade, shift);
+      }
+      this.coloredTheme = theme;
+    }
+
+    for (const cell of this.cells) {
+      ctx.fillStyle = cell.color;
+      ctx.fillRect(cell.x, cell.y, this.cellSize, this.cellSize);
+    }
+  }
+}
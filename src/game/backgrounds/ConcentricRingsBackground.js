@@ -0,0 +1,69 @@
+import { Random } from '../Random.js';
+import { paletteColor } from '../Themes.js';
+
+/**
+ * Concentric rings around a seeded centre point
+ */
+export class ConcentricRingsBackground {
+  constructor({ ringWidth = 24 } = {}) {
+    this.ringWidth = ringWidth;
+    this.center = { x: 0, y: 0 };
+    this.rings = [];
+    this.coloredTheme = null;
+    this.onChange = null;
+  }
+
+  /**
+   * Places the rings for a canvas size
+   * The centre is a seeded fraction of the canvas, so it keeps its relative
+   * position on resize and every ring keeps its colour
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {number} seed - Layout seed
+   */
+  generate(width, height, seed) {
+    const random = new Random(seed);
+    this.center = {
+      x: random.range(0.2, 0.8) * width,
+      y: random.range(0.2, 0.8) * height,
+    };
+
+    // Rings must reach the farthest canvas corner
+    const reach = Math.hypot(
+      Math.max(this.center.x, width - this.center.x),
+      Math.max(this.center.y, height - this.center.y)
+    );
+
+    this.rings = [];
+    this.coloredTheme = null;
+
+    for (let i = Math.ceil(reach / this.ringWidth); i > 0; i--) {
+      this.rings.push({
+        radius: i * this.ringWidth,
+        shade: Random.hash(seed, i),
+        color: null,
+      });
+    }
+  }
+
+  /**
+   * Draws the rings, largest first
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   * @param {Object} theme - Resolved theme
+   */
+  draw(ctx, theme) {
+    if (this.coloredTheme !== theme) {
+      for (const ring of this.rings) {
+        ring.color = paletteColor(theme, ring.shade, -15);
+      }
+      this.coloredTheme = theme;
+    }
+
+    for (const ring of this.rings) {
+      ctx.beginPath();
+      ctx.fillStyle = ring.color;
+      ctx.arc(this.center.x, this.center.y, ring.radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
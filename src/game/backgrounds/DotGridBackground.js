@@ -0,0 +1,60 @@
+import { Random } from '../Random.js';
+import { paletteColor } from '../Themes.js';
+
+/**
+ * Grid of round dots, each with a seeded shade from the theme palette
+ */
+export class DotGridBackground {
+  constructor({ spacing = 20, radius = 4 } = {}) {
+    this.spacing = spacing;
+    this.radius = radius;
+    this.dots = [];
+    this.coloredTheme = null;
+    this.onChange = null;
+  }
+
+  /**
+   * Lays out the dots for a canvas size
+   * A dot's shade depends only on the seed and its grid cell, so dots
+   * keep their colour across resizes
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {number} seed - Layout seed
+   */
+  generate(width, height, seed) {
+    this.dots = [];
+    this.coloredTheme = null;
+
+    for (let i = 0; i * this.spacing < width; i++) {
+      for (let j = 0; j * this.spacing < height; j++) {
+        this.dots.push({
+          x: i * this.spacing,
+          y: j * this.spacing,
+          shade: Random.hash(seed, i, j),
+          color: null,
+        });
+      }
+    }
+  }
+
+  /**
+   * Draws the dots
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   * @param {Object} theme - Resolved theme
+   */
+  draw(ctx, theme) {
+    if (this.coloredTheme !== theme) {
+      for (const dot of this.dots) {
+        dot.color = paletteColor(theme, dot.shade);
+      }
+      this.coloredTheme = theme;
+    }
+
+    for (const dot of this.dots) {
+      ctx.beginPath();
+      ctx.fillStyle = dot.color;
+      ctx.arc(dot.x, dot.y, this.radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
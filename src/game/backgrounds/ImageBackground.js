@@ -0,0 +1,65 @@
+/**
+ * User-supplied image scaled to cover the canvas
+ * The theme fill shows until the image has loaded or if it fails to load
+ */
+export class ImageBackground {
+  constructor({ src } = {}) {
+    if (!src) {
+      throw new Error('Image background needs an image URL in BACKGROUND_IMAGE');
+    }
+
+    this.width = 0;
+    this.height = 0;
+    this.isLoaded = false;
+    this.onChange = null;
+
+    this.image = new Image();
+    this.image.crossOrigin = 'anonymous';
+    this.image.onload = () => {
+      this.isLoaded = true;
+      if (this.onChange) {
+        this.onChange();
+      }
+    };
+    this.image.onerror = () => {
+      console.warn(`Could not load background image "${src}"`);
+    };
+    this.image.src = src;
+  }
+
+  /**
+   * Stores the canvas size the image is fitted to
+   * The layout does not depend on the seed
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   */
+  generate(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  /**
+   * Draws the image centered, cropped to cover the canvas
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   */
+  draw(ctx) {
+    if (!this.isLoaded) {
+      return;
+    }
+
+    const scale = Math.max(
+      this.width / this.image.naturalWidth,
+      this.height / this.image.naturalHeight
+    );
+    const drawWidth = this.image.naturalWidth * scale;
+    const drawHeight = this.image.naturalHeight * scale;
+
+    ctx.drawImage(
+      this.image,
+      (this.width - drawWidth) / 2,
+      (this.height - drawHeight) / 2,
+      drawWidth,
+      drawHeight
+    );
+  }
+}
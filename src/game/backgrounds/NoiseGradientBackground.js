@@ -0,0 +1,92 @@
+import { Random } from '../Random.js';
+import { paletteColor } from '../Themes.js';
+
+/**
+ * Smooth value-noise gradient across the palette
+ * Random values on a coarse lattice are interpolated with a smoothstep and
+ * drawn as small tiles
+ */
+export class NoiseGradientBackground {
+  constructor({ scale = 160, tileSize = 10 } = {}) {
+    this.scale = scale;
+    this.tileSize = tileSize;
+    this.tiles = [];
+    this.coloredTheme = null;
+    this.onChange = null;
+  }
+
+  /**
+   * Samples the noise for a canvas size
+   * Lattice values depend only on the seed and their position, so the
+   * gradient stays in place when the canvas is resized
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {number} seed - Layout seed
+   */
+  generate(width, height, seed) {
+    this.tiles = [];
+    this.coloredTheme = null;
+
+    for (let x = 0; x < width; x += this.tileSize) {
+      for (let y = 0; y < height; y += this.tileSize) {
+        this.tiles.push({
+          x,
+          y,
+          shade: this._sample(
+            (x + this.tileSize / 2) / this.scale,
+            (y + this.tileSize / 2) / this.scale,
+            seed
+          ),
+          color: null,
+        });
+      }
+    }
+  }
+
+  /**
+   * Draws the tiles
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   * @param {Object} theme - Resolved theme
+   */
+  draw(ctx, theme) {
+    if (this.coloredTheme !== theme) {
+      for (const tile of this.tiles) {
+        tile.color = paletteColor(theme, tile.shade, (tile.shade - 0.5) * 20);
+      }
+      this.coloredTheme = theme;
+    }
+
+    for (const tile of this.tiles) {
+      ctx.fillStyle = tile.color;
+      ctx.fillRect(tile.x, tile.y, this.tileSize, this.tileSize);
+    }
+  }
+
+  /**
+   * Samples value noise at a point given in lattice units
+   * @returns {number} Noise value in [0, 1)
+   * @private
+   */
+  _sample(u, v, seed) {
+    const i = Math.floor(u);
+    const j = Math.floor(v);
+    const fx = this._smoothstep(u - i);
+    const fy = this._smoothstep(v - j);
+
+    const top =
+      Random.hash(seed, i, j) * (1 - fx) + Random.hash(seed, i + 1, j) * fx;
+    const bottom =
+      Random.hash(seed, i, j + 1) * (1 - fx) +
+      Random.hash(seed, i + 1, j + 1) * fx;
+
+    return top * (1 - fy) + bottom * fy;
+  }
+
+  /**
+   * Eases interpolation so lattice lines do not show
+   * @private
+   */
+  _smoothstep(t) {
+    return t * t * (3 - 2 * t);
+  }
+}
@@ -1,4 +1,8 @@
 import { FramePusher } from './game/FramePusher.js';
+import { PuzzleMode } from './game/PuzzleMode.js';
+import { ChallengeMode } from './game/ChallengeMode.js';
+import { decodeSetupHash } from './game/ConfigSharing.js';
+import { defineFramePusherElement } from './game/FramePusherElement.js';
 import './styles/main.css';
 
 /**
@@ -50,8 +54,13 @@ class App {
    */
   _createGameInstance() {
     try {
-      this.game = new FramePusher('game-canvas');
+      const params = new URLSearchParams(window.location.search);
+      this.game = new FramePusher('game-canvas', {
+        renderer: params.get('renderer') || 'canvas',
+      });
       this.game.init();
+      this._applySetupFromUrl();
+      this._applyModeFromUrl();
       
       console.log('FramePusher game initialized successfully!');
     } catch (error) {
@@ -60,6 +69,41 @@ class App {
     }
   }
 
+  /**
+   * Applies the setup shared in the URL hash, see the Copy link button
+   * A broken link leaves the default setup and only logs why
+   * @private
+   */
+  _applySetupFromUrl() {
+    try {
+      const setup = decodeSetupHash(window.location.hash);
+      if (!setup) {
+        return;
+      }
+
+      for (const warning of this.game.applySetup(setup)) {
+        console.warn('Setup from URL:', warning);
+      }
+    } catch (error) {
+      console.warn('Could not apply the setup from the URL:', error);
+    }
+  }
+
+  /**
+   * Activates the game mode requested with the ?mode= query parameter
+   * Free play is used when no or an unknown mode is given
+   * @private
+   */
+  _applyModeFromUrl() {
+    const mode = new URLSearchParams(window.location.search).get('mode');
+
+    if (mode === 'puzzle') {
+      this.game.setMode(new PuzzleMode());
+    } else if (mode === 'challenge') {
+      this.game.setMode(new ChallengeMode());
+    }
+  }
+
   /**
    * Sets up global event listeners
    * @private
@@ -87,13 +131,7 @@ class App {
     // Debounce resize events
     clearTimeout(this._resizeTimeout);
     this._resizeTimeout = setTimeout(() => {
-      const containerSize = Math.min(
-        window.innerHeight * 0.7,
-        window.innerWidth * 0.8,
-        600
-      );
-      
-      this.game.resize(containerSize, containerSize);
+      this.game.fitToViewport();
     }, 250);
   }
 
@@ -183,6 +221,9 @@ class App {
   }
 }
 
+// Let pages embed more games with <frame-pusher>
+defineFramePusherElement();
+
 // Create and initialize the application
 const app = new App();
 app.init();
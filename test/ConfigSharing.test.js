@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createSetup,
+  sanitizeConfig,
+  sanitizeSetup,
+  applySetup,
+  encodeSetupHash,
+  decodeSetupHash,
+} from '../src/game/ConfigSharing.js';
+import { Simulation, DEFAULT_CONFIG } from '../src/game/Simulation.js';
+
+/**
+ * Builds the part of a game applySetup works with around a simulation
+ * @returns {Object} Game without rendering or input
+ */
+function createHeadlessGame(width, height) {
+  const simulation = new Simulation(width, height);
+
+  return {
+    simulation,
+    get config() {
+      return simulation.config;
+    },
+    get frames() {
+      return simulation.frames;
+    },
+    updateConfig: (config) => simulation.updateConfig(config),
+    resize: (w, h) => simulation.resize(w, h),
+    relayout: () => simulation.relayoutFrames(),
+  };
+}
+
+test('clamps numbers out of range and drops unknown keys', () => {
+  const { config, warnings } = sanitizeConfig({
+    GAP: -5,
+    DAMPING: 3,
+    MAX_PARTICLES: 12.4,
+    NUM_FRAMES: 99,
+    SPEED: 2,
+  });
+
+  assert.deepEqual(config, { GAP: 0, DAMPING: 1, MAX_PARTICLES: 12 });
+  assert.deepEqual(warnings, [
+    'GAP was changed from -5 to 0',
+    'DAMPING was changed from 3 to 1',
+    'MAX_PARTICLES was changed from 12.4 to 12',
+    'SPEED is not a config key',
+  ]);
+});
+
+test('drops values of the wrong type', () => {
+  const { config, warnings } = sanitizeConfig({
+    GAP: '10',
+    FLING_ENABLED: 'yes',
+    FRAME_SHAPE: 'hexagon',
+  });
+
+  assert.deepEqual(config, {});
+  assert.equal(warnings.length, 3);
+});
+
+test('round-trips a setup through the URL hash', () => {
+  const simulation = new Simulation(400, 300, { GAP: 12, THEME: 'neon' });
+  const setup = createSetup(simulation, true);
+  const hash = encodeSetupHash(setup);
+
+  assert.match(hash, /^#setup=[A-Za-z0-9_-]+$/);
+  assert.deepEqual(decodeSetupHash(hash), setup);
+  assert.equal(decodeSetupHash('#other=1'), null);
+  assert.throws(() => decodeSetupHash('#setup=%%%'), /Invalid setup in URL/);
+});
+
+test('rejects setups that are not objects or of another version', () => {
+  assert.throws(() => sanitizeSetup(null), /must be an object/);
+  assert.throws(() => sanitizeSetup({ version: 2, config: {} }), /unsupported version 2/);
+  assert.throws(() => sanitizeSetup('{"config":{}}'), /unsupported version undefined/);
+});
+
+test('clamps the canvas size of a setup with frames', () => {
+  const { width, height, warnings } = sanitizeSetup({
+    version: 1,
+    config: {},
+    width: 100000,
+    height: 300,
+    frames: [[0, 0]],
+  });
+
+  assert.equal(width, 4096);
+  assert.equal(height, 300);
+  assert.deepEqual(warnings, ['width was changed from 100000 to 4096']);
+});
+
+test('ignores frames that do not match the nest', () => {
+  const game = createHeadlessGame(400, 400);
+  const before = game.frames.map(({ x, y }) => [x, y]);
+  const warnings = applySetup(game, {
+    version: 1,
+    config: {},
+    width: 400,
+    height: 400,
+    frames: [[10, 10], [20, 20]],
+  });
+
+  assert.match(warnings[0], /the setup has 2, the config makes 7/);
+  assert.deepEqual(game.frames.map(({ x, y }) => [x, y]), before);
+});
+
+test('drops an image background without an image', () => {
+  const { config, warnings } = sanitizeConfig({ BACKGROUND: 'image', GAP: 5 });
+
+  assert.deepEqual(config, { GAP: 5 });
+  assert.match(warnings[0], /BACKGROUND_IMAGE is empty/);
+});
+
+test('keeps an image background with an image from either config', () => {
+  const url = 'https://example.com/bg.png';
+
+  assert.equal(
+    sanitizeConfig({ BACKGROUND: 'image', BACKGROUND_IMAGE: url }).config.BACKGROUND,
+    'image'
+  );
+  assert.equal(
+    sanitizeConfig({ BACKGROUND: 'image' }, { ...DEFAULT_CONFIG, BACKGROUND_IMAGE: url })
+      .config.BACKGROUND,
+    'image'
+  );
+});
+
+test('checks the fields of a custom theme', () => {
+  const theme = { frame: { fill: null }, handle: { idle: '#e53935' } };
+  assert.deepEqual(sanitizeConfig({ THEME: theme }).config, { THEME: theme });
+
+  const { config, warnings } = sanitizeConfig({
+    THEME: { frame: 'red', handle: { idle: 3 }, glow: true },
+  });
+  assert.deepEqual(config, {});
+  assert.match(warnings[0], /frame must be an object/);
+  assert.match(warnings[0], /handle\.idle must be a string/);
+  assert.match(warnings[0], /glow is not a theme field/);
+});
+
+test('lays the nest out again for a setup without frames', () => {
+  const game = createHeadlessGame(400, 400);
+  const warnings = applySetup(game, { version: 1, config: { GAP: 30, HANDLE_SIZE: 80 } });
+  const expected = new Simulation(400, 400, { GAP: 30, HANDLE_SIZE: 80 });
+
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(
+    game.frames.map((frame) => frame.width),
+    expected.frames.map((frame) => frame.width)
+  );
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InputReplay } from '../src/game/InputReplay.js';
+import { INPUT_LOG_VERSION } from '../src/game/InputRecorder.js';
+import { Simulation } from '../src/game/Simulation.js';
+
+/**
+ * Builds an input log for a fresh simulation with the given config
+ * @returns {Object} Log without events
+ */
+function createLog(config) {
+  const simulation = new Simulation(400, 400);
+
+  return {
+    version: INPUT_LOG_VERSION,
+    width: 400,
+    height: 400,
+    config: { ...simulation.config, ...config },
+    frames: simulation.snapshotFrames(),
+    events: [],
+  };
+}
+
+test('keeps the config of a recorded log', () => {
+  const log = createLog({ GAP: 12 });
+  const replay = new InputReplay(null, null, JSON.stringify(log));
+  // NUM_FRAMES follows from the other values and is left out
+  const { NUM_FRAMES, ...config } = log.config;
+
+  assert.deepEqual(replay.config, config);
+  assert.deepEqual(replay.warnings, []);
+});
+
+test('checks the config of a log like a shared setup', () => {
+  const replay = new InputReplay(
+    null,
+    null,
+    createLog({ GAP: 5000, THEME: { glow: true }, SPEED: 2 })
+  );
+
+  assert.equal(replay.config.GAP, 200);
+  assert.equal(replay.config.THEME, undefined);
+  assert.equal('SPEED' in replay.config, false);
+  assert.equal(replay.warnings.length, 3);
+});
+
+test('rejects a log of another version', () => {
+  assert.throws(
+    () => new InputReplay(null, null, { ...createLog({}), version: 1 }),
+    /Unsupported input log version 1/
+  );
+});
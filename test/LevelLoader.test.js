@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { LevelLoader, isFrameInTarget } from '../src/game/LevelLoader.js';
+import { Simulation, DEFAULT_CONFIG } from '../src/game/Simulation.js';
+
+const builtInLevels = JSON.parse(
+  readFileSync(new URL('../src/levels/puzzles.json', import.meta.url), 'utf8')
+);
+
+test('accepts the built-in levels', () => {
+  assert.equal(new LevelLoader().parseAll(builtInLevels).length, builtInLevels.length);
+});
+
+test('resets the shape and physics switches to their defaults', () => {
+  const [level] = new LevelLoader().parseAll(builtInLevels);
+
+  for (const key of ['FRAME_SHAPE', 'ROTATION_ENABLED', 'SOFT_BODY_ENABLED', 'FLING_ENABLED']) {
+    assert.equal(level.config[key], DEFAULT_CONFIG[key], key);
+  }
+});
+
+test('rejects a level that is solved at load', () => {
+  const level = {
+    version: 1,
+    name: 'Solved',
+    width: 400,
+    height: 400,
+    targets: [{ frame: -1, x: 180, y: 180, width: 60, height: 60 }],
+  };
+
+  assert.throws(
+    () => new LevelLoader().parse(level),
+    /targets are already met by the starting layout/
+  );
+});
+
+test('solves "Opposites" by dragging to a corner and back', () => {
+  const level = new LevelLoader()
+    .parseAll(builtInLevels)
+    .find(({ name }) => name === 'Opposites');
+  const simulation = new Simulation(level.width, level.height, level.config);
+
+  simulation.setDragging(true);
+  for (const [x, y] of [[150, 150], [120, 120], [160, 160], [200, 200]]) {
+    simulation.setHandlePosition(x, y);
+    simulation.step(1000 / 60);
+  }
+  for (let i = 0; i < 10; i++) {
+    simulation.step(1000 / 60);
+  }
+  simulation.setDragging(false);
+  for (let i = 0; i < 10000 && !simulation.step(1000 / 60); i++) {
+    // let the nest settle
+  }
+
+  for (const target of level.targets) {
+    assert.ok(isFrameInTarget(simulation.frames[target.frame], target));
+  }
+});
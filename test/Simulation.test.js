@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation } from '../src/game/Simulation.js';
+
+// Handle drag: pointer positions at wall-clock times in ms
+const DRAG = [
+  { time: 0, x: 180, y: 180 },
+  { time: 40, x: 150, y: 170 },
+  { time: 90, x: 90, y: 150 },
+  { time: 130, x: 30, y: 140 },
+  { time: 160, x: 10, y: 135 },
+];
+const RELEASE_TIME = 170;
+
+/**
+ * Plays the drag on a new simulation, stepping at the given refresh rate
+ * until it settles. The drag is timed with its own timestamps like live
+ * and replayed input, while the steps start phase ms before it
+ * @returns {Array} Final frame rectangles
+ */
+function runDrag(hz, config = {}, phase = 0) {
+  const simulation = new Simulation(400, 400, config);
+  const interval = 1000 / hz;
+  let time = -phase;
+
+  simulation.setDragging(true, 0);
+  for (const point of DRAG) {
+    for (; time < point.time; time += interval) {
+      simulation.step(interval);
+    }
+    simulation.setHandlePosition(point.x, point.y, point.time);
+  }
+  for (; time < RELEASE_TIME; time += interval) {
+    simulation.step(interval);
+  }
+  simulation.setDragging(false, RELEASE_TIME);
+
+  for (let i = 0; i < 10000 && !simulation.step(interval); i++) {
+    // let the nest settle
+  }
+  assert.ok(simulation.isSettled(), `did not settle at ${hz} Hz`);
+
+  return simulation.frames.map(({ x, y, width, height }) => ({ x, y, width, height }));
+}
+
+test('settles to the same layout at 60 Hz and 144 Hz', () => {
+  assert.deepEqual(
+    runDrag(144, { FLING_ENABLED: false }),
+    runDrag(60, { FLING_ENABLED: false })
+  );
+});
+
+test('throws to the same layout however the steps fall', () => {
+  const layout = runDrag(60);
+
+  assert.notDeepEqual(layout, runDrag(60, { FLING_ENABLED: false }));
+  assert.deepEqual(runDrag(144), layout);
+  assert.deepEqual(runDrag(60, {}, 10), layout);
+  assert.deepEqual(runDrag(144, {}, 5), layout);
+});
+
+test('keeps a bounded number of unread collisions', () => {
+  const simulation = new Simulation(400, 400, { FLING_ENABLED: false });
+
+  for (let i = 0; i < 400; i++) {
+    simulation.setDragging(true);
+    simulation.setHandlePosition(i % 2 === 0 ? 0 : 400, i % 3 === 0 ? 0 : 400);
+    simulation.setDragging(false);
+    simulation.step(1000 / 60);
+  }
+
+  assert.ok(simulation.physics.collisions.length <= 256);
+});